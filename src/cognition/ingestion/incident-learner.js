@@ -7,8 +7,8 @@
 
 import logger from '../../utils/logger.js';
 import { sanityClient } from '../../services/sanity.js';
-import { redisClient } from '../../state/redis.js';
-import { buildIncidentMetadata, DocumentTypes } from './schema.js';
+import stateManager from '../../state/redis.js';
+import { buildIncidentMetadata, DocumentTypes, inferFailureTypes } from './schema.js';
 
 /**
  * Incident Learner class
@@ -16,7 +16,7 @@ import { buildIncidentMetadata, DocumentTypes } from './schema.js';
 export class IncidentLearner {
   constructor(options = {}) {
     this.client = options.client || sanityClient;
-    this.redis = options.redis || redisClient;
+    this.store = options.store || stateManager;
     this.stabilityPeriodMs = options.stabilityPeriodMs || 24 * 60 * 60 * 1000; // 24 hours default
   }
 
@@ -29,6 +29,7 @@ export class IncidentLearner {
   async scheduleForLearning(incidentData) {
     const learningRecord = {
       incident_id: incidentData.incident_id,
+      service: incidentData.service || incidentData.service_name || null,
       scheduled_at: new Date().toISOString(),
       ingest_after: new Date(Date.now() + this.stabilityPeriodMs).toISOString(),
       status: 'pending',
@@ -36,10 +37,9 @@ export class IncidentLearner {
     };
 
     // Store in Redis with TTL slightly longer than stability period
-    const key = `learning:${incidentData.incident_id}`;
     const ttl = Math.ceil(this.stabilityPeriodMs / 1000) + 3600; // + 1 hour buffer
 
-    await this.redis.setex(key, ttl, JSON.stringify(learningRecord));
+    await this.store.saveLearningRecord(learningRecord, ttl);
 
     logger.info('Incident scheduled for learning', {
       incident_id: incidentData.incident_id,
@@ -58,34 +58,25 @@ export class IncidentLearner {
    * @returns {Promise<object|null>} - Previous incident if found
    */
   async checkForRecurrence(service, failureType) {
-    // Scan for pending learning records with same service/failure
-    const pattern = 'learning:*';
-    const keys = await this.redis.keys(pattern);
-
-    for (const key of keys) {
-      const data = await this.redis.get(key);
-      if (!data) continue;
-
-      const record = JSON.parse(data);
-      const snapshot = record.incident_snapshot;
-
-      // Check if same service and failure type
-      if (snapshot.service === service) {
-        const hypothesis = snapshot.cleric_hypothesis;
-        if (hypothesis?.failureTypes?.includes(failureType)) {
-          logger.warn('Recurrence detected - marking previous resolution as ineffective', {
-            previous_incident: record.incident_id,
-            service,
-            failureType,
-          });
-
-          // Mark as ineffective
-          record.status = 'ineffective';
-          record.recurrence_detected_at = new Date().toISOString();
-          await this.redis.setex(key, 86400, JSON.stringify(record)); // Keep for 24h more
-
-          return record;
-        }
+    // Pending learning records for this service come from its index
+    const records = await this.store.getLearningRecords({ service });
+
+    for (const record of records) {
+      // Check if same failure type
+      const hypothesis = record.incident_snapshot?.cleric_hypothesis;
+      if (hypothesis?.failureTypes?.includes(failureType)) {
+        logger.warn('Recurrence detected - marking previous resolution as ineffective', {
+          previous_incident: record.incident_id,
+          service,
+          failureType,
+        });
+
+        // Mark as ineffective
+        record.status = 'ineffective';
+        record.recurrence_detected_at = new Date().toISOString();
+        await this.store.saveLearningRecord(record, 86400); // Keep for 24h more
+
+        return record;
       }
     }
 
@@ -97,8 +88,7 @@ export class IncidentLearner {
    * Should be called by a scheduled job (e.g., every hour)
    */
   async processPendingLearning() {
-    const pattern = 'learning:*';
-    const keys = await this.redis.keys(pattern);
+    const records = await this.store.getLearningRecords();
     const now = new Date();
 
     const results = {
@@ -109,11 +99,7 @@ export class IncidentLearner {
       errors: [],
     };
 
-    for (const key of keys) {
-      const data = await this.redis.get(key);
-      if (!data) continue;
-
-      const record = JSON.parse(data);
+    for (const record of records) {
       results.processed++;
 
       // Skip if marked ineffective
@@ -138,7 +124,7 @@ export class IncidentLearner {
         results.ingested++;
 
         // Remove the learning record
-        await this.redis.del(key);
+        await this.store.deleteLearningRecord(record.incident_id, record.service);
       } catch (error) {
         results.errors.push({
           incident_id: record.incident_id,
@@ -258,28 +244,7 @@ export class IncidentLearner {
    * Infer failure types from hypothesis
    */
   _inferFailureTypes(hypothesis) {
-    const types = [];
-    const text = JSON.stringify(hypothesis).toLowerCase();
-
-    // Pattern matching for common failure types
-    const patterns = {
-      slow_query: /slow.?query|query.?lock|sql.?timeout/,
-      database_deadlock: /deadlock|lock.?wait|blocking.?query/,
-      memory_exhaustion: /out.?of.?memory|oom|memory.?exhausted/,
-      cpu_saturation: /cpu.?saturat|high.?cpu|cpu.?spike/,
-      memory_leak: /memory.?leak|growing.?heap/,
-      dependency_timeout: /timeout|connection.?refused|upstream/,
-      circuit_breaker_open: /circuit.?breaker|circuit.?open/,
-      database_connection_pool: /connection.?pool|pool.?exhausted/,
-    };
-
-    for (const [type, pattern] of Object.entries(patterns)) {
-      if (pattern.test(text)) {
-        types.push(type);
-      }
-    }
-
-    return types;
+    return inferFailureTypes(hypothesis);
   }
 
   /**
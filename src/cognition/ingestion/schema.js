@@ -283,6 +283,34 @@ export function buildIncidentMetadata(options) {
   return metadata;
 }
 
+/**
+ * Infer failure types from free-form incident text (hypothesis, root cause)
+ */
+export function inferFailureTypes(source) {
+  const types = [];
+  const text = JSON.stringify(source ?? '').toLowerCase();
+
+  // Pattern matching for common failure types
+  const patterns = {
+    [FailureTypes.SLOW_QUERY]: /slow.?query|query.?lock|sql.?timeout/,
+    [FailureTypes.DATABASE_DEADLOCK]: /deadlock|lock.?wait|blocking.?query/,
+    [FailureTypes.MEMORY_EXHAUSTION]: /out.?of.?memory|oom|memory.?exhausted/,
+    [FailureTypes.CPU_SATURATION]: /cpu.?saturat|high.?cpu|cpu.?spike/,
+    [FailureTypes.MEMORY_LEAK]: /memory.?leak|growing.?heap/,
+    [FailureTypes.DEPENDENCY_TIMEOUT]: /timeout|connection.?refused|upstream/,
+    [FailureTypes.CIRCUIT_BREAKER_OPEN]: /circuit.?breaker|circuit.?open/,
+    [FailureTypes.DATABASE_CONNECTION_POOL]: /connection.?pool|pool.?exhausted/,
+  };
+
+  for (const [type, pattern] of Object.entries(patterns)) {
+    if (pattern.test(text)) {
+      types.push(type);
+    }
+  }
+
+  return types;
+}
+
 export default {
   DocumentTypes,
   SeverityLevels,
@@ -291,4 +319,5 @@ export default {
   validateMetadata,
   buildRunbookMetadata,
   buildIncidentMetadata,
+  inferFailureTypes,
 };
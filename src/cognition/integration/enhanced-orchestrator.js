@@ -17,8 +17,10 @@ import { EnhancedAnthropicClient } from '../services/enhanced-anthropic.js';
 import { EnhancedLightpandaClient } from '../services/enhanced-lightpanda.js';
 import { IncidentLearner, createLearningScheduler } from '../ingestion/incident-learner.js';
 import stateManager, { RedisStateManager } from '../../state/redis.js';
-import pagerdutyClient from '../../services/pagerduty.js';
-import config from '../../config/index.js';
+import { EVENT_TYPES } from '../../state/event-log.js';
+import incidentProviders from '../../services/incident-providers.js';
+import { isShadowIncident } from '../../services/shadow-mode.js';
+import remediationBreaker from '../../services/circuit-breaker.js';
 import logger from '../../utils/logger.js';
 
 /**
@@ -51,9 +53,6 @@ export class EnhancedOrchestrator extends Orchestrator {
 
     // Learning scheduler
     this.learningScheduler = null;
-
-    // Use config thresholds
-    this.contextMatchThreshold = config.confidence.contextMatchThreshold;
   }
 
   /**
@@ -153,11 +152,16 @@ export class EnhancedOrchestrator extends Orchestrator {
 
       await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.SYNTHESIZING);
 
+      const budget = await this.checkLlmBudget(incidentId);
+      if (budget) {
+        await this.escalateOverBudget(incidentId, hypothesis, budget);
+        return;
+      }
+
       // Use enhanced AI client with edge case handling
-      const remediation = await this.aiClient.generateRemediationEnhanced(
-        hypothesis,
-        contextResults,
-        incidentState
+      const remediation = await this.recordLlmCall(incidentId, 'generate_remediation', () =>
+        this.aiClient.generateRemediationEnhanced(hypothesis, contextResults, incidentState),
+        this.aiClient
       );
 
       if (!remediation || !remediation.code) {
@@ -175,9 +179,12 @@ export class EnhancedOrchestrator extends Orchestrator {
       }
 
       // Validate generated code for safety
-      const codeValidation = await this.aiClient.validateGeneratedCode(
-        remediation.code,
-        { service: incidentState.service_name, title: incidentState.title }
+      const codeValidation = await this.recordLlmCall(incidentId, 'validate_code', () =>
+        this.aiClient.validateGeneratedCode(
+          remediation.code,
+          { service: incidentState.service_name, title: incidentState.title }
+        ),
+        this.aiClient
       );
 
       if (!codeValidation.safe) {
@@ -195,33 +202,24 @@ export class EnhancedOrchestrator extends Orchestrator {
       // Update state with remediation details
       await stateManager.updateIncidentState(incidentId, {
         remediation_code: remediation.code,
+        remediation_language: remediation.language || 'python',
+        rollback_code: remediation.rollbackCode,
+        rollback_language: remediation.rollbackLanguage || remediation.language || 'python',
         anthropic_reasoning: remediation.reasoning,
         remediation_risk: remediation.risk,
         remediation_confidence: remediation.confidence,
         edge_cases: remediation.edgeCases,
         code_validation: codeValidation,
+        shadow_mode: isShadowIncident(incidentState),
+        human_approved: false,
       });
 
-      // Enhanced Confidence Protocol
-      const shouldAutoExecute = this.evaluateConfidenceEnhanced(
-        hypothesis.confidence,
-        contextResults.maxScore * 100,
-        remediation.confidence,
-        remediation.risk,
-        remediation.edgeCases
-      );
+      // Remediation policy; edge cases come from the enhanced client
+      const decision = await this.applyPolicy(incidentId, incidentState, hypothesis, remediation, {
+        context_match_score: contextResults.maxScore * 100,
+      });
 
-      if (shouldAutoExecute && !remediation.requiresApproval) {
-        logger.info('Auto-executing remediation (enhanced confidence passed)', { incidentId });
-        await this.executeRemediationEnhanced(incidentId);
-      } else {
-        logger.info('Requesting human approval (enhanced)', {
-          incidentId,
-          reason: remediation.requiresApproval ? 'AI/Safety requested' : 'Low confidence',
-          edgeCases: remediation.edgeCases,
-        });
-        await this.requestHumanApproval(incidentId, remediation, hypothesis, incidentState);
-      }
+      await this.dispatchRemediation(incidentId, incidentState, hypothesis, remediation, decision, codeValidation);
     } catch (error) {
       logger.error('Failed to synthesize remediation (enhanced)', {
         error: error.message,
@@ -236,37 +234,10 @@ export class EnhancedOrchestrator extends Orchestrator {
   }
 
   /**
-   * Enhanced confidence evaluation with edge cases
+   * Auto-executed remediations run inline with the verification swarm
    */
-  evaluateConfidenceEnhanced(hypothesisConfidence, contextMatchScore, remediationConfidence, risk, edgeCases = []) {
-    // First apply base evaluation
-    const baseResult = this.evaluateConfidence(
-      hypothesisConfidence,
-      contextMatchScore,
-      remediationConfidence,
-      risk
-    );
-
-    if (!baseResult) {
-      return false;
-    }
-
-    // Additional checks for edge cases
-    const criticalEdgeCases = [
-      'novel_failure',
-      'conflicting_evidence',
-      'data_sensitive',
-      'high_blast_radius',
-    ];
-
-    if (edgeCases.some(ec => criticalEdgeCases.includes(ec))) {
-      logger.debug('Confidence Protocol: Critical edge case detected - requires approval', {
-        edgeCases,
-      });
-      return false;
-    }
-
-    return true;
+  async startExecution(incidentId) {
+    await this.executeRemediationEnhanced(incidentId);
   }
 
   /**
@@ -280,6 +251,14 @@ export class EnhancedOrchestrator extends Orchestrator {
         throw new Error('No remediation code found');
       }
 
+      if (!(await this.enforceFreeze(incidentId, incidentState))) {
+        return;
+      }
+      // The slot is held through the swarm pre-check and the parent's run
+      if (!(await this.admitExecution(incidentId, incidentState))) {
+        return;
+      }
+
       logger.info('Executing remediation (enhanced)', { incidentId });
 
       await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.EXECUTING);
@@ -294,6 +273,12 @@ export class EnhancedOrchestrator extends Orchestrator {
       if (servicePreset.urls?.length > 0) {
         const preCheck = await this.lightpandaClient.quickSwarm(servicePreset.urls);
 
+        await stateManager.recordEvent(incidentId, EVENT_TYPES.VERIFICATION_RESULT, {
+          phase: 'pre_flight',
+          success: preCheck.success,
+          summary: preCheck.summary,
+        });
+
         await stateManager.updateIncidentState(incidentId, {
           pre_verification_status: preCheck.success ? 'healthy' : 'unhealthy',
           pre_verification_result: preCheck.summary,
@@ -322,6 +307,8 @@ export class EnhancedOrchestrator extends Orchestrator {
         error: error.message,
         error_stage: 'execution',
       });
+    } finally {
+      await remediationBreaker.release(incidentId);
     }
   }
 
@@ -329,12 +316,14 @@ export class EnhancedOrchestrator extends Orchestrator {
    * Enhanced verification with swarm and journeys
    */
   async verifyRemediation(incidentId) {
+    let incidentState = null;
+
     try {
       logger.info('Verifying remediation (enhanced)', { incidentId });
 
       await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.VERIFYING);
 
-      const incidentState = await stateManager.getIncidentState(incidentId);
+      incidentState = await stateManager.getIncidentState(incidentId);
 
       // Get service preset
       const servicePreset = EnhancedLightpandaClient.getServicePreset(
@@ -349,6 +338,12 @@ export class EnhancedOrchestrator extends Orchestrator {
         verification = await this.lightpandaClient.quickSwarm(servicePreset.urls);
       }
 
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.VERIFICATION_RESULT, {
+        phase: 'post_remediation',
+        success: verification.success,
+        summary: verification.summary,
+      });
+
       await stateManager.updateIncidentState(incidentId, {
         verification_status: verification.success ? 'passed' : 'failed',
         verification_result: verification.summary,
@@ -356,6 +351,8 @@ export class EnhancedOrchestrator extends Orchestrator {
         verified_at: new Date().toISOString(),
       });
 
+      await remediationBreaker.recordVerification(incidentId, verification.success);
+
       if (verification.success) {
         logger.info('Remediation verified successfully (enhanced)', { incidentId });
 
@@ -364,8 +361,8 @@ export class EnhancedOrchestrator extends Orchestrator {
           resolved_at: new Date().toISOString(),
         });
 
-        // Add note to PagerDuty
-        await pagerdutyClient.addNote(
+        // Add note to the incident's provider
+        await incidentProviders.addNote(
           incidentId,
           `Self-Healing Engine (Enhanced) successfully remediated this incident.\n\n` +
           `Root Cause: ${incidentState.hypothesis?.rootCause || incidentState.root_cause || 'See investigation'}\n` +
@@ -381,15 +378,19 @@ export class EnhancedOrchestrator extends Orchestrator {
           failedChecks: verification.summary.failedChecks,
         });
 
+        const rollback = await this.rollbackRemediation(incidentId, incidentState);
+        await stateManager.updateIncidentState(incidentId, { rollback_result: rollback });
+
         await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
           error: 'Verification failed after remediation',
           verification_result: verification,
         });
 
-        await pagerdutyClient.addNote(
+        await incidentProviders.addNote(
           incidentId,
           `Self-Healing Engine attempted remediation but verification failed.\n` +
           `Failed checks: ${verification.failed}/${verification.totalChecks}\n` +
+          `${this.describeRollback(rollback)}\n` +
           `Manual intervention required.`
         );
       }
@@ -404,6 +405,32 @@ export class EnhancedOrchestrator extends Orchestrator {
         error_stage: 'verification',
       });
     }
+
+    await this.releaseSandbox(incidentId, incidentState);
+  }
+
+  /**
+   * Re-run the service's verification swarm after a rollback
+   * Restored when no more checks fail than before the remediation ran.
+   */
+  async verifyRollback(incidentState) {
+    const servicePreset = EnhancedLightpandaClient.getServicePreset(
+      incidentState.service_name,
+      incidentState.service_url || `https://${incidentState.service_name}.internal`
+    );
+
+    if (!servicePreset.urls?.length) {
+      return null;
+    }
+
+    const check = await this.lightpandaClient.quickSwarm(servicePreset.urls);
+    const failedBefore = incidentState.pre_verification_result?.failedChecks?.length;
+
+    return {
+      success: check.success,
+      summary: check.summary,
+      restored: check.success || (failedBefore !== undefined && check.failed <= failedBefore),
+    };
   }
 
   /**
@@ -79,8 +79,9 @@ export class RemediationPromptBuilder {
     sections.push('');
     sections.push('1. Use markdown headers for each step');
     sections.push('2. Wrap executable code in `<execution_block>` tags');
-    sections.push('3. Clearly state the RISK level (LOW, MEDIUM, or HIGH)');
-    sections.push('4. If HIGH risk or uncertain, explicitly state "Human approval required"');
+    sections.push('3. Wrap the rollback script in `<rollback_block>` tags (required)');
+    sections.push('4. Clearly state the RISK level (LOW, MEDIUM, or HIGH)');
+    sections.push('5. If HIGH risk or uncertain, explicitly state "Human approval required"');
     sections.push('');
 
     // Examples (if enabled)
@@ -242,6 +243,13 @@ If risk is acceptable, generate the remediation script. The code MUST:
 
 Wrap code in: \`<execution_block>\` ... \`</execution_block>\`
 
+Then generate a rollback script that undoes every change the remediation
+makes. It runs automatically if verification fails, so it must be safe after
+a partial or failed remediation. A remediation without one always requires
+human approval.
+
+Wrap it in: \`<rollback_block>\` ... \`</rollback_block>\`
+
 ### Step 5: Verification Steps
 Describe how to verify the fix worked:
 - What metrics should improve?
@@ -303,6 +311,15 @@ log "Connection pool recycled successfully"
 exit 0
 </execution_block>
 
+<rollback_block language="bash">
+#!/bin/bash
+set -euo pipefail
+
+# Recycling is self-reversing; restart the deployment if the pool did not recover
+kubectl rollout restart -n production deploy/payment-api
+kubectl rollout status -n production deploy/payment-api --timeout=120s
+</rollback_block>
+
 ### Step 5: Verification Steps
 1. Monitor \`db_connection_pool_active\` metric - should decrease within 30 seconds
 2. Check \`payment_api_error_rate\` - should return to baseline within 2 minutes
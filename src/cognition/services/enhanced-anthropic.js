@@ -178,12 +178,14 @@ Respond in JSON format:
         userPromptLength: userPrompt.length,
       });
 
+      const startedAt = Date.now();
       const response = await this.client.post('/v1/messages', {
         model: this.model,
         max_tokens: 4096,
         system: systemPrompt,
         messages: [{ role: 'user', content: userPrompt }],
       });
+      await this._recordUsage(response.data, startedAt);
 
       const content = response.data.content[0]?.text || '';
 
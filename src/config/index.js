@@ -1,6 +1,38 @@
 import dotenv from 'dotenv';
+import { ConfigurationError } from '../utils/errors.js';
 dotenv.config();
 
+// Parse "key=value,key2=value2" into an object
+const parseKeyValueList = (value) => Object.fromEntries(
+  String(value || '')
+    .split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([key, val]) => key && val)
+);
+
+// Providers the LLM router can build; an unknown name must fail at startup
+// rather than send incident data to some other provider
+const LLM_PROVIDERS = ['anthropic', 'gemini', 'openai', 'openai-compatible', 'mock', 'fixture'];
+
+// Parse LLM_PRICING entries ("model=input/output" USD per million tokens);
+// a malformed price would turn every usage total into NaN
+const parseLlmPricing = (value) => Object.fromEntries(Object.entries(parseKeyValueList(value))
+  .map(([model, prices]) => {
+    const parsed = prices.split('/').map(price => (price.trim() === '' ? NaN : Number(price)));
+    if (parsed.length !== 2 || parsed.some(price => !Number.isFinite(price) || price < 0)) {
+      throw new ConfigurationError(`Invalid LLM_PRICING entry for ${model}: ${prices} (expected input/output, e.g. 0.6/0.8)`);
+    }
+    return [model, parsed];
+  }));
+
+const parseLlmProvider = (name, variable) => {
+  const provider = name.toLowerCase();
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new ConfigurationError(`Unknown LLM provider in ${variable}: ${name} (expected one of ${LLM_PROVIDERS.join(', ')})`);
+  }
+  return provider;
+};
+
 export const config = {
   server: {
     port: parseInt(process.env.PORT || '3000', 10),
@@ -11,6 +43,34 @@ export const config = {
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT || '6379', 10),
     password: process.env.REDIS_PASSWORD || undefined,
+    lockTtlMs: parseInt(process.env.INCIDENT_LOCK_TTL_MS || '30000', 10),
+    lockWaitMs: parseInt(process.env.INCIDENT_LOCK_WAIT_MS || '5000', 10),
+  },
+
+  // OODA stage job queue
+  queue: {
+    inProcessWorkers: process.env.QUEUE_IN_PROCESS_WORKERS !== 'false',
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY || '4', 10),
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '3', 10),
+    backoffMs: parseInt(process.env.QUEUE_BACKOFF_MS || '5000', 10),
+    maxBackoffMs: parseInt(process.env.QUEUE_MAX_BACKOFF_MS || '300000', 10),
+    // Retries for lock contention, which do not spend an attempt
+    maxContentionRetries: parseInt(process.env.QUEUE_MAX_CONTENTION_RETRIES || '10', 10),
+    visibilityTimeoutMs: parseInt(process.env.QUEUE_VISIBILITY_TIMEOUT_MS || '120000', 10),
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '1000', 10),
+  },
+
+  // Long-term incident archive (outlives the Redis TTL)
+  archive: {
+    sink: process.env.ARCHIVE_SINK || 'jsonl', // jsonl | sqlite | none
+    path: process.env.ARCHIVE_PATH, // Defaults to ./data/incident-archive.{jsonl,db}
+  },
+
+  // Alert correlation into parent incidents
+  correlation: {
+    enabled: process.env.CORRELATION_ENABLED !== 'false',
+    windowMs: parseInt(process.env.CORRELATION_WINDOW_MS || '600000', 10),
+    titleSimilarityThreshold: parseFloat(process.env.CORRELATION_TITLE_SIMILARITY || '0.6'),
   },
 
   pagerduty: {
@@ -20,6 +80,30 @@ export const config = {
     apiUrl: process.env.PAGERDUTY_API_URL, // For local mocking/alternatives
   },
 
+  opsgenie: {
+    apiKey: process.env.OPSGENIE_API_KEY,
+    apiUrl: process.env.OPSGENIE_API_URL, // https://api.eu.opsgenie.com for EU accounts
+    user: process.env.OPSGENIE_USER || 'self-healing-engine@system.local',
+    webhookSecret: process.env.OPSGENIE_WEBHOOK_SECRET, // Sent as X-Webhook-Secret
+  },
+
+  // On-call tool for incidents from alert sources without one (pagerduty | opsgenie | local)
+  incidentProviders: {
+    default: process.env.RESPONDER_DEFAULT || 'pagerduty',
+    byService: parseKeyValueList(process.env.RESPONDER_BY_SERVICE), // e.g. checkout=opsgenie
+    autoResolve: process.env.AUTO_RESOLVE_INCIDENTS === 'true', // Resolve in the provider after verification
+    localPath: process.env.LOCAL_INCIDENT_PROVIDER_PATH, // Defaults to ./data/local-incidents.json
+  },
+
+  datadog: {
+    webhookSecret: process.env.DATADOG_WEBHOOK_SECRET, // Sent as X-Webhook-Secret
+  },
+
+  alertmanager: {
+    username: process.env.ALERTMANAGER_WEBHOOK_USERNAME,
+    password: process.env.ALERTMANAGER_WEBHOOK_PASSWORD,
+  },
+
   sanity: {
     projectId: process.env.SANITY_PROJECT_ID,
     dataset: process.env.SANITY_DATASET,
@@ -45,7 +129,34 @@ export const config = {
 
   // AI Provider Selection
   llm: {
-    provider: process.env.LLM_PROVIDER || 'anthropic',
+    provider: parseLlmProvider(process.env.LLM_PROVIDER || 'anthropic', 'LLM_PROVIDER'),
+    // Tried in order when the primary provider fails, e.g. gemini,openai
+    fallbackProviders: String(process.env.LLM_FALLBACK_PROVIDERS || '')
+      .split(',')
+      .map(provider => provider.trim())
+      .filter(Boolean)
+      .map(provider => parseLlmProvider(provider, 'LLM_FALLBACK_PROVIDERS')),
+    // Retries per provider for throttling and transient errors
+    maxRetries: parseInt(process.env.LLM_MAX_RETRIES || '2', 10),
+    retryBaseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '2000', 10),
+    retryMaxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '30000', 10),
+    // Budget for an incident's synthesis, from its first attempt, across all
+    // providers, retries and re-syntheses
+    deadlineMs: parseInt(process.env.LLM_DEADLINE_MS || '300000', 10),
+    // Services pinned to another provider, e.g. payments-api=openai,billing=openai
+    serviceProviders: Object.fromEntries(Object.entries(parseKeyValueList(process.env.LLM_SERVICE_PROVIDERS))
+      .map(([service, provider]) => [service, parseLlmProvider(provider, 'LLM_SERVICE_PROVIDERS')])),
+    // USD per million input/output tokens for models not in the built-in
+    // price table, e.g. llama-3-70b=0.6/0.8,claude-3-sonnet=3/15
+    pricing: parseLlmPricing(process.env.LLM_PRICING),
+    // Estimated monthly spend after which synthesis goes diagnosis-only; 0 = no limit
+    monthlyBudgetUsd: parseFloat(process.env.LLM_MONTHLY_BUDGET_USD || '0'),
+    // Offline provider (LLM_PROVIDER=mock or fixture)
+    fixtures: {
+      dir: process.env.LLM_FIXTURES_DIR || './examples/llm-fixtures',
+      mode: process.env.LLM_FIXTURES_MODE || 'replay', // replay | record
+      recordProvider: process.env.LLM_FIXTURES_RECORD_PROVIDER || 'anthropic',
+    },
   },
 
   anthropic: {
@@ -58,6 +169,16 @@ export const config = {
     model: process.env.GEMINI_MODEL || 'gemini-1.5-pro-latest',
   },
 
+  // Self-hosted OpenAI-compatible endpoint (vLLM, Ollama, ...)
+  openai: {
+    baseUrl: process.env.OPENAI_BASE_URL, // e.g. http://vllm.internal:8000/v1
+    model: process.env.OPENAI_MODEL,
+    apiKey: process.env.OPENAI_API_KEY,
+    // Sent as "Bearer <key>" for Authorization, the raw key for anything else
+    authHeader: process.env.OPENAI_AUTH_HEADER || 'Authorization',
+    timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS || '120000', 10),
+  },
+
   // Stream C dependencies - interfaces only in Stream A
   coder: {
     apiUrl: process.env.CODER_API_URL,
@@ -79,6 +200,84 @@ export const config = {
     autoExecuteThreshold: parseInt(process.env.CONFIDENCE_AUTO_EXECUTE_THRESHOLD || '90', 10),
     contextMatchThreshold: parseInt(process.env.CONTEXT_MATCH_THRESHOLD || '85', 10),
   },
+
+  policy: {
+    // YAML or JSON rules; unset uses the built-in Confidence Protocol
+    path: process.env.REMEDIATION_POLICY_PATH || null,
+  },
+
+  shadow: {
+    // Synthesize but never execute or post; see src/services/shadow-mode.js
+    enabled: process.env.SHADOW_MODE === 'true',
+    services: String(process.env.SHADOW_SERVICES || '')
+      .split(',')
+      .map(service => service.trim())
+      .filter(Boolean),
+  },
+
+  remediation: {
+    // Scripts generated per incident, including revisions after a failed run
+    maxAttempts: parseInt(process.env.REMEDIATION_MAX_ATTEMPTS || '3', 10),
+  },
+
+  freeze: {
+    // iCal file of release freezes / maintenance windows, imported at startup
+    calendarPath: process.env.FREEZE_CALENDAR_PATH || null,
+    // approval | diagnosis_only, for windows that do not set a mode
+    defaultMode: process.env.FREEZE_DEFAULT_MODE || 'approval',
+  },
+
+  autoRemediation: {
+    // Blast-radius limits; 0 disables a limit
+    maxConcurrent: parseInt(process.env.AUTO_REMEDIATION_MAX_CONCURRENT || '3', 10),
+    maxPerServicePerHour: parseInt(process.env.AUTO_REMEDIATION_MAX_PER_SERVICE_PER_HOUR || '3', 10),
+    // Pause unattended runs when this share of recent verifications fail
+    failureRateThreshold: parseFloat(process.env.AUTO_REMEDIATION_FAILURE_RATE_THRESHOLD || '0.5'),
+    failureWindowMs: parseInt(process.env.AUTO_REMEDIATION_FAILURE_WINDOW_MS || '3600000', 10),
+    failureMinSamples: parseInt(process.env.AUTO_REMEDIATION_FAILURE_MIN_SAMPLES || '4', 10),
+    tripCooldownMs: parseInt(process.env.AUTO_REMEDIATION_TRIP_COOLDOWN_MS || '1800000', 10),
+  },
+
+  watchdog: {
+    enabled: process.env.WATCHDOG_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.WATCHDOG_INTERVAL_MS || '60000', 10),
+    // Unanswered Slack approvals are escalated after this
+    approvalTimeoutMs: parseInt(process.env.APPROVAL_TIMEOUT_MS || '3600000', 10),
+    // Minutes an incident may sit in a stage with no job driving it;
+    // override with e.g. WATCHDOG_STAGE_SLAS=EXECUTING=30,VERIFYING=20
+    stageSlaMinutes: {
+      TRIGGERED: 30,
+      INVESTIGATING: 30,
+      HYPOTHESIS_RECEIVED: 10,
+      CONTEXT_RETRIEVED: 10,
+      SYNTHESIZING: 15,
+      EXECUTING: 20,
+      VERIFYING: 15,
+      ...Object.fromEntries(String(process.env.WATCHDOG_STAGE_SLAS || '')
+        .split(',')
+        .map(entry => entry.split('=').map(part => part.trim()))
+        .filter(([stage, minutes]) => stage && minutes)
+        .map(([stage, minutes]) => [stage.toUpperCase(), parseInt(minutes, 10)])),
+    },
+  },
+
+  recovery: {
+    // Reconcile orphaned incidents and sandboxes when workers start
+    onStartup: process.env.RECOVERY_ON_STARTUP !== 'false',
+  },
+
+  shutdown: {
+    // How long SIGTERM waits for in-flight stages before abandoning them;
+    // keep below the orchestrator's termination grace period
+    drainTimeoutMs: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || '25000', 10),
+    // Retry-After sent with 503s to webhooks that arrive while draining
+    retryAfterSeconds: parseInt(process.env.SHUTDOWN_RETRY_AFTER_SECONDS || '30', 10),
+  },
+
+  admin: {
+    // Bearer token for /admin routes; unset leaves them open outside production
+    apiToken: process.env.ADMIN_API_TOKEN,
+  },
 };
 
 export default config;
@@ -4,7 +4,22 @@ import logger from './utils/logger.js';
 import stateManager from './state/redis.js';
 import pagerdutyHandler from './webhooks/pagerduty.js';
 import slackHandler from './webhooks/slack.js';
-import orchestrator from './services/orchestrator.js';
+import opsgenieHandler from './webhooks/opsgenie.js';
+import datadogHandler from './webhooks/datadog.js';
+import alertmanagerHandler from './webhooks/alertmanager.js';
+import orchestrator, { Orchestrator } from './services/orchestrator.js';
+import jobQueue from './state/job-queue.js';
+import { EVENT_TYPES, runWithEventSource } from './state/event-log.js';
+import { NotFoundError, ValidationError } from './utils/errors.js';
+import incidentArchive from './state/archive.js';
+import policyEngine from './services/policy-engine.js';
+import freezeCalendar from './services/freeze-calendar.js';
+import remediationBreaker from './services/circuit-breaker.js';
+import incidentWatchdog from './services/watchdog.js';
+import crashRecovery from './services/recovery.js';
+import pipelineDrain from './services/shutdown.js';
+import incidentReplay from './services/replay.js';
+import llmUsage from './services/llm-usage.js';
 
 /**
  * Self-Healing DevOps Engine - Orchestration Control Plane (OCP)
@@ -21,6 +36,18 @@ import orchestrator from './services/orchestrator.js';
  */
 
 const app = express();
+let server = null;
+let draining = false;
+
+// While draining for shutdown, turn away new incidents so a replica picks
+// them up; health fails too so the load balancer stops routing here
+app.use((req, res, next) => {
+  if (draining && (req.path.startsWith('/webhooks/') || req.path === '/health')) {
+    res.set('Retry-After', String(config.shutdown.retryAfterSeconds));
+    return res.status(503).json({ error: 'Service is shutting down', status: 'draining' });
+  }
+  next();
+});
 
 // Middleware to capture raw body for signature verification
 app.use(express.json({
@@ -45,15 +72,28 @@ app.get('/health', (req, res) => {
 // PagerDuty webhook endpoint
 app.post('/webhooks/pagerduty', pagerdutyHandler.getMiddleware());
 
+// Opsgenie alert webhook endpoint
+app.post('/webhooks/opsgenie', opsgenieHandler.getMiddleware());
+
+// Datadog monitor webhook endpoint
+app.post('/webhooks/datadog', datadogHandler.getMiddleware());
+
+// Prometheus Alertmanager webhook endpoint
+app.post('/webhooks/alertmanager', alertmanagerHandler.getMiddleware());
+
 // Slack interaction endpoint
 app.post('/webhooks/slack/interactions', slackHandler.getMiddleware());
 
-// Status endpoint for active incidents
+// Incident listing, filterable by ?stage=&service=&since= and paged by ?cursor=
 app.get('/status/incidents', async (req, res) => {
   try {
-    const incidents = await orchestrator.getActiveIncidentsStatus();
-    res.json({ incidents });
+    const { stage, service, since, cursor, limit } = req.query;
+    const page = await orchestrator.getIncidentsStatus({ stage, service, since, cursor, limit });
+    res.json(page);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error('Failed to get incident status', { error: error.message });
     res.status(500).json({ error: 'Failed to get status' });
   }
@@ -73,6 +113,82 @@ app.get('/status/incidents/:id', async (req, res) => {
   }
 });
 
+// Incident event timeline
+app.get('/status/incidents/:id/timeline', async (req, res) => {
+  try {
+    const incident = await stateManager.getIncidentState(req.params.id);
+    const events = await stateManager.getIncidentTimeline(req.params.id, {
+      types: req.query.type ? String(req.query.type).split(',') : undefined,
+      limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+    });
+
+    if (!incident && events.length === 0) {
+      return res.status(404).json({ error: 'Incident not found' });
+    }
+
+    const response = { incident_id: req.params.id, events };
+
+    // Optionally rebuild the snapshot from the stream for comparison
+    if (req.query.rebuild === 'true') {
+      response.rebuilt_state = await stateManager.rebuildIncidentState(req.params.id);
+    }
+
+    res.json(response);
+  } catch (error) {
+    logger.error('Failed to get incident timeline', { error: error.message });
+    res.status(500).json({ error: 'Failed to get timeline' });
+  }
+});
+
+// Search archived incidents
+// ?service=&failure_type=&resolution=&from=&to=&limit=&offset=
+app.get('/archive/incidents', async (req, res) => {
+  try {
+    const incidents = await incidentArchive.search({
+      service: req.query.service,
+      failureType: req.query.failure_type,
+      resolution: req.query.resolution,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    res.json({ incidents, count: incidents.length });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to search archive', { error: error.message });
+    res.status(500).json({ error: 'Failed to search archive' });
+  }
+});
+
+// Job queue depth and dead letters
+app.get('/status/queue', async (req, res) => {
+  try {
+    const stats = await jobQueue.getStats();
+    const deadLetters = await jobQueue.getDeadLetters();
+    res.json({ stats, dead_letters: deadLetters });
+  } catch (error) {
+    logger.error('Failed to get queue status', { error: error.message });
+    res.status(500).json({ error: 'Failed to get queue status' });
+  }
+});
+
+// Requeue a dead-lettered job
+app.post('/status/queue/dead/:jobId/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.retryDeadLetter(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead-lettered job not found' });
+    }
+    res.status(202).json({ job });
+  } catch (error) {
+    logger.error('Failed to retry job', { error: error.message });
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
 // Manual trigger endpoint (for testing)
 app.post('/debug/trigger', async (req, res) => {
   if (config.server.env === 'production') {
@@ -89,6 +205,7 @@ app.post('/debug/trigger', async (req, res) => {
     // Create mock incident
     await stateManager.setIncidentState(incidentId, {
       current_stage: 'HYPOTHESIS_RECEIVED',
+      source: 'local',
       title: 'Debug incident',
       hypothesis: hypothesis,
       hypothesis_confidence: confidence || 85,
@@ -102,15 +219,40 @@ app.post('/debug/trigger', async (req, res) => {
       affectedServices: [],
     };
 
-    await orchestrator.processHypothesis(incidentId, parsedHypothesis, hypothesis);
+    await orchestrator.enqueueStage(Orchestrator.JOBS.PROCESS_HYPOTHESIS, incidentId, {
+      hypothesis: parsedHypothesis,
+      query: hypothesis,
+    });
 
-    res.json({ status: 'processing', incidentId });
+    res.status(202).json({ status: 'queued', incidentId });
   } catch (error) {
     logger.error('Debug trigger failed', { error: error.message });
     res.status(500).json({ error: error.message });
   }
 });
 
+// Replay a stored incident through synthesis and diff the outcome
+// Body: { llm: "recorded" | "live" }
+app.post('/debug/replay/:incidentId', async (req, res) => {
+  if (config.server.env === 'production') {
+    return res.status(403).json({ error: 'Not available in production' });
+  }
+
+  try {
+    const result = await incidentReplay.replay(req.params.incidentId, { llm: req.body?.llm });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Incident replay failed', { incidentId: req.params.incidentId, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Debug approve endpoint (for testing without Slack)
 app.post('/debug/approve', async (req, res) => {
   if (config.server.env === 'production') {
@@ -123,23 +265,147 @@ app.post('/debug/approve', async (req, res) => {
       return res.status(400).json({ error: 'incidentId required' });
     }
 
-    // Update state to approved
-    await stateManager.updateIncidentState(incidentId, {
-      human_approved: true,
-      approved_by: 'debug-user',
-      approved_at: new Date().toISOString(),
-    });
+    await runWithEventSource('debug-api', () => stateManager.withIncidentLock(incidentId, async () => {
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.APPROVAL_DECISION, {
+        approved: true,
+        approver: 'debug-user',
+      });
+
+      // Update state to approved
+      await stateManager.updateIncidentState(incidentId, {
+        human_approved: true,
+        approved_by: 'debug-user',
+        approved_at: new Date().toISOString(),
+      });
 
-    // Continue to execution
-    await orchestrator.executeRemediation(incidentId);
+      // Continue to execution
+      await orchestrator.enqueueStage(Orchestrator.JOBS.EXECUTE, incidentId);
+    }));
 
-    res.json({ status: 'approved', incidentId });
+    res.status(202).json({ status: 'approved', incidentId });
   } catch (error) {
     logger.error('Debug approve failed', { error: error.message });
     res.status(500).json({ error: error.message });
   }
 });
 
+// Admin routes: bearer ADMIN_API_TOKEN; without one, only outside production
+function requireAdmin(req, res, next) {
+  if (!config.admin.apiToken) {
+    if (config.server.env === 'production') {
+      return res.status(403).json({ error: 'ADMIN_API_TOKEN not configured' });
+    }
+    return next();
+  }
+  if (req.headers.authorization !== `Bearer ${config.admin.apiToken}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+
+// List change freezes (?all=true includes ended ones)
+app.get('/admin/freezes', requireAdmin, async (req, res) => {
+  try {
+    const freezes = await freezeCalendar.listWindows({ includeEnded: req.query.all === 'true' });
+    res.json({ freezes, count: freezes.length });
+  } catch (error) {
+    logger.error('Failed to list freezes', { error: error.message });
+    res.status(500).json({ error: 'Failed to list freezes' });
+  }
+});
+
+// Create an ad-hoc freeze
+// { title, starts_at, ends_at | duration_minutes, mode, services }
+app.post('/admin/freezes', requireAdmin, async (req, res) => {
+  try {
+    const freeze = await freezeCalendar.createWindow({
+      ...req.body,
+      source: 'api',
+      created_by: req.body.created_by || 'admin-api',
+    });
+    res.status(201).json({ freeze });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to create freeze', { error: error.message });
+    res.status(500).json({ error: 'Failed to create freeze' });
+  }
+});
+
+// Import an iCal feed (Content-Type: text/calendar)
+app.post('/admin/freezes/import', requireAdmin, express.text({ type: 'text/calendar', limit: '1mb' }), async (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.includes('BEGIN:VCALENDAR')) {
+    return res.status(400).json({ error: 'text/calendar body required' });
+  }
+
+  try {
+    const result = await freezeCalendar.importICal(req.body, { createdBy: 'admin-api' });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to import freeze calendar', { error: error.message });
+    res.status(500).json({ error: 'Failed to import freeze calendar' });
+  }
+});
+
+// End a freeze early
+app.delete('/admin/freezes/:id', requireAdmin, async (req, res) => {
+  try {
+    await freezeCalendar.deleteWindow(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Failed to delete freeze', { error: error.message });
+    res.status(500).json({ error: 'Failed to delete freeze' });
+  }
+});
+
+// Circuit breaker state: pause, running executions, recent failure rate
+app.get('/admin/autoremediation', requireAdmin, async (req, res) => {
+  try {
+    res.json(await remediationBreaker.getStatus());
+  } catch (error) {
+    logger.error('Failed to get auto-remediation status', { error: error.message });
+    res.status(500).json({ error: 'Failed to get auto-remediation status' });
+  }
+});
+
+// Global kill switch for unattended remediation
+// { reason, paused_by, duration_minutes } (no duration = until resumed)
+app.post('/admin/autoremediation/pause', requireAdmin, async (req, res) => {
+  try {
+    const minutes = req.body.duration_minutes === undefined ? null : Number(req.body.duration_minutes);
+    if (minutes !== null && !(minutes > 0)) {
+      return res.status(400).json({ error: 'duration_minutes must be a positive number' });
+    }
+
+    const pause = await remediationBreaker.pause({
+      reason: req.body.reason || 'manual',
+      pausedBy: req.body.paused_by || 'admin-api',
+      durationMs: minutes ? minutes * 60000 : null,
+    });
+    res.json({ pause });
+  } catch (error) {
+    logger.error('Failed to pause auto-remediation', { error: error.message });
+    res.status(500).json({ error: 'Failed to pause auto-remediation' });
+  }
+});
+
+app.post('/admin/autoremediation/resume', requireAdmin, async (req, res) => {
+  try {
+    await remediationBreaker.resume(req.body.resumed_by || 'admin-api');
+    res.json({ status: 'resumed' });
+  } catch (error) {
+    logger.error('Failed to resume auto-remediation', { error: error.message });
+    res.status(500).json({ error: 'Failed to resume auto-remediation' });
+  }
+});
+
 // Metrics endpoint (basic)
 app.get('/metrics', async (req, res) => {
   try {
@@ -156,6 +422,26 @@ app.get('/metrics', async (req, res) => {
       metrics.by_stage[stage] = (metrics.by_stage[stage] || 0) + 1;
     }
 
+    // Estimated LLM spend this month, and what the active incidents have used
+    const [usage, budget] = await Promise.all([llmUsage.getMonthlyUsage(), llmUsage.getBudgetStatus()]);
+    metrics.llm = {
+      month: usage.month,
+      requests: usage.total?.requests || 0,
+      input_tokens: usage.total?.input_tokens || 0,
+      output_tokens: usage.total?.output_tokens || 0,
+      cost_usd: usage.total?.cost_usd || 0,
+      latency_ms: usage.total?.latency_ms || 0,
+      // Requests to models with no price, which count as $0
+      unpriced_requests: usage.total?.unpriced_requests || 0,
+      budget_usd: budget.budget_usd,
+      budget_exceeded: budget.exceeded,
+      by_service: usage.services,
+      by_model: usage.models,
+      by_incident: Object.fromEntries(incidents
+        .filter(incident => incident.llm_usage)
+        .map(incident => [incident.incident_id, incident.llm_usage])),
+    };
+
     res.json(metrics);
   } catch (error) {
     logger.error('Metrics error', { error: error.message });
@@ -202,17 +488,56 @@ async function start() {
     await stateManager.connect();
     logger.info('Redis connected');
 
+    // An unreadable calendar file should not keep the control plane down,
+    // but one with freezes that cannot be honoured must not be half-applied
+    await freezeCalendar.importConfiguredCalendar().catch(error => {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.warn('Failed to import freeze calendar', { path: config.freeze.calendarPath, error: error.message });
+    });
+    freezeCalendar.startRefresh();
+
+    // Run pipeline workers in this process unless a separate worker is deployed
+    if (config.queue.inProcessWorkers) {
+      // Fail fast on a bad policy file rather than mid-incident
+      policyEngine.load();
+      orchestrator.registerJobHandlers(jobQueue);
+      if (config.recovery.onStartup) {
+        // Pick up incidents and sandboxes left behind by a previous process
+        await crashRecovery.run().catch(error => {
+          logger.error('Crash recovery failed', { error: error.message });
+        });
+      }
+      jobQueue.start();
+      if (config.watchdog.enabled) {
+        incidentWatchdog.start();
+      }
+    }
+
     // Start HTTP server
-    app.listen(config.server.port, () => {
+    server = app.listen(config.server.port, () => {
       logger.info(`OCP listening on port ${config.server.port}`);
       logger.info(`Environment: ${config.server.env}`);
       logger.info('Webhook endpoints:');
       logger.info(`  POST /webhooks/pagerduty`);
+      logger.info(`  POST /webhooks/opsgenie`);
+      logger.info(`  POST /webhooks/datadog`);
+      logger.info(`  POST /webhooks/alertmanager`);
       logger.info(`  POST /webhooks/slack/interactions`);
       logger.info('Status endpoints:');
       logger.info(`  GET  /health`);
       logger.info(`  GET  /status/incidents`);
+      logger.info(`  GET  /status/incidents/:id/timeline`);
+      logger.info(`  GET  /status/queue`);
+      logger.info(`  GET  /archive/incidents`);
       logger.info(`  GET  /metrics`);
+      logger.info('Admin endpoints:');
+      logger.info(`  GET|POST /admin/freezes`);
+      logger.info(`  POST /admin/freezes/import`);
+      logger.info(`  DELETE /admin/freezes/:id`);
+      logger.info(`  GET  /admin/autoremediation`);
+      logger.info(`  POST /admin/autoremediation/pause|resume`);
     });
   } catch (error) {
     logger.error('Failed to start OCP', { error: error.message });
@@ -220,18 +545,33 @@ async function start() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM received, shutting down...');
-  await stateManager.disconnect();
-  process.exit(0);
-});
+// Graceful shutdown: drain in-flight stages, then disconnect
+async function shutdown(signal) {
+  if (draining) {
+    return;
+  }
+  draining = true;
+  logger.info(`${signal} received, draining...`);
 
-process.on('SIGINT', async () => {
-  logger.info('SIGINT received, shutting down...');
-  await stateManager.disconnect();
-  process.exit(0);
-});
+  let exitCode = 0;
+  try {
+    if (config.queue.inProcessWorkers) {
+      await pipelineDrain.drain();
+    }
+    server?.close();
+    await incidentArchive.close();
+    await stateManager.disconnect();
+  } catch (error) {
+    // A failed drain or disconnect must not leave the process hanging
+    logger.error('Shutdown failed', { signal, error: error.message });
+    exitCode = 1;
+  } finally {
+    process.exit(exitCode);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
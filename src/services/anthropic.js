@@ -2,6 +2,13 @@ import axios from 'axios';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { ConfigurationError, ExternalServiceError } from '../utils/errors.js';
+import {
+  REMEDIATION_SCHEMA,
+  REMEDIATION_TOOL_NAME,
+  parseRemediationOutput,
+  requestStructuredRemediation,
+} from './remediation-schema.js';
+import llmUsage from './llm-usage.js';
 
 /**
  * Anthropic Claude API Client
@@ -9,6 +16,9 @@ import { ConfigurationError, ExternalServiceError } from '../utils/errors.js';
  *
  * DEPENDENCY: Stream B will implement full prompt engineering
  * Stream A provides the interface and Chain-of-Thought structure
+ *
+ * The remediation comes back as a forced submit_remediation tool call
+ * validated against REMEDIATION_SCHEMA.
  */
 
 export class AnthropicClient {
@@ -50,23 +60,31 @@ List potential risks of the proposed remediation:
 
 Rate the overall risk as: LOW, MEDIUM, or HIGH
 
-## Step 4: Generate Reproduction and Remediation Code
-If risk is acceptable, generate two scripts:
+## Step 4: Generate Reproduction, Remediation and Rollback Code
+If risk is acceptable, generate three scripts, each in bash or python:
 
-1. A Reproduction Script:
+1. A Reproduction Script (reproduction_code):
    - Must reproduce the issue (fail) when the bug is present.
    - Must pass (exit code 0) when the bug is fixed.
-   - Wrap in <reproduction_block> tags.
 
-2. A Remediation Script:
+2. A Remediation Script (remediation_code):
    - The code must be idempotent (safe to run multiple times).
    - Include error handling.
    - Log all actions taken.
    - Have a dry-run mode where possible.
-   - Wrap in <execution_block> tags.
+
+3. A Rollback Script (rollback_code, REQUIRED):
+   - Must undo every change the remediation script makes.
+   - Must be safe to run after a partial or failed remediation.
+   Remediations without a rollback script are never executed automatically.
+
+If the risk is not acceptable, leave the scripts empty and explain why in the analysis.
 
 ## Step 5: Verification Steps
-Describe how to verify the fix worked.
+List how to verify the fix worked (verification_steps).
+
+## Output
+Submit everything as one structured remediation: Steps 1-3 in analysis, the overall risk, your confidence (0-100) that the remediation resolves the incident, whether human approval is required, the three scripts with their languages, and the verification steps.
 
 IMPORTANT SAFETY RULES:
 - Never generate code that could cause irreversible data loss
@@ -81,9 +99,11 @@ IMPORTANT SAFETY RULES:
    * @param {object} hypothesis - Parsed Cleric hypothesis
    * @param {string} runbookContext - Formatted Senso results
    * @param {object} incidentContext - Additional incident metadata
+   * @param {Array<{response: string, feedback: string}>} previousAttempts - Earlier
+   *   responses and what went wrong with them, replayed as conversation turns
    * @returns {Promise<{code: string, reasoning: string, risk: string, confidence: number}>}
    */
-  async generateRemediation(hypothesis, runbookContext, incidentContext = {}) {
+  async generateRemediation(hypothesis, runbookContext, incidentContext = {}, previousAttempts = []) {
     if (!this.apiKey) {
       logger.warn('Anthropic not configured - cannot generate remediation');
       return null;
@@ -95,22 +115,33 @@ IMPORTANT SAFETY RULES:
       logger.info('Requesting remediation from Anthropic', {
         model: this.model,
         hypothesisLength: hypothesis.hypothesis?.length || 0,
+        attempt: previousAttempts.length + 1,
       });
 
-      const response = await this.client.post('/v1/messages', {
-        model: this.model,
-        max_tokens: 4096,
-        system: this.getSystemPrompt(),
-        messages: [
-          { role: 'user', content: userPrompt }
-        ],
+      const result = await requestStructuredRemediation('Anthropic', async repairTurns => {
+        const startedAt = Date.now();
+        const response = await this.client.post('/v1/messages', {
+          model: this.model,
+          max_tokens: 4096,
+          system: this.getSystemPrompt(),
+          tools: [{
+            name: REMEDIATION_TOOL_NAME,
+            description: 'Submit the remediation for this incident',
+            input_schema: REMEDIATION_SCHEMA,
+          }],
+          tool_choice: { type: 'tool', name: REMEDIATION_TOOL_NAME },
+          messages: [
+            { role: 'user', content: userPrompt },
+            ...[...previousAttempts, ...repairTurns].flatMap(attempt => [
+              { role: 'assistant', content: attempt.response },
+              { role: 'user', content: attempt.feedback },
+            ]),
+          ],
+        });
+        await this._recordUsage(response.data, startedAt);
+        return this._extractToolInput(response.data);
       });
 
-      const content = response.data.content[0]?.text || '';
-
-      // Parse the response
-      const result = this._parseRemediationResponse(content);
-
       logger.info('Remediation generated', {
         hasCode: !!result.code,
         risk: result.risk,
@@ -152,65 +183,40 @@ ${runbookContext}
 
 ---
 
-Please analyze this incident and generate a remediation script following the Chain-of-Thought process defined in your instructions. If the risk is HIGH or you are uncertain, clearly state that human approval is required.`;
+Please analyze this incident and generate a remediation script following the Chain-of-Thought process defined in your instructions. If the risk is HIGH or you are uncertain, set requires_approval to true.`;
   }
 
   /**
-   * Parse the remediation response
+   * Report a Messages API response's tokens and latency
    */
-  _parseRemediationResponse(content) {
-    const result = {
-      raw: content,
-      code: null,
-      language: 'python', // Default
-      reasoning: '',
-      risk: 'UNKNOWN',
-      confidence: 50,
-      verificationSteps: [],
-      requiresApproval: false,
-    };
-
-    // Extract code block and language attribute
-    const codeMatch = content.match(/<execution_block(?:\s+language=["']?(\w+)["']?)?>([\s\S]*?)<\/execution_block>/);
-    if (codeMatch) {
-      result.language = codeMatch[1] || 'python';
-      result.code = codeMatch[2].trim();
-    }
-
-    // Extract risk level
-    const riskMatch = content.match(/(?:overall\s*)?risk[:\s]+(?:is\s+)?(LOW|MEDIUM|HIGH)/i);
-    if (riskMatch) {
-      result.risk = riskMatch[1].toUpperCase();
-    }
-
-    // Check for human approval requirement
-    result.requiresApproval =
-      result.risk === 'HIGH' ||
-      /human\s*(review|approval|intervention)\s*(is\s*)?(required|recommended|needed)/i.test(content) ||
-      /uncertain|unsure|not\s*confident/i.test(content);
-
-    // Extract reasoning (everything before the code block)
-    if (codeMatch) {
-      result.reasoning = content.substring(0, codeMatch.index).trim();
-    } else {
-      result.reasoning = content;
-    }
-
-    // Estimate confidence based on language
-    if (/certain|confident|clearly|definitely/i.test(content)) {
-      result.confidence = 85;
-    } else if (/likely|probably|should/i.test(content)) {
-      result.confidence = 70;
-    } else if (/might|could|possibly/i.test(content)) {
-      result.confidence = 50;
-    }
+  _recordUsage(data, startedAt) {
+    return llmUsage.record({
+      provider: this.constructor.name,
+      model: data?.model || this.model,
+      inputTokens: data?.usage?.input_tokens,
+      outputTokens: data?.usage?.output_tokens,
+      latencyMs: Date.now() - startedAt,
+    });
+  }
 
-    // Reduce confidence if risk is high
-    if (result.risk === 'HIGH') {
-      result.confidence = Math.min(result.confidence, 40);
+  /**
+   * Pull the submitted remediation out of a Messages API response
+   * Falls back to the text blocks, which then fail validation and get a
+   * repair turn.
+   */
+  _extractToolInput(data) {
+    const toolUse = data.content?.find(block => block.type === 'tool_use' && block.name === REMEDIATION_TOOL_NAME);
+    if (toolUse) {
+      return JSON.stringify(toolUse.input);
     }
+    return (data.content || []).map(block => block.text || '').join('');
+  }
 
-    return result;
+  /**
+   * Parse a stored or recorded remediation response
+   */
+  _parseRemediationResponse(content) {
+    return parseRemediationOutput(content);
   }
 }
 
@@ -0,0 +1,178 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import stateManager from '../state/redis.js';
+import slackClient from './slack.js';
+
+/**
+ * Auto-Remediation Circuit Breaker
+ * Caps the blast radius of remediation during wide outages:
+ * - at most AUTO_REMEDIATION_MAX_CONCURRENT scripts run at once
+ * - at most AUTO_REMEDIATION_MAX_PER_SERVICE_PER_HOUR unattended runs per service
+ * - a global pause (POST /admin/autoremediation/pause) stops unattended runs
+ * - the pause trips by itself when the verification failure rate over the
+ *   last AUTO_REMEDIATION_FAILURE_WINDOW_MS reaches the threshold
+ *
+ * Human-approved runs only count against the concurrency limit; a person
+ * has already decided they should go ahead.
+ */
+
+// A crashed worker's slot is reclaimed after this
+const SLOT_TTL_MS = 30 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+export class RemediationCircuitBreaker {
+  constructor(options = {}) {
+    const limits = config.autoRemediation;
+    this.store = options.store || stateManager;
+    this.maxConcurrent = options.maxConcurrent ?? limits.maxConcurrent;
+    this.maxPerServicePerHour = options.maxPerServicePerHour ?? limits.maxPerServicePerHour;
+    this.failureRateThreshold = options.failureRateThreshold ?? limits.failureRateThreshold;
+    this.failureWindowMs = options.failureWindowMs ?? limits.failureWindowMs;
+    this.failureMinSamples = options.failureMinSamples ?? limits.failureMinSamples;
+    this.tripCooldownMs = options.tripCooldownMs ?? limits.tripCooldownMs;
+  }
+
+  /**
+   * The active pause, or null
+   * A pause with an `until` in the past (an automatic trip that cooled down)
+   * counts as cleared.
+   */
+  async getPause() {
+    const pause = await this.store.getAutoRemediationPause();
+    if (pause?.until && Date.parse(pause.until) <= Date.now()) {
+      return null;
+    }
+    return pause;
+  }
+
+  /**
+   * Stop unattended remediation
+   *
+   * @param {object} options - { reason, pausedBy, durationMs, automatic }
+   */
+  async pause({ reason = 'manual', pausedBy = null, durationMs = null, automatic = false } = {}) {
+    const pause = {
+      reason,
+      paused_by: pausedBy,
+      paused_at: new Date().toISOString(),
+      until: durationMs ? new Date(Date.now() + durationMs).toISOString() : null,
+      automatic,
+    };
+
+    await this.store.setAutoRemediationPause(pause);
+    logger.warn('Auto-remediation paused', pause);
+
+    await this._notify(
+      `:octagonal_sign: Auto-remediation paused (${reason})` +
+      (pause.until ? ` until ${pause.until}` : '') +
+      '. Remediations will ask for approval in this channel.'
+    );
+    return pause;
+  }
+
+  async resume(resumedBy = null) {
+    await this.store.setAutoRemediationPause(null);
+    logger.info('Auto-remediation resumed', { resumedBy });
+    await this._notify(`:white_check_mark: Auto-remediation resumed${resumedBy ? ` by ${resumedBy}` : ''}.`);
+  }
+
+  /**
+   * Decide whether a remediation may run now, claiming a slot if so
+   * Callers must release the slot when execution ends.
+   *
+   * @param {string} incidentId
+   * @param {object} options - { service, attempt, unattended }
+   * @returns {Promise<{allowed: boolean, reason: string|null}>}
+   *   reason is paused, concurrency_limit or service_rate_limit
+   */
+  async admit(incidentId, { service, attempt = 1, unattended = true } = {}) {
+    if (unattended) {
+      const pause = await this.getPause();
+      if (pause) {
+        return { allowed: false, reason: 'paused', pause };
+      }
+    }
+
+    const slot = await this.store.acquireExecutionSlot(incidentId, {
+      service,
+      member: `${incidentId}:${attempt}`,
+      maxConcurrent: this.maxConcurrent,
+      maxPerService: unattended ? this.maxPerServicePerHour : 0,
+      windowMs: HOUR_MS,
+      slotTtlMs: SLOT_TTL_MS,
+    });
+
+    if (!slot.acquired) {
+      logger.warn('Remediation held by circuit breaker', {
+        incidentId,
+        serviceName: service,
+        reason: slot.reason,
+        running: slot.running,
+        serviceCount: slot.serviceCount,
+      });
+    }
+    return { allowed: slot.acquired, reason: slot.reason };
+  }
+
+  async release(incidentId) {
+    await this.store.releaseExecutionSlot(incidentId);
+  }
+
+  /**
+   * Record a verification outcome, tripping the breaker on a failure spike
+   */
+  async recordVerification(incidentId, success) {
+    await this.store.recordRemediationOutcome(incidentId, success, this.failureWindowMs);
+
+    if (success || await this.getPause()) {
+      return;
+    }
+
+    const stats = await this.getFailureStats();
+    if (stats.samples >= this.failureMinSamples && stats.failure_rate >= this.failureRateThreshold) {
+      await this.pause({
+        reason: 'verification_failure_rate',
+        pausedBy: 'circuit-breaker',
+        durationMs: this.tripCooldownMs,
+        automatic: true,
+      });
+    }
+  }
+
+  async getFailureStats() {
+    const outcomes = await this.store.getRemediationOutcomes(Date.now() - this.failureWindowMs);
+    const failures = outcomes.filter(o => !o.success).length;
+    return {
+      samples: outcomes.length,
+      failures,
+      failure_rate: outcomes.length > 0 ? Math.round((failures / outcomes.length) * 100) / 100 : 0,
+    };
+  }
+
+  async getStatus() {
+    return {
+      pause: await this.getPause(),
+      running: await this.store.getExecutionSlots(),
+      verification: await this.getFailureStats(),
+      limits: {
+        max_concurrent: this.maxConcurrent,
+        max_per_service_per_hour: this.maxPerServicePerHour,
+        failure_rate_threshold: this.failureRateThreshold,
+        failure_window_ms: this.failureWindowMs,
+        failure_min_samples: this.failureMinSamples,
+        trip_cooldown_ms: this.tripCooldownMs,
+      },
+    };
+  }
+
+  async _notify(message) {
+    try {
+      await slackClient.sendNotification(null, message);
+    } catch (error) {
+      logger.warn('Failed to post circuit breaker notice', { error: error.message });
+    }
+  }
+}
+
+export const remediationBreaker = new RemediationCircuitBreaker();
+export default remediationBreaker;
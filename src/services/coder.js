@@ -274,6 +274,24 @@ export class CoderClient {
     }
   }
 
+  /**
+   * List remediation workspaces owned by this token
+   * @returns {Promise<Array<{name: string, createdAt: string}>>}
+   */
+  async listWorkspaces() {
+    if (!this.baseUrl || !this.token) {
+      return [];
+    }
+
+    const response = await this.client.get('/api/v2/workspaces', {
+      params: { q: 'owner:me name:remediation-' },
+    });
+
+    return (response.data?.workspaces || [])
+      .filter(workspace => workspace.name.startsWith('remediation-'))
+      .map(workspace => ({ name: workspace.name, createdAt: workspace.created_at }));
+  }
+
   // ==========================================
   // Direct Docker Execution (Fallback Mode)
   // ==========================================
@@ -382,6 +400,23 @@ export class CoderClient {
     }
   }
 
+  /**
+   * List remediation containers, running or stopped
+   */
+  async listDockerContainers() {
+    const { stdout } = await execAsync(`docker ps -a --filter name=remediation- --format '{{.Names}}'`);
+    const names = stdout.split('\n').map(name => name.trim()).filter(name => name.startsWith('remediation-'));
+    if (names.length === 0) {
+      return [];
+    }
+
+    const { stdout: inspected } = await execAsync(`docker inspect -f '{{.Name}}|{{.Created}}' ${names.join(' ')}`);
+    return inspected.split('\n').filter(Boolean).map(line => {
+      const [name, createdAt] = line.split('|');
+      return { name: name.replace(/^\//, ''), createdAt };
+    });
+  }
+
   // ==========================================
   // Unified Interface (auto-selects mode)
   // ==========================================
@@ -416,6 +451,16 @@ export class CoderClient {
     return this.executeInWorkspace(name, code, language);
   }
 
+  /**
+   * List remediation sandboxes (unified interface)
+   */
+  async listSandboxes() {
+    if (this.useDirectDocker) {
+      return this.listDockerContainers();
+    }
+    return this.listWorkspaces();
+  }
+
   /**
    * Delete sandbox (unified interface)
    */
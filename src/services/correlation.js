@@ -0,0 +1,287 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import stateManager from '../state/redis.js';
+import jobQueue from '../state/job-queue.js';
+import incidentStateMachine, { STAGES } from '../state/state-machine.js';
+import { runWithEventSource } from '../state/event-log.js';
+import incidentProviders from './incident-providers.js';
+
+/**
+ * Alert Correlation Engine
+ *
+ * Groups incidents that fire together into a parent incident so one outage
+ * gets one OODA loop. An incident joins the best-matching parent opened
+ * within the correlation window when it:
+ * - is on the same service, or
+ * - shares a service with the parent's cleric_affected_services, or
+ * - has a near-identical title
+ *
+ * Children keep their own state but never run the pipeline. When the parent
+ * closes, its outcome is posted as a note on each child (in whichever
+ * on-call tool owns it) and the child is moved to the same stage.
+ */
+
+const CANDIDATE_PAGE_SIZE = 200;
+
+// Stages where the parent's pipeline is finished or in human hands
+const CLOSED_STAGES = new Set([STAGES.RESOLVED, STAGES.ESCALATED]);
+
+export class CorrelationEngine {
+  static JOBS = {
+    FAN_OUT: 'correlation_fan_out',
+  };
+
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? config.correlation.enabled;
+    this.windowMs = options.windowMs ?? config.correlation.windowMs;
+    this.titleSimilarityThreshold = options.titleSimilarityThreshold
+      ?? config.correlation.titleSimilarityThreshold;
+    this.queue = options.queue || jobQueue;
+  }
+
+  registerJobHandlers(queue = this.queue) {
+    queue.register(CorrelationEngine.JOBS.FAN_OUT, ({ incidentId }) =>
+      runWithEventSource('correlation', () => this.fanOutToChildren(incidentId))
+    );
+    return queue;
+  }
+
+  /**
+   * Attach an incident to a parent if one matches
+   * Callers must hold the incident's lock. The parent is updated with a
+   * compare-and-set mutation re-run against its latest state, so concurrent
+   * children all land in child_incident_ids and a parent that closed in the
+   * meantime is not joined.
+   *
+   * @param {string} incidentId
+   * @returns {Promise<object|null>} Parent incident, or null if none matched
+   */
+  async correlate(incidentId) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const incident = await stateManager.getIncidentState(incidentId);
+    if (!incident || incident.parent_incident_id || incident.child_incident_ids?.length > 0) {
+      return null;
+    }
+
+    const match = await this.findParent(incident);
+    if (!match) {
+      return null;
+    }
+
+    const { parent, score, reasons } = match;
+    const correlatedAt = new Date().toISOString();
+
+    const updatedParent = await stateManager.mutateIncidentState(parent.incident_id, (current) => {
+      // Its fan-out may already have run, which would strand the child
+      if (CLOSED_STAGES.has(current.current_stage) || current.parent_incident_id) {
+        return null;
+      }
+      return {
+        child_incident_ids: [...new Set([...(current.child_incident_ids || []), incidentId])],
+      };
+    });
+    if (!updatedParent) {
+      logger.info('Correlation parent closed before the incident joined it', {
+        incidentId,
+        parentIncidentId: parent.incident_id,
+      });
+      return null;
+    }
+
+    await stateManager.updateIncidentState(incidentId, {
+      parent_incident_id: parent.incident_id,
+      correlation: { score, reasons, correlated_at: correlatedAt },
+    });
+
+    logger.info('Incident correlated into parent', {
+      incidentId,
+      parentIncidentId: parent.incident_id,
+      score,
+      reasons,
+    });
+
+    return updatedParent;
+  }
+
+  /**
+   * Find the best open parent for an incident within the correlation window
+   */
+  async findParent(incident) {
+    const createdAt = Date.parse(incident.created_at) || Date.now();
+    const { incidents: candidates } = await stateManager.listIncidents({
+      since: new Date(createdAt - this.windowMs).toISOString(),
+      limit: CANDIDATE_PAGE_SIZE,
+    });
+
+    let best = null;
+    for (const candidate of candidates) {
+      // Replay scratch incidents are deleted when the replay ends
+      if (candidate.incident_id === incident.incident_id
+        || candidate.parent_incident_id
+        || candidate.replay_of
+        || CLOSED_STAGES.has(candidate.current_stage)
+        || Date.parse(candidate.created_at) > createdAt) {
+        continue;
+      }
+
+      const match = this.scoreMatch(incident, candidate);
+      if (!match) continue;
+
+      // Prefer the strongest match, then the earliest incident
+      if (!best
+        || match.score > best.score
+        || (match.score === best.score && candidate.created_at < best.parent.created_at)) {
+        best = { parent: candidate, ...match };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Score how strongly two incidents belong together
+   * @returns {{score: number, reasons: string[]}|null} null if unrelated
+   */
+  scoreMatch(incident, candidate) {
+    const reasons = [];
+    let score = 0;
+
+    if (incident.service_name && incident.service_name === candidate.service_name) {
+      reasons.push('same_service');
+      score += 1;
+    }
+
+    const services = (i) => new Set([i.service_name, ...(i.cleric_affected_services || [])]
+      .filter(Boolean)
+      .map(s => s.toLowerCase()));
+    const candidateServices = services(candidate);
+    if ([...services(incident)].some(s => candidateServices.has(s))
+      && (incident.cleric_affected_services?.length || candidate.cleric_affected_services?.length)) {
+      reasons.push('affected_services_overlap');
+      score += 1;
+    }
+
+    const titleSimilarity = this.titleSimilarity(incident.title, candidate.title);
+    if (titleSimilarity >= this.titleSimilarityThreshold) {
+      reasons.push('similar_title');
+    }
+    score += titleSimilarity;
+
+    return reasons.length > 0 ? { score: Math.round(score * 100) / 100, reasons } : null;
+  }
+
+  /**
+   * Jaccard similarity of title word sets, ignoring numbers and punctuation
+   */
+  titleSimilarity(a, b) {
+    const tokens = (title) => new Set(
+      String(title || '')
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(t => t.length > 1)
+    );
+
+    const left = tokens(a);
+    const right = tokens(b);
+    if (left.size === 0 || right.size === 0) {
+      return 0;
+    }
+
+    const shared = [...left].filter(t => right.has(t)).length;
+    return shared / (left.size + right.size - shared);
+  }
+
+  /**
+   * Post the parent's outcome to every child and move them to the same stage
+   * Safe to re-run: children already carrying this outcome are skipped
+   */
+  async fanOutToChildren(parentIncidentId) {
+    const parent = await stateManager.getIncidentState(parentIncidentId);
+    if (!parent || !parent.child_incident_ids?.length) {
+      return { notified: 0 };
+    }
+
+    const note = this._buildOutcomeNote(parent);
+    let notified = 0;
+
+    for (const childId of parent.child_incident_ids) {
+      await stateManager.withIncidentLock(childId, async () => {
+        const child = await stateManager.getIncidentState(childId);
+        if (!child || child.parent_outcome?.stage === parent.current_stage) {
+          return;
+        }
+
+        await incidentProviders.addNote(childId, note);
+
+        const outcome = {
+          parent_outcome: {
+            parent_incident_id: parentIncidentId,
+            stage: parent.current_stage,
+            resolution: parent.resolution || null,
+            noted_at: new Date().toISOString(),
+          },
+        };
+
+        if (incidentStateMachine.canTransition(child.current_stage, parent.current_stage)) {
+          await stateManager.transitionStage(childId, parent.current_stage, {
+            ...outcome,
+            ...(parent.current_stage === STAGES.RESOLVED
+              ? { resolved_at: new Date().toISOString(), resolution: 'correlated_parent_resolved' }
+              : { escalated_at: new Date().toISOString(), escalation_reason: 'correlated_parent_escalated' }),
+          });
+        } else {
+          await stateManager.updateIncidentState(childId, outcome);
+        }
+        notified++;
+      });
+    }
+
+    logger.info('Parent outcome fanned out to correlated incidents', {
+      incidentId: parentIncidentId,
+      stage: parent.current_stage,
+      children: parent.child_incident_ids.length,
+      notified,
+    });
+
+    return { notified };
+  }
+
+  _buildOutcomeNote(parent) {
+    const lines = [
+      `[Self-Healing Engine] Correlated with parent incident ${parent.incident_id} (${parent.title || 'untitled'}).`,
+      `Parent outcome: ${parent.current_stage}${parent.resolution ? ` (${parent.resolution})` : ''}.`,
+    ];
+
+    if (parent.cleric_root_cause || parent.cleric_hypothesis) {
+      lines.push(`Root cause: ${parent.cleric_root_cause || parent.cleric_hypothesis}`);
+    }
+    if (parent.verification_status) {
+      lines.push(`Verification: ${parent.verification_status}`);
+    }
+    if (parent.escalation_reason) {
+      lines.push(`Escalation reason: ${parent.escalation_reason}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export const correlationEngine = new CorrelationEngine();
+
+// Fan out once the parent's outcome is known; the queue keeps the
+// PagerDuty calls out of the parent's transition lock
+for (const stage of CLOSED_STAGES) {
+  incidentStateMachine.onEnter(stage, async (incident) => {
+    if (incident.child_incident_ids?.length > 0) {
+      await correlationEngine.queue.enqueue(CorrelationEngine.JOBS.FAN_OUT, {
+        incidentId: incident.incident_id,
+      }, { incidentId: incident.incident_id });
+    }
+  });
+}
+
+export default correlationEngine;
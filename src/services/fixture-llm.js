@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { ConfigurationError } from '../utils/errors.js';
+import anthropicClient from './anthropic.js';
+import geminiClient from './gemini.js';
+
+/**
+ * Fixture LLM Client
+ * Offline, deterministic stand-in for Anthropic/Gemini (LLM_PROVIDER=mock
+ * or fixture) for local development and tests.
+ *
+ * Responses are read from LLM_FIXTURES_DIR, one JSON file per hypothesis:
+ *   <fingerprint>.json  { hypothesis, responses: ["<raw attempt 1>", ...] }
+ * Attempt n gets responses[n - 1] (the last one once they run out) and is
+ * parsed with the Anthropic response parser, so the result has the same
+ * shape as a real call. A hypothesis without a fixture gets _default.json,
+ * or null (like an unconfigured provider) if there is none.
+ *
+ * With LLM_FIXTURES_MODE=record, calls go to LLM_FIXTURES_RECORD_PROVIDER
+ * and each raw response is written to the hypothesis' fixture.
+ */
+
+export const FIXTURE_MODES = {
+  REPLAY: 'replay',
+  RECORD: 'record',
+};
+
+const DEFAULT_FIXTURE = '_default';
+
+const RECORD_PROVIDERS = {
+  anthropic: anthropicClient,
+  gemini: geminiClient,
+};
+
+/**
+ * Stable id for a hypothesis: its text, root cause and affected services,
+ * ignoring case, whitespace and confidence
+ */
+export function hypothesisFingerprint(hypothesis = {}) {
+  const normalize = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  const material = [
+    normalize(hypothesis.hypothesis),
+    normalize(hypothesis.rootCause),
+    (hypothesis.affectedServices || []).map(normalize).sort().join(','),
+  ].join('\n');
+
+  return crypto.createHash('sha256').update(material).digest('hex').slice(0, 16);
+}
+
+export class FixtureLlmClient {
+  constructor(options = {}) {
+    const settings = config.llm.fixtures;
+    this.dir = options.dir || settings.dir;
+    this.mode = options.mode || settings.mode;
+    this.recordProvider = options.recordProvider || settings.recordProvider;
+    this.parser = options.parser || anthropicClient;
+    this.model = `fixture:${this.mode}`;
+  }
+
+  /**
+   * Serve (or record) the remediation for a hypothesis
+   * Same signature and result as AnthropicClient.generateRemediation
+   */
+  async generateRemediation(hypothesis, runbookContext, incidentContext = {}, previousAttempts = []) {
+    const fingerprint = hypothesisFingerprint(hypothesis);
+    const attempt = previousAttempts.length + 1;
+
+    if (this.mode === FIXTURE_MODES.RECORD) {
+      return this._record(fingerprint, attempt, hypothesis, runbookContext, incidentContext, previousAttempts);
+    }
+
+    const fixture = await this._read(fingerprint) || await this._read(DEFAULT_FIXTURE);
+    const responses = fixture?.responses || [];
+    if (responses.length === 0) {
+      logger.warn('No LLM fixture for hypothesis', { fingerprint, dir: this.dir, attempt });
+      return null;
+    }
+
+    logger.info('Serving remediation from fixture', {
+      fingerprint,
+      fixture: fixture.fingerprint || DEFAULT_FIXTURE,
+      attempt,
+    });
+    return this._parseRemediationResponse(responses[Math.min(attempt, responses.length) - 1]);
+  }
+
+  _parseRemediationResponse(content) {
+    return this.parser._parseRemediationResponse(content);
+  }
+
+  /**
+   * Forward to the real provider and store its raw response
+   */
+  async _record(fingerprint, attempt, hypothesis, runbookContext, incidentContext, previousAttempts) {
+    const upstream = RECORD_PROVIDERS[this.recordProvider];
+    if (!upstream) {
+      throw new ConfigurationError(`Unknown LLM fixture record provider: ${this.recordProvider}`);
+    }
+
+    const result = await upstream.generateRemediation(hypothesis, runbookContext, incidentContext, previousAttempts);
+    if (!result?.raw) {
+      return result;
+    }
+
+    const fixture = await this._read(fingerprint) || { fingerprint, hypothesis, responses: [] };
+    fixture.responses[attempt - 1] = result.raw;
+    fixture.provider = upstream.constructor.name;
+    fixture.model = upstream.model;
+    fixture.recorded_at = new Date().toISOString();
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this._path(fingerprint), `${JSON.stringify(fixture, null, 2)}\n`);
+    logger.info('Recorded LLM fixture', { fingerprint, attempt, provider: fixture.provider });
+    return result;
+  }
+
+  async _read(name) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this._path(name), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Unreadable LLM fixture', { fixture: name, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  _path(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+}
+
+export const fixtureLlmClient = new FixtureLlmClient();
+export default fixtureLlmClient;
@@ -0,0 +1,450 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import stateManager from '../state/redis.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+/**
+ * Change-Freeze Calendar
+ * Release freezes and maintenance windows during which Vigil must not
+ * auto-execute. Windows come from an iCal feed (FREEZE_CALENDAR_PATH, or
+ * POSTed to /admin/freezes/import) or are created ad hoc through the API.
+ *
+ * Modes:
+ * - approval: remediations still run, but only after Slack approval
+ * - diagnosis_only: nothing runs; the incident is escalated with the diagnosis
+ *
+ * iCal events may set X-VIGIL-MODE (approval | diagnosis_only) and
+ * X-VIGIL-SERVICES (comma-separated); events without services freeze
+ * everything. Recurring events with FREQ=DAILY or WEEKLY (INTERVAL, COUNT,
+ * UNTIL, BYDAY) are expanded into one window per occurrence up to
+ * RECURRENCE_HORIZON_DAYS ahead; the configured calendar is re-imported
+ * daily to keep that horizon filled. A feed with any other recurrence is
+ * rejected rather than half-imported.
+ */
+
+export const FREEZE_MODES = {
+  APPROVAL: 'approval',
+  DIAGNOSIS_ONLY: 'diagnosis_only',
+};
+
+const MODES = new Set(Object.values(FREEZE_MODES));
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECURRENCE_HORIZON_DAYS = 90;
+// Upper bound on occurrences walked per event, past ones included
+const MAX_OCCURRENCES = 5000;
+const REFRESH_INTERVAL_MS = DAY_MS;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_RRULE_PARTS = new Set(['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST']);
+
+export class FreezeCalendar {
+  constructor(options = {}) {
+    this.store = options.store || stateManager;
+    this.calendarPath = options.calendarPath ?? config.freeze.calendarPath;
+    this.defaultMode = options.defaultMode || config.freeze.defaultMode;
+    this.timer = null;
+  }
+
+  /**
+   * Create (or replace, when the id exists) a freeze window
+   *
+   * @param {object} input - { id, title, starts_at, ends_at | duration_minutes,
+   *   mode, services, created_by, source }
+   */
+  async createWindow(input = {}) {
+    const startsAt = input.starts_at ? new Date(input.starts_at) : new Date();
+    const endsAt = input.ends_at
+      ? new Date(input.ends_at)
+      : new Date(startsAt.getTime() + (Number(input.duration_minutes) || 0) * 60000);
+    const mode = input.mode || this.defaultMode;
+
+    if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+      throw new ValidationError('starts_at and ends_at must be ISO timestamps');
+    }
+    if (endsAt <= startsAt) {
+      throw new ValidationError('A freeze must end after it starts (set ends_at or duration_minutes)');
+    }
+    if (!MODES.has(mode)) {
+      throw new ValidationError(`mode must be one of: ${[...MODES].join(', ')}`);
+    }
+
+    const services = typeof input.services === 'string' ? input.services.split(',') : (input.services || []);
+
+    const window = {
+      id: input.id || `freeze-${crypto.randomUUID()}`,
+      title: input.title || 'Change freeze',
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString(),
+      mode,
+      services: services.map(s => String(s).trim()).filter(Boolean),
+      source: input.source || 'api',
+      created_by: input.created_by || null,
+      created_at: new Date().toISOString(),
+    };
+
+    await this.store.saveFreezeWindow(window);
+    logger.info('Freeze window saved', {
+      id: window.id,
+      mode: window.mode,
+      startsAt: window.starts_at,
+      endsAt: window.ends_at,
+      services: window.services,
+    });
+    return window;
+  }
+
+  /**
+   * List windows that have not ended yet, or all retained windows
+   */
+  async listWindows({ includeEnded = false } = {}) {
+    return this.store.getFreezeWindows(includeEnded ? {} : { endingAfter: new Date() });
+  }
+
+  async deleteWindow(id) {
+    if (!(await this.store.deleteFreezeWindow(id))) {
+      throw new NotFoundError(`Freeze window ${id}`);
+    }
+    logger.info('Freeze window deleted', { id });
+  }
+
+  /**
+   * The window freezing a service right now, if any
+   * When several overlap, diagnosis_only beats approval, then the one
+   * ending last wins.
+   *
+   * @param {string} serviceName
+   * @param {Date} at
+   * @returns {Promise<object|null>}
+   */
+  async getActiveWindow(serviceName, at = new Date()) {
+    const windows = await this.store.getFreezeWindows({ endingAfter: at });
+    const active = windows.filter(w =>
+      Date.parse(w.starts_at) <= at.getTime()
+      && (w.services.length === 0 || w.services.includes(serviceName))
+    );
+
+    active.sort((a, b) =>
+      (b.mode === FREEZE_MODES.DIAGNOSIS_ONLY) - (a.mode === FREEZE_MODES.DIAGNOSIS_ONLY)
+      || Date.parse(b.ends_at) - Date.parse(a.ends_at)
+    );
+    return active[0] || null;
+  }
+
+  /**
+   * Import events from an iCal document
+   * Re-importing the same feed updates windows in place (ids derive from UID,
+   * plus the start of each occurrence for recurring events).
+   *
+   * @param {string} text - iCalendar (RFC 5545) text
+   * @returns {Promise<{imported: number, skipped: number}>}
+   * @throws {ValidationError} If an event recurs in a way that is not
+   *   supported; nothing is imported then
+   */
+  async importICal(text, { createdBy = null, now = new Date() } = {}) {
+    const events = parseICal(text);
+
+    const unsupported = events
+      .map(event => ({ event, problem: event.rrule && unsupportedRecurrence(event) }))
+      .filter(({ problem }) => problem);
+    if (unsupported.length > 0) {
+      throw new ValidationError(`Unsupported recurring freeze events: ${unsupported
+        .map(({ event, problem }) => `${event.summary || event.uid || 'untitled'} (${problem})`)
+        .join('; ')}`);
+    }
+
+    const horizon = new Date(now.getTime() + RECURRENCE_HORIZON_DAYS * DAY_MS);
+    let imported = 0;
+    let skipped = 0;
+
+    for (const event of events) {
+      if (!event.start || !event.end) {
+        skipped++;
+        continue;
+      }
+
+      const key = event.uid || `${event.summary}${event.start}`;
+      const occurrences = event.rrule
+        ? expandRecurrence(event, horizon).map(start => ({
+          id: windowId(`${key}:${start.toISOString()}`),
+          start,
+          end: new Date(start.getTime() + (event.end - event.start)),
+        }))
+        : [{ id: windowId(key), start: event.start, end: event.end }];
+
+      const upcoming = occurrences.filter(o => o.end > now);
+      if (upcoming.length === 0) {
+        skipped++;
+        continue;
+      }
+
+      for (const occurrence of upcoming) {
+        await this.createWindow({
+          id: occurrence.id,
+          title: event.summary,
+          starts_at: occurrence.start,
+          ends_at: occurrence.end,
+          mode: MODES.has(event.mode) ? event.mode : this.defaultMode,
+          services: event.services,
+          source: 'ical',
+          created_by: createdBy,
+        });
+        imported++;
+      }
+    }
+
+    logger.info('Freeze calendar imported', { imported, skipped });
+    return { imported, skipped };
+  }
+
+  /**
+   * Import the configured iCal file, if any
+   */
+  async importConfiguredCalendar() {
+    if (!this.calendarPath) {
+      return null;
+    }
+    const text = await fs.promises.readFile(this.calendarPath, 'utf8');
+    return this.importICal(text, { createdBy: this.calendarPath });
+  }
+
+  /**
+   * Re-import the configured calendar daily, so recurring windows keep
+   * being expanded ahead and feed edits are picked up
+   */
+  startRefresh(intervalMs = REFRESH_INTERVAL_MS) {
+    if (this.timer || !this.calendarPath) {
+      return this;
+    }
+
+    this.timer = setInterval(() => {
+      this.importConfiguredCalendar().catch(error => {
+        logger.error('Freeze calendar refresh failed', { path: this.calendarPath, error: error.message });
+      });
+    }, intervalMs);
+    this.timer.unref();
+    return this;
+  }
+
+  stopRefresh() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+function windowId(key) {
+  return `ical-${crypto.createHash('sha256').update(key).digest('hex').slice(0, 16)}`;
+}
+
+function parseRRule(rrule) {
+  return Object.fromEntries(rrule.split(';').filter(Boolean).map(part => {
+    const [name, value = ''] = part.split('=');
+    return [name.trim().toUpperCase(), value.trim().toUpperCase()];
+  }));
+}
+
+/**
+ * Why an event's RRULE cannot be expanded, or null if it can
+ */
+function unsupportedRecurrence(event) {
+  const rule = parseRRule(event.rrule);
+  const unknown = Object.keys(rule).filter(part => !SUPPORTED_RRULE_PARTS.has(part));
+
+  if (rule.FREQ !== 'DAILY' && rule.FREQ !== 'WEEKLY') {
+    return `FREQ=${rule.FREQ || 'missing'} is not supported, only DAILY and WEEKLY`;
+  }
+  if (unknown.length > 0) {
+    return `${unknown.join(', ')} not supported`;
+  }
+  if (rule.BYDAY && !rule.BYDAY.split(',').every(day => WEEKDAYS.includes(day))) {
+    return `BYDAY=${rule.BYDAY} is not supported, only plain weekdays`;
+  }
+  if (rule.INTERVAL && !(parseInt(rule.INTERVAL, 10) > 0)) {
+    return `INTERVAL=${rule.INTERVAL} is invalid`;
+  }
+  if (rule.UNTIL && !parseICalDate(rule.UNTIL, event.tzid)) {
+    return `UNTIL=${rule.UNTIL} is invalid`;
+  }
+  return null;
+}
+
+/**
+ * Occurrence starts of a DAILY or WEEKLY event, up to the horizon
+ * Steps in the event's wall-clock time, so a window keeps its local hour
+ * across DST changes.
+ *
+ * @returns {Date[]}
+ */
+function expandRecurrence(event, horizon) {
+  const rule = parseRRule(event.rrule);
+  const interval = parseInt(rule.INTERVAL || '1', 10);
+  const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+  const until = rule.UNTIL ? parseICalDate(rule.UNTIL, event.tzid) : null;
+
+  const first = toWallClock(event.start, event.tzid);
+  const firstDay = Math.floor(first / DAY_MS) * DAY_MS;
+  const timeOfDay = first - firstDay;
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.split(',').map(day => WEEKDAYS.indexOf(day))
+    : [new Date(firstDay).getUTCDay()];
+
+  // Days of each period that can hold an occurrence, as offsets from its start
+  const periodDays = rule.FREQ === 'WEEKLY' ? 7 * interval : interval;
+  const periodStart = rule.FREQ === 'WEEKLY'
+    ? firstDay - ((new Date(firstDay).getUTCDay() + 6) % 7) * DAY_MS // Monday
+    : firstDay;
+  const offsets = rule.FREQ === 'WEEKLY'
+    ? byDay.map(day => ((day + 6) % 7) * DAY_MS).sort((a, b) => a - b)
+    : [0];
+
+  const starts = [];
+  let seen = 0;
+  for (let period = 0; seen < Math.min(count, MAX_OCCURRENCES); period++) {
+    for (const offset of offsets) {
+      const day = periodStart + period * periodDays * DAY_MS + offset;
+      if (day < firstDay) {
+        continue;
+      }
+
+      const start = fromWallClock(day + timeOfDay, event.tzid);
+      if ((until && start > until) || start > horizon) {
+        return starts;
+      }
+      if (rule.FREQ === 'DAILY' && rule.BYDAY && !byDay.includes(new Date(day).getUTCDay())) {
+        continue;
+      }
+      starts.push(start);
+      if (++seen >= Math.min(count, MAX_OCCURRENCES)) {
+        break;
+      }
+    }
+  }
+  return starts;
+}
+
+/**
+ * Parse VEVENTs out of an iCalendar document
+ *
+ * @returns {Array<{uid, summary, start: Date, end: Date, allDay, tzid, mode, services, rrule}>}
+ */
+export function parseICal(text) {
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event) events.push(event);
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const [name, ...params] = line.slice(0, separator).split(';');
+    const value = line.slice(separator + 1);
+    const tzid = params.find(p => p.startsWith('TZID='))?.slice('TZID='.length).replace(/^"(.*)"$/, '$1');
+
+    switch (name.toUpperCase()) {
+      case 'UID': event.uid = value; break;
+      case 'SUMMARY': event.summary = unescapeText(value); break;
+      case 'DTSTART':
+        event.start = parseICalDate(value, tzid);
+        event.allDay = !value.includes('T');
+        event.tzid = value.endsWith('Z') ? null : tzid || null;
+        break;
+      case 'DTEND': event.end = parseICalDate(value, tzid); break;
+      case 'RRULE': event.rrule = value; break;
+      case 'X-VIGIL-MODE': event.mode = value.trim().toLowerCase(); break;
+      case 'X-VIGIL-SERVICES': event.services = unescapeText(value).split(','); break;
+      default: break;
+    }
+  }
+
+  // An all-day event without DTEND lasts one day
+  for (const e of events) {
+    if (e.start && !e.end && e.allDay) {
+      e.end = new Date(e.start.getTime() + DAY_MS);
+    }
+  }
+
+  return events;
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, '\n');
+}
+
+/**
+ * Parse DATE / DATE-TIME values: 20261224, 20261224T180000Z, or local time
+ * in a TZID (floating times are treated as UTC)
+ */
+function parseICalDate(value, tzid) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, y, mo, d, h = '0', mi = '0', s = '0', utc] = match;
+  const wallClock = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s);
+  return fromWallClock(wallClock, utc ? null : tzid);
+}
+
+/**
+ * A local time in a TZID (as a UTC timestamp of the same wall clock) to a Date
+ */
+function fromWallClock(wallClock, tzid) {
+  if (!tzid) {
+    return new Date(wallClock);
+  }
+
+  try {
+    // Two passes settle the offset across DST changes
+    let ts = wallClock - zoneOffset(wallClock, tzid);
+    ts = wallClock - zoneOffset(ts, tzid);
+    return new Date(ts);
+  } catch {
+    logger.warn('Unknown iCal TZID, treating time as UTC', { tzid });
+    return new Date(wallClock);
+  }
+}
+
+/**
+ * The wall clock in a TZID at a Date, as a UTC timestamp
+ */
+function toWallClock(date, tzid) {
+  if (!tzid) {
+    return date.getTime();
+  }
+  try {
+    return date.getTime() + zoneOffset(date.getTime(), tzid);
+  } catch {
+    return date.getTime();
+  }
+}
+
+function zoneOffset(ts, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(new Date(ts)).map(p => [p.type, p.value])
+  );
+  return Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) - ts;
+}
+
+export const freezeCalendar = new FreezeCalendar();
+export default freezeCalendar;
@@ -2,12 +2,16 @@ import axios from 'axios';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import { ConfigurationError, ExternalServiceError } from '../utils/errors.js';
+import { parseRemediationOutput, requestStructuredRemediation, toGeminiSchema } from './remediation-schema.js';
+import llmUsage from './llm-usage.js';
 
 /**
  * Google Gemini API Client
  * Alternative "Brain" implementation using Google's Generative AI
  *
  * Implements the same interface as AnthropicClient for hot-swapping
+ * The remediation comes back as JSON constrained by a response schema
+ * (REMEDIATION_SCHEMA in Gemini's format).
  */
 
 export class GeminiClient {
@@ -42,16 +46,27 @@ List potential risks of the proposed remediation:
 Rate the overall risk as: LOW, MEDIUM, or HIGH
 
 ## Step 4: Generate Remediation Code
-If risk is acceptable, generate the remediation script. The code must:
+If risk is acceptable, generate the remediation script (remediation_code, in bash or python). The code must:
 - Be idempotent (safe to run multiple times)
 - Include error handling
 - Log all actions taken
 - Have a dry-run mode where possible
 
-Wrap the executable code in <execution_block language="bash|python"> tags.
+Then generate a rollback script (rollback_code, REQUIRED) that undoes every
+change the remediation makes and is safe to run after a partial or failed
+remediation. Remediations without a rollback script are never executed
+automatically.
+
+Where possible, add a reproduction script (reproduction_code) that fails while
+the bug is present and exits 0 once it is fixed.
+
+If the risk is not acceptable, leave the scripts empty and explain why in the analysis.
 
 ## Step 5: Verification Steps
-Describe how to verify the fix worked.
+List how to verify the fix worked (verification_steps).
+
+## Output
+Respond with one JSON remediation: Steps 1-3 in analysis, the overall risk, your confidence (0-100) that the remediation resolves the incident, whether human approval is required, the scripts with their languages, and the verification steps.
 
 IMPORTANT SAFETY RULES:
 - Never generate code that could cause irreversible data loss
@@ -66,9 +81,11 @@ IMPORTANT SAFETY RULES:
    * @param {object} hypothesis - Parsed Cleric hypothesis
    * @param {string} runbookContext - Formatted Senso results
    * @param {object} incidentContext - Additional incident metadata
+   * @param {Array<{response: string, feedback: string}>} previousAttempts - Earlier
+   *   responses and what went wrong with them, replayed as conversation turns
    * @returns {Promise<{code: string, reasoning: string, risk: string, confidence: number}>}
    */
-  async generateRemediation(hypothesis, runbookContext, incidentContext = {}) {
+  async generateRemediation(hypothesis, runbookContext, incidentContext = {}, previousAttempts = []) {
     if (!this.apiKey) {
       logger.warn('Gemini not configured');
       throw new ConfigurationError('Gemini API Key not configured');
@@ -81,40 +98,55 @@ IMPORTANT SAFETY RULES:
       logger.info('Requesting remediation from Gemini', {
         model: this.model,
         hypothesisLength: hypothesis.hypothesis?.length || 0,
+        attempt: previousAttempts.length + 1,
       });
 
       // Gemini API Structure
       const url = `${this.baseUrl}/${this.model}:generateContent?key=${this.apiKey}`;
       
-      const requestBody = {
-        contents: [{
-          parts: [{ text: prompt }]
-        }],
-        systemInstruction: {
-            parts: [{ text: systemInstruction }]
-        },
-        generationConfig: {
-          temperature: 0.2, // Low temperature for more deterministic/safe code
-          maxOutputTokens: 4096,
+      const result = await requestStructuredRemediation('Gemini', async repairTurns => {
+        const requestBody = {
+          contents: [
+            { role: 'user', parts: [{ text: prompt }] },
+            ...[...previousAttempts, ...repairTurns].flatMap(attempt => [
+              { role: 'model', parts: [{ text: attempt.response }] },
+              { role: 'user', parts: [{ text: attempt.feedback }] },
+            ]),
+          ],
+          systemInstruction: {
+              parts: [{ text: systemInstruction }]
+          },
+          generationConfig: {
+            temperature: 0.2, // Low temperature for more deterministic/safe code
+            maxOutputTokens: 4096,
+            responseMimeType: 'application/json',
+            responseSchema: toGeminiSchema(),
+          }
+        };
+
+        const startedAt = Date.now();
+        const response = await axios.post(url, requestBody, {
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          timeout: 120000,
+        });
+        await llmUsage.record({
+          provider: this.constructor.name,
+          model: this.model,
+          inputTokens: response.data.usageMetadata?.promptTokenCount,
+          outputTokens: response.data.usageMetadata?.candidatesTokenCount,
+          latencyMs: Date.now() - startedAt,
+        });
+
+        const content = response.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+
+        if (!content) {
+          throw new Error('Empty response from Gemini');
         }
-      };
-
-      const response = await axios.post(url, requestBody, {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        timeout: 120000,
+        return content;
       });
 
-      const content = response.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-
-      if (!content) {
-        throw new Error('Empty response from Gemini');
-      }
-
-      // Parse the response
-      const result = this._parseRemediationResponse(content);
-
       logger.info('Remediation generated (Gemini)', {
         hasCode: !!result.code,
         risk: result.risk,
@@ -157,76 +189,14 @@ ${runbookContext}
 
 ---
 
-Please analyze this incident and generate a remediation script following the Chain-of-Thought process defined in your instructions. If the risk is HIGH or you are uncertain, clearly state that human approval is required.`;
+Please analyze this incident and generate a remediation script following the Chain-of-Thought process defined in your instructions. If the risk is HIGH or you are uncertain, set requires_approval to true.`;
   }
 
   /**
-   * Parse the remediation response (Same logic as AnthropicClient)
+   * Parse a stored or recorded remediation response
    */
   _parseRemediationResponse(content) {
-    const result = {
-      raw: content,
-      code: null,
-      language: 'python', // Default
-      reasoning: '',
-      risk: 'UNKNOWN',
-      confidence: 50,
-      verificationSteps: [],
-      requiresApproval: false,
-    };
-
-    // Extract code block and language attribute
-    const codeMatch = content.match(/<execution_block(?:\s+language=["']?(\w+)["']?)?>([\s\S]*?)<\/execution_block>/);
-    if (codeMatch) {
-      result.language = codeMatch[1] || 'python';
-      result.code = codeMatch[2].trim();
-      // Clean up markdown code fence if present inside the block
-      result.code = result.code.replace(/^```\w*\n/, '').replace(/\n```$/, '');
-    }
-
-    // Fallback: Detect language from shebang if not explicitly set
-    if (result.code && (!codeMatch || !codeMatch[1])) {
-      if (result.code.startsWith('#!/bin/bash') || result.code.startsWith('#!/bin/sh')) {
-        result.language = 'bash';
-      } else if (result.code.startsWith('#!/usr/bin/env python') || result.code.startsWith('#!/usr/bin/python')) {
-        result.language = 'python';
-      }
-    }
-
-    // Extract risk level
-    const riskMatch = content.match(/(?:overall\s*)?risk[:\s]+(?:is\s+)?(LOW|MEDIUM|HIGH)/i);
-    if (riskMatch) {
-      result.risk = riskMatch[1].toUpperCase();
-    }
-
-    // Check for human approval requirement
-    result.requiresApproval =
-      result.risk === 'HIGH' ||
-      /human\s*(review|approval|intervention)\s*(is\s*)?(required|recommended|needed)/i.test(content) ||
-      /uncertain|unsure|not\s*confident/i.test(content);
-
-    // Extract reasoning (everything before the code block)
-    if (codeMatch) {
-      result.reasoning = content.substring(0, codeMatch.index).trim();
-    } else {
-      result.reasoning = content;
-    }
-
-    // Estimate confidence based on language
-    if (/certain|confident|clearly|definitely/i.test(content)) {
-      result.confidence = 85;
-    } else if (/likely|probably|should/i.test(content)) {
-      result.confidence = 70;
-    } else if (/might|could|possibly/i.test(content)) {
-      result.confidence = 50;
-    }
-
-    // Reduce confidence if risk is high
-    if (result.risk === 'HIGH') {
-      result.confidence = Math.min(result.confidence, 40);
-    }
-
-    return result;
+    return parseRemediationOutput(content);
   }
 }
 
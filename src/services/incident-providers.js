@@ -0,0 +1,392 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { ConfigurationError } from '../utils/errors.js';
+import stateManager from '../state/redis.js';
+import { EVENT_TYPES } from '../state/event-log.js';
+import { isShadowIncident } from './shadow-mode.js';
+import pagerdutyClient from './pagerduty.js';
+import opsgenieClient from './opsgenie.js';
+
+/**
+ * Incident Providers
+ * The on-call tools that own incidents outside Vigil (PagerDuty, Opsgenie,
+ * or a local file for development). The orchestrator never talks to a tool
+ * directly; it asks the registry for the incident's provider.
+ *
+ * An incident from an on-call tool (source pagerduty or opsgenie) always
+ * belongs to that tool, since its id is that tool's id. Sources without an
+ * on-call tool of their own (Datadog, Alertmanager) are routed by
+ * RESPONDER_BY_SERVICE, then RESPONDER_DEFAULT: the first write opens an
+ * incident there and later writes go to it (provider_incident on the
+ * incident). If that tool is not configured, the local provider is used.
+ *
+ * Writes for incidents in shadow mode are not sent; they are recorded on the
+ * incident timeline instead.
+ */
+
+/**
+ * IncidentProvider interface
+ * Implementations receive Vigil incident ids and map them to their own.
+ */
+export class IncidentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async addNote(incidentId, content) {
+    throw new Error(`${this.name} provider does not implement addNote`);
+  }
+
+  async acknowledge(incidentId) {
+    throw new Error(`${this.name} provider does not implement acknowledge`);
+  }
+
+  async resolve(incidentId) {
+    throw new Error(`${this.name} provider does not implement resolve`);
+  }
+
+  async getIncident(incidentId) {
+    throw new Error(`${this.name} provider does not implement getIncident`);
+  }
+
+  /**
+   * @param {string} incidentId
+   * @param {object} assignee - { userId, username, escalationPolicyId }
+   */
+  async reassign(incidentId, assignee) {
+    throw new Error(`${this.name} provider does not implement reassign`);
+  }
+
+  /**
+   * Open an incident for an alert from a source with no on-call tool
+   *
+   * @param {string} incidentId - Vigil incident id, used to dedupe opens
+   * @param {object} incidentState
+   * @returns {Promise<string|null>} The provider's incident id, or null if
+   *   the provider is not configured
+   */
+  async openIncident(incidentId, incidentState) {
+    throw new Error(`${this.name} provider does not implement openIncident`);
+  }
+}
+
+export class PagerDutyProvider extends IncidentProvider {
+  constructor(client = pagerdutyClient) {
+    super('pagerduty');
+    this.client = client;
+  }
+
+  addNote(incidentId, content) {
+    return this.client.addNote(incidentId, content);
+  }
+
+  acknowledge(incidentId) {
+    return this.client.acknowledgeIncident(incidentId);
+  }
+
+  resolve(incidentId) {
+    return this.client.resolveIncident(incidentId);
+  }
+
+  getIncident(incidentId) {
+    return this.client.getIncident(incidentId);
+  }
+
+  reassign(incidentId, assignee) {
+    return this.client.reassignIncident(incidentId, assignee);
+  }
+
+  async openIncident(incidentId, incidentState) {
+    if (!this.client.apiKey || !config.pagerduty.serviceId) {
+      return null;
+    }
+    const incident = await this.client.createIncident({
+      title: incidentState.title || incidentId,
+      urgency: incidentState.urgency,
+      incidentKey: incidentId,
+      details: `Opened by the self-healing engine for ${incidentState.source || 'an external'} alert ${incidentId}`,
+    });
+    return incident.id;
+  }
+}
+
+export class OpsgenieProvider extends IncidentProvider {
+  constructor(client = opsgenieClient) {
+    super('opsgenie');
+    this.client = client;
+  }
+
+  addNote(incidentId, content) {
+    return this.client.addNote(incidentId, content);
+  }
+
+  acknowledge(incidentId) {
+    return this.client.acknowledgeAlert(incidentId);
+  }
+
+  resolve(incidentId) {
+    return this.client.closeAlert(incidentId);
+  }
+
+  getIncident(incidentId) {
+    return this.client.getAlert(incidentId);
+  }
+
+  reassign(incidentId, assignee) {
+    return this.client.assignAlert(incidentId, assignee.username || assignee.userId);
+  }
+
+  openIncident(incidentId, incidentState) {
+    if (!this.client.apiKey) {
+      return Promise.resolve(null);
+    }
+    return this.client.createAlert({
+      message: incidentState.title || incidentId,
+      alias: incidentId,
+      description: `Opened by the self-healing engine for ${incidentState.source || 'an external'} alert ${incidentId}`,
+      priority: incidentState.urgency === 'low' ? 'P3' : 'P1',
+    });
+  }
+}
+
+/**
+ * Development stub that keeps incidents in a local JSON file
+ * Lets the whole pipeline run without a PagerDuty or Opsgenie account
+ */
+export class LocalIncidentProvider extends IncidentProvider {
+  constructor(options = {}) {
+    super('local');
+    this.path = options.path || config.incidentProviders.localPath || './data/local-incidents.json';
+    this.pending = Promise.resolve();
+  }
+
+  addNote(incidentId, content) {
+    return this._update(incidentId, (incident) => {
+      incident.notes.push({ content, created_at: new Date().toISOString() });
+    });
+  }
+
+  acknowledge(incidentId) {
+    return this._update(incidentId, (incident) => {
+      incident.status = 'acknowledged';
+      incident.acknowledged_at = new Date().toISOString();
+    });
+  }
+
+  resolve(incidentId) {
+    return this._update(incidentId, (incident) => {
+      incident.status = 'resolved';
+      incident.resolved_at = new Date().toISOString();
+    });
+  }
+
+  async getIncident(incidentId) {
+    const incidents = await this._read();
+    return incidents[incidentId] || null;
+  }
+
+  reassign(incidentId, assignee) {
+    return this._update(incidentId, (incident) => {
+      incident.assignee = assignee;
+    });
+  }
+
+  async openIncident(incidentId, incidentState) {
+    await this._update(incidentId, (incident) => {
+      incident.title = incidentState.title || null;
+      incident.source = incidentState.source || null;
+    });
+    return incidentId;
+  }
+
+  /**
+   * Read-modify-write the file, one update at a time
+   */
+  _update(incidentId, mutate) {
+    const run = this.pending.then(async () => {
+      const incidents = await this._read();
+      const incident = incidents[incidentId] || {
+        id: incidentId,
+        status: 'triggered',
+        notes: [],
+        created_at: new Date().toISOString(),
+      };
+
+      mutate(incident);
+      incident.updated_at = new Date().toISOString();
+      incidents[incidentId] = incident;
+
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.promises.writeFile(this.path, JSON.stringify(incidents, null, 2));
+
+      logger.debug('Local incident updated', { incidentId, status: incident.status });
+      return incident;
+    });
+
+    // Keep the chain alive if one update fails
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async _read() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+}
+
+export class IncidentProviderRegistry {
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.defaultProvider = options.defaultProvider || config.incidentProviders.default;
+    this.byService = options.byService || config.incidentProviders.byService;
+  }
+
+  /**
+   * Register a provider under the incident source it serves
+   */
+  register(name, provider) {
+    this.providers.set(name, provider);
+    return this;
+  }
+
+  get(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new ConfigurationError(`No incident provider registered for: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Name of the provider that owns an incident
+   */
+  resolveName(incidentState) {
+    if (this.ownsSource(incidentState)) {
+      return incidentState.source;
+    }
+    if (incidentState?.provider_incident) {
+      return incidentState.provider_incident.provider;
+    }
+    const service = incidentState?.service_name;
+    return (service && this.byService[service]) || this.defaultProvider;
+  }
+
+  /**
+   * Whether the incident came from an on-call tool with a registered provider
+   */
+  ownsSource(incidentState) {
+    return !!incidentState?.source && this.providers.has(incidentState.source);
+  }
+
+  /**
+   * Provider for an incident id, looked up from its stored state
+   */
+  async forIncident(incidentId) {
+    const incidentState = await stateManager.getIncidentState(incidentId);
+    const name = this.resolveName(incidentState);
+    return this.get(name);
+  }
+
+  /**
+   * Provider and provider-side id to write to, opening an incident in the
+   * provider on first use for sources without an on-call tool
+   *
+   * @returns {Promise<{name: string, provider: IncidentProvider, providerIncidentId: string}>}
+   */
+  async _target(incidentId, incidentState) {
+    const name = this.resolveName(incidentState);
+    if (!incidentState || this.ownsSource(incidentState)) {
+      return { name, provider: this.get(name), providerIncidentId: incidentId };
+    }
+    if (incidentState.provider_incident) {
+      return { name, provider: this.get(name), providerIncidentId: incidentState.provider_incident.id };
+    }
+
+    let target = { name, provider: this.get(name) };
+    let providerIncidentId = await target.provider.openIncident(incidentId, incidentState);
+    if (!providerIncidentId) {
+      logger.warn('Incident provider not configured, using the local provider', {
+        incidentId,
+        provider: name,
+        source: incidentState.source,
+      });
+      target = { name: 'local', provider: this.get('local') };
+      providerIncidentId = await target.provider.openIncident(incidentId, incidentState);
+    }
+
+    await stateManager.updateIncidentState(incidentId, {
+      provider_incident: {
+        provider: target.name,
+        id: providerIncidentId,
+        opened_at: new Date().toISOString(),
+      },
+    });
+    logger.info('Incident opened in provider', { incidentId, provider: target.name, providerIncidentId });
+
+    return { ...target, providerIncidentId };
+  }
+
+  async addNote(incidentId, content) {
+    return this._write(incidentId, 'addNote', { content }, (provider, id) => provider.addNote(id, content));
+  }
+
+  async acknowledge(incidentId) {
+    return this._write(incidentId, 'acknowledge', {}, (provider, id) => provider.acknowledge(id));
+  }
+
+  async resolve(incidentId) {
+    return this._write(incidentId, 'resolve', {}, (provider, id) => provider.resolve(id));
+  }
+
+  /**
+   * The incident as its provider sees it; null if it was never opened there
+   */
+  async getIncident(incidentId) {
+    const incidentState = await stateManager.getIncidentState(incidentId);
+    const provider = this.get(this.resolveName(incidentState));
+    if (!incidentState || this.ownsSource(incidentState)) {
+      return provider.getIncident(incidentId);
+    }
+    return incidentState.provider_incident ? provider.getIncident(incidentState.provider_incident.id) : null;
+  }
+
+  async reassign(incidentId, assignee) {
+    return this._write(incidentId, 'reassign', { assignee }, (provider, id) => provider.reassign(id, assignee));
+  }
+
+  /**
+   * Send a write to the incident's provider, or record it if in shadow mode
+   */
+  async _write(incidentId, action, details, write) {
+    const incidentState = await stateManager.getIncidentState(incidentId);
+    const name = this.resolveName(incidentState);
+
+    if (isShadowIncident(incidentState)) {
+      logger.info('Shadow mode - provider write suppressed', { incidentId, provider: name, action });
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.SHADOW_SUPPRESSED, {
+        target: name,
+        action,
+        ...details,
+      });
+      return null;
+    }
+
+    const { provider, providerIncidentId } = await this._target(incidentId, incidentState);
+    return write(provider, providerIncidentId);
+  }
+}
+
+export const incidentProviders = new IncidentProviderRegistry()
+  .register('pagerduty', new PagerDutyProvider())
+  .register('opsgenie', new OpsgenieProvider())
+  .register('local', new LocalIncidentProvider());
+
+export default incidentProviders;
@@ -0,0 +1,200 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import stateManager from '../state/redis.js';
+
+/**
+ * LLM Usage Accounting
+ * Every request an LLM client makes reports its tokens and latency here.
+ * Cost is estimated from a per-model price table, and the totals are kept
+ * per calendar month (UTC) for the whole engine, each service and each
+ * model. Orchestrator.recordLlmCall opens a scope around each logical call
+ * so the requests it made (retries, repair turns, fallbacks) roll up onto
+ * the incident.
+ *
+ * With LLM_MONTHLY_BUDGET_USD set, synthesis goes diagnosis-only once the
+ * month's estimated spend reaches the budget.
+ */
+
+// USD per million tokens [input, output], matched by longest model prefix
+export const DEFAULT_PRICING = {
+  'claude-3-opus': [15, 75],
+  'claude-3-sonnet': [3, 15],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-sonnet-4': [3, 15],
+  'claude-opus-4': [15, 75],
+  'claude-opus-4-5': [5, 25],
+  'claude-haiku-4-5': [1, 5],
+  'gemini-1.5-pro': [1.25, 5],
+  'gemini-1.5-flash': [0.075, 0.3],
+  'gemini-2.0-flash': [0.1, 0.4],
+  'gemini-2.5-pro': [1.25, 10],
+  'gemini-2.5-flash': [0.3, 2.5],
+};
+
+// Attributes requests to the incident whose LLM call made them
+const usageScope = new AsyncLocalStorage();
+
+// Models already warned about for having no price
+const warnedUnpriced = new Set();
+
+/**
+ * Run fn with the LLM requests it makes collected into scope.requests
+ * @param {object} scope - { incidentId, serviceName, purpose, requests: [] }
+ */
+export function runWithUsageScope(scope, fn) {
+  return usageScope.run(scope, fn);
+}
+
+/**
+ * Totals for a list of requests, in the shape stored on incidents
+ */
+export function summarizeUsage(requests) {
+  return requests.reduce((total, request) => addUsage(total, {
+    requests: 1,
+    input_tokens: request.input_tokens,
+    output_tokens: request.output_tokens,
+    cost_usd: request.cost_usd,
+    latency_ms: request.latency_ms,
+    unpriced_requests: request.unpriced ? 1 : 0,
+  }), null);
+}
+
+/**
+ * Add two usage totals; either may be null
+ */
+export function addUsage(a, b) {
+  if (!a || !b) {
+    return a || b || null;
+  }
+  return {
+    requests: a.requests + b.requests,
+    input_tokens: a.input_tokens + b.input_tokens,
+    output_tokens: a.output_tokens + b.output_tokens,
+    cost_usd: roundCost(a.cost_usd + b.cost_usd),
+    latency_ms: a.latency_ms + b.latency_ms,
+    // Totals stored before unpriced requests were counted lack the field
+    unpriced_requests: (a.unpriced_requests || 0) + (b.unpriced_requests || 0),
+  };
+}
+
+function roundCost(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+export class LlmUsageTracker {
+  constructor(options = {}) {
+    const settings = { ...config.llm, ...options };
+    this.store = options.store || stateManager;
+    this.pricing = { ...DEFAULT_PRICING, ...settings.pricing };
+    this.monthlyBudgetUsd = settings.monthlyBudgetUsd;
+  }
+
+  /**
+   * Record one LLM request
+   * Never throws: losing a usage sample must not fail the pipeline.
+   *
+   * @param {object} request - { provider, model, inputTokens, outputTokens, latencyMs }
+   * @returns {Promise<object>} The stored request
+   */
+  async record({ provider, model, inputTokens = 0, outputTokens = 0, latencyMs = 0 }) {
+    const scope = usageScope.getStore();
+    const priced = this.priceOf(model) !== null;
+    const request = {
+      provider,
+      model,
+      input_tokens: inputTokens || 0,
+      output_tokens: outputTokens || 0,
+      cost_usd: this.estimateCost(model, inputTokens, outputTokens),
+      latency_ms: latencyMs,
+      ...(!priced && { unpriced: true }),
+    };
+    scope?.requests.push(request);
+
+    // An unpriced model counts as free, so the budget cannot see its spend
+    if (!priced && this.monthlyBudgetUsd > 0 && !warnedUnpriced.has(model)) {
+      warnedUnpriced.add(model);
+      logger.warn('LLM model has no price, its spend is not counted against the budget', {
+        incidentId: scope?.incidentId,
+        model,
+        provider,
+      });
+    }
+
+    try {
+      await this.store.incrementLlmUsage(monthOf(new Date()), {
+        serviceName: scope?.serviceName || 'unknown',
+        model: model || 'unknown',
+        usage: summarizeUsage([request]),
+      });
+    } catch (error) {
+      logger.warn('Failed to record LLM usage', {
+        incidentId: scope?.incidentId,
+        model,
+        error: error.message,
+      });
+    }
+    return request;
+  }
+
+  /**
+   * [input, output] USD per million tokens, or null for models without a price
+   */
+  priceOf(model) {
+    const match = Object.keys(this.pricing)
+      .filter(prefix => String(model || '').startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.pricing[match] : null;
+  }
+
+  /**
+   * Estimated USD cost of a request; 0 for models without a price
+   */
+  estimateCost(model, inputTokens = 0, outputTokens = 0) {
+    const price = this.priceOf(model);
+    if (!price) {
+      return 0;
+    }
+    const [input, output] = price;
+    return roundCost(((inputTokens || 0) * input + (outputTokens || 0) * output) / 1e6);
+  }
+
+  /**
+   * Usage for a month: totals, by service and by model
+   * @param {string} month - YYYY-MM, defaults to the current month
+   */
+  async getMonthlyUsage(month = monthOf(new Date())) {
+    return { month, ...await this.store.getLlmUsage(month) };
+  }
+
+  /**
+   * Spend against LLM_MONTHLY_BUDGET_USD
+   * @returns {Promise<{month: string, spent_usd: number, budget_usd: number|null, exceeded: boolean}>}
+   */
+  async getBudgetStatus() {
+    const month = monthOf(new Date());
+    const { total } = await this.store.getLlmUsage(month);
+    const spent = total?.cost_usd || 0;
+    const budget = this.monthlyBudgetUsd > 0 ? this.monthlyBudgetUsd : null;
+
+    return {
+      month,
+      spent_usd: spent,
+      budget_usd: budget,
+      exceeded: budget !== null && spent >= budget,
+    };
+  }
+}
+
+/**
+ * Calendar month (UTC) a usage sample is counted in
+ */
+export function monthOf(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+export const llmUsage = new LlmUsageTracker();
+export default llmUsage;
@@ -1,32 +1,235 @@
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import { ConfigurationError, DeadlineExceededError, ExternalServiceError } from '../utils/errors.js';
 import anthropicClient from './anthropic.js';
 import geminiClient from './gemini.js';
+import fixtureLlmClient from './fixture-llm.js';
+import openAICompatibleClient from './openai-compatible.js';
 
 /**
- * AI Provider Factory
- * Switches between Anthropic and Gemini
+ * AI Provider Router
+ * Sends each remediation request down an ordered provider chain:
+ * LLM_PROVIDER first, then LLM_FALLBACK_PROVIDERS. Within a provider,
+ * throttling and transient errors (429, 529, 5xx, timeouts) are retried
+ * with exponential backoff, waiting at least as long as Retry-After asks;
+ * other errors (including output that still fails the remediation schema
+ * after a repair turn) move straight on to the next provider. An incident
+ * gets one deadline (LLM_DEADLINE_MS from its first synthesis), shared by
+ * every provider, retry and re-synthesis.
+ *
+ * Services pinned with LLM_SERVICE_PROVIDERS (e.g. payments-api=openai)
+ * only ever use their pinned provider, so their incident data never falls
+ * back to a hosted API.
  */
 
-class AIClientFactory {
-  constructor() {
-    this.provider = config.llm.provider;
-    logger.info(`Initializing AI Provider: ${this.provider}`);
+// Worth retrying on the same provider
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+export class AIClientFactory {
+  constructor(options = {}) {
+    const settings = { ...config.llm, ...options };
+    this.provider = settings.provider;
+    this.fallbackProviders = settings.fallbackProviders;
+    this.serviceProviders = settings.serviceProviders;
+    this.maxRetries = settings.maxRetries;
+    this.retryBaseDelayMs = settings.retryBaseDelayMs;
+    this.retryMaxDelayMs = settings.retryMaxDelayMs;
+    this.deadlineMs = settings.deadlineMs;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    logger.info(`Initializing AI Provider: ${this.provider}`, {
+      fallbackProviders: this.fallbackProviders,
+      serviceProviders: this.serviceProviders,
+    });
   }
 
-  getClient() {
-    switch (this.provider.toLowerCase()) {
+  getClient(provider = this.provider) {
+    switch (provider.toLowerCase()) {
       case 'gemini':
         return geminiClient;
+      case 'openai':
+      case 'openai-compatible':
+        return openAICompatibleClient;
+      case 'mock':
+      case 'fixture':
+        return fixtureLlmClient;
       case 'anthropic':
+        return anthropicClient;
       default:
-        if (this.provider !== 'anthropic') {
-          logger.warn(`Unknown LLM provider '${this.provider}', defaulting to Anthropic`);
+        // Never substitute another provider: a pinned service's data would
+        // end up somewhere it was not meant to go
+        throw new ConfigurationError(`Unknown LLM provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Providers to try for a service, in order
+   * @returns {Array<{name: string, client: object}>}
+   */
+  getProviderChain(serviceName) {
+    const pinned = this.serviceProviders[serviceName];
+    const names = pinned ? [pinned] : [this.provider, ...this.fallbackProviders];
+
+    const chain = [];
+    for (const name of names) {
+      const client = this.getClient(name);
+      if (!chain.some(entry => entry.client === client)) {
+        chain.push({ name, client });
+      }
+    }
+    return chain;
+  }
+
+  /**
+   * Model of the default provider
+   */
+  get model() {
+    return this.getClient().model;
+  }
+
+  /**
+   * Generate a remediation, falling back along the provider chain
+   * Same contract as AnthropicClient.generateRemediation; the result also
+   * carries the provider and model that produced it, and the failed
+   * attempts before it (fallback).
+   *
+   * @throws {DeadlineExceededError} When the chain runs out of time
+   * @throws {ExternalServiceError} When every provider failed
+   */
+  async generateRemediation(hypothesis, runbookContext, incidentContext = {}, previousAttempts = []) {
+    // Incidents carry one deadline across all their attempts (llm_deadline_at)
+    const deadline = incidentContext.llm_deadline_at
+      ? Date.parse(incidentContext.llm_deadline_at)
+      : Date.now() + this.deadlineMs;
+    const failures = [];
+    let lastError = null;
+
+    for (const { name, client } of this.getProviderChain(incidentContext.service_name)) {
+      for (let retry = 0; ; retry++) {
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+          throw new DeadlineExceededError('LLM synthesis', this.deadlineMs);
         }
-        return anthropicClient;
+
+        try {
+          const result = await withDeadline(
+            client.generateRemediation(hypothesis, runbookContext, incidentContext, previousAttempts),
+            remainingMs,
+            this.deadlineMs
+          );
+
+          if (!result) {
+            // Unconfigured (or no fixture); try the next provider
+            failures.push({ provider: name, error: 'no result' });
+            break;
+          }
+
+          if (failures.length > 0) {
+            logger.info('Remediation generated by fallback provider', {
+              incidentId: incidentContext.incident_id,
+              provider: name,
+              failures: failures.length,
+            });
+          }
+          return {
+            ...result,
+            provider: client.constructor.name,
+            model: client.model,
+            fallback: failures,
+          };
+        } catch (error) {
+          if (error instanceof DeadlineExceededError) {
+            throw error;
+          }
+
+          lastError = error;
+          const status = errorStatus(error);
+          failures.push({ provider: name, status, error: error.message });
+
+          if (!isRetryable(error) || retry >= this.maxRetries) {
+            break;
+          }
+
+          const delayMs = this.backoffDelay(retry, retryAfterMs(error));
+          if (delayMs >= deadline - Date.now()) {
+            break; // Better to move on than sleep past the deadline
+          }
+
+          logger.warn('LLM call failed, retrying', {
+            incidentId: incidentContext.incident_id,
+            provider: name,
+            status,
+            retry: retry + 1,
+            delayMs,
+          });
+          await this.sleep(delayMs);
+        }
+      }
+
+      logger.warn('LLM provider failed, trying next', {
+        incidentId: incidentContext.incident_id,
+        provider: name,
+        error: failures[failures.length - 1]?.error,
+      });
+    }
+
+    if (!lastError) {
+      return null; // Nothing is configured; same as a lone unconfigured provider
     }
+
+    const summary = failures.map(f => `${f.provider}${f.status ? ` ${f.status}` : ''}`).join(', ');
+    throw new ExternalServiceError('LLM', `All providers failed (${summary})`, lastError);
+  }
+
+  /**
+   * Exponential backoff with jitter, never shorter than Retry-After
+   */
+  backoffDelay(retry, retryAfter = 0) {
+    const ceiling = Math.min(this.retryBaseDelayMs * 2 ** retry, this.retryMaxDelayMs);
+    const jittered = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+    return Math.max(jittered, retryAfter);
+  }
+
+  _parseRemediationResponse(content) {
+    return this.getClient()._parseRemediationResponse(content);
+  }
+}
+
+function withDeadline(promise, remainingMs, deadlineMs) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new DeadlineExceededError('LLM synthesis', deadlineMs)), remainingMs);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+function errorStatus(error) {
+  return (error.originalError || error).response?.status;
+}
+
+function isRetryable(error) {
+  if (error instanceof ConfigurationError || (error.originalError || error).retryable === false) {
+    return false;
+  }
+  const status = errorStatus(error);
+  // No status means the request never got an answer (timeout, reset)
+  return status === undefined || RETRYABLE_STATUSES.has(status);
+}
+
+/**
+ * Retry-After in ms, from delta-seconds or an HTTP date
+ */
+function retryAfterMs(error) {
+  const value = (error.originalError || error).response?.headers?.['retry-after'];
+  if (!value) {
+    return 0;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
   }
+  return Math.max(Date.parse(value) - Date.now(), 0) || 0;
 }
 
-export const aiClient = new AIClientFactory().getClient();
+export const aiClient = new AIClientFactory();
 export default aiClient;
@@ -0,0 +1,123 @@
+import axios from 'axios';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { ConfigurationError, ExternalServiceError } from '../utils/errors.js';
+import { AnthropicClient } from './anthropic.js';
+import { REMEDIATION_SCHEMA, requestStructuredRemediation } from './remediation-schema.js';
+import llmUsage from './llm-usage.js';
+
+/**
+ * OpenAI-Compatible Chat Completions Client
+ * For self-hosted models (vLLM, Ollama, TGI) behind an OpenAI-style
+ * /chat/completions endpoint, so incident data for sensitive services never
+ * leaves the network.
+ *
+ * Uses the Anthropic client's system prompt and user prompt, and asks for
+ * REMEDIATION_SCHEMA as a json_schema response format (guided decoding on
+ * vLLM and Ollama), so results have the same shape whichever model answered.
+ */
+
+export class OpenAICompatibleClient extends AnthropicClient {
+  constructor(options = {}) {
+    super();
+    const settings = { ...config.openai, ...options };
+    this.baseUrl = settings.baseUrl;
+    this.model = settings.model;
+    this.apiKey = settings.apiKey;
+    this.authHeader = settings.authHeader;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      // Authorization takes a bearer token; custom gateway headers take the raw key
+      headers[this.authHeader] = this.authHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${this.apiKey}`
+        : this.apiKey;
+    }
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers,
+      timeout: settings.timeoutMs,
+    });
+  }
+
+  /**
+   * Generate remediation code using Chain-of-Thought reasoning
+   * Same contract as AnthropicClient.generateRemediation
+   */
+  async generateRemediation(hypothesis, runbookContext, incidentContext = {}, previousAttempts = []) {
+    if (!this.baseUrl || !this.model) {
+      throw new ConfigurationError('OPENAI_BASE_URL and OPENAI_MODEL must be set for the openai provider');
+    }
+
+    const userPrompt = this._buildRemediationPrompt(hypothesis, runbookContext, incidentContext);
+
+    try {
+      logger.info('Requesting remediation from OpenAI-compatible endpoint', {
+        model: this.model,
+        baseUrl: this.baseUrl,
+        attempt: previousAttempts.length + 1,
+      });
+
+      const result = await requestStructuredRemediation('OpenAI-compatible', async repairTurns => {
+        const startedAt = Date.now();
+        const response = await this.client.post('/chat/completions', {
+          model: this.model,
+          max_tokens: 4096,
+          temperature: 0.2,
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'remediation', schema: REMEDIATION_SCHEMA },
+          },
+          messages: [
+            { role: 'system', content: this.getSystemPrompt() },
+            { role: 'user', content: userPrompt },
+            ...[...previousAttempts, ...repairTurns].flatMap(attempt => [
+              { role: 'assistant', content: attempt.response },
+              { role: 'user', content: attempt.feedback },
+            ]),
+          ],
+        });
+        await this._recordUsage(response.data, startedAt);
+
+        const content = response.data.choices?.[0]?.message?.content || '';
+        if (!content) {
+          throw new Error('Empty response from OpenAI-compatible endpoint');
+        }
+        return content;
+      });
+
+      logger.info('Remediation generated (OpenAI-compatible)', {
+        model: this.model,
+        hasCode: !!result.code,
+        risk: result.risk,
+        reasoningLength: result.reasoning.length,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('OpenAI-compatible request failed', {
+        error: error.message,
+        status: error.response?.status,
+      });
+      throw new ExternalServiceError('OpenAI-compatible', 'Remediation generation failed', error);
+    }
+  }
+
+  /**
+   * Report a chat completion's tokens and latency
+   * Self-hosted models cost nothing unless priced in LLM_PRICING.
+   */
+  _recordUsage(data, startedAt) {
+    return llmUsage.record({
+      provider: this.constructor.name,
+      model: this.model,
+      inputTokens: data?.usage?.prompt_tokens,
+      outputTokens: data?.usage?.completion_tokens,
+      latencyMs: Date.now() - startedAt,
+    });
+  }
+}
+
+export const openAICompatibleClient = new OpenAICompatibleClient();
+export default openAICompatibleClient;
@@ -0,0 +1,143 @@
+import axios from 'axios';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Opsgenie API Client
+ * For making API calls to update alerts (Opsgenie's unit of incident)
+ *
+ * Opsgenie processes alert actions asynchronously; each call returns a
+ * requestId rather than the updated alert.
+ */
+
+export class OpsgenieClient {
+  constructor() {
+    this.apiKey = config.opsgenie.apiKey;
+    this.baseUrl = config.opsgenie.apiUrl || 'https://api.opsgenie.com';
+    this.user = config.opsgenie.user;
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers: {
+        'Authorization': `GenieKey ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      timeout: 30000,
+    });
+  }
+
+  /**
+   * Add a note to an alert
+   */
+  async addNote(alertId, content) {
+    return this._alertAction(alertId, 'notes', { note: content }, 'Note added to alert');
+  }
+
+  /**
+   * Acknowledge an alert
+   */
+  async acknowledgeAlert(alertId, note) {
+    return this._alertAction(alertId, 'acknowledge', { note }, 'Alert acknowledged');
+  }
+
+  /**
+   * Close an alert
+   */
+  async closeAlert(alertId, note) {
+    return this._alertAction(alertId, 'close', { note }, 'Alert closed');
+  }
+
+  /**
+   * Assign an alert to a user
+   */
+  async assignAlert(alertId, username, note) {
+    return this._alertAction(alertId, 'assign', { owner: { username }, note }, 'Alert assigned');
+  }
+
+  /**
+   * Create an alert
+   * Opsgenie creates alerts asynchronously, so the alert id is looked up from
+   * the request; alias dedupes repeated creates for the same incident.
+   *
+   * @param {object} alert - { message, alias, description, priority }
+   * @returns {Promise<string|null>} The alert id
+   */
+  async createAlert({ message, alias, description, priority }) {
+    if (!this.apiKey) {
+      logger.warn('Opsgenie API key not configured');
+      return null;
+    }
+
+    try {
+      const response = await this.client.post('/v2/alerts', {
+        message: String(message).slice(0, 130),
+        alias,
+        description,
+        priority,
+        user: this.user,
+        source: 'self-healing-engine',
+      });
+
+      const request = await this.client.get(`/v2/alerts/requests/${encodeURIComponent(response.data.requestId)}`);
+      const alertId = request.data.data?.alertId;
+      if (!alertId) {
+        throw new Error(`Alert request ${response.data.requestId} not processed yet`);
+      }
+
+      logger.info('Alert created', { incidentId: alertId, alias });
+      return alertId;
+    } catch (error) {
+      logger.error('Opsgenie create failed', {
+        error: error.message,
+        alias,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get alert details
+   */
+  async getAlert(alertId) {
+    if (!this.apiKey) {
+      return null;
+    }
+
+    try {
+      const response = await this.client.get(`/v2/alerts/${encodeURIComponent(alertId)}`);
+      return response.data.data;
+    } catch (error) {
+      logger.error('Failed to get alert', {
+        error: error.message,
+        incidentId: alertId,
+      });
+      throw error;
+    }
+  }
+
+  async _alertAction(alertId, action, body, successMessage) {
+    if (!this.apiKey) {
+      logger.warn('Opsgenie API key not configured');
+      return null;
+    }
+
+    try {
+      const response = await this.client.post(`/v2/alerts/${encodeURIComponent(alertId)}/${action}`, {
+        ...body,
+        user: this.user,
+        source: 'self-healing-engine',
+      });
+
+      logger.info(successMessage, { incidentId: alertId, requestId: response.data?.requestId });
+      return response.data;
+    } catch (error) {
+      logger.error(`Opsgenie ${action} failed`, {
+        error: error.message,
+        incidentId: alertId,
+      });
+      throw error;
+    }
+  }
+}
+
+export const opsgenieClient = new OpsgenieClient();
+export default opsgenieClient;
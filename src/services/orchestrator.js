@@ -1,25 +1,220 @@
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import stateManager, { RedisStateManager } from '../state/redis.js';
+import jobQueue from '../state/job-queue.js';
+import { EVENT_TYPES, runWithEventSource } from '../state/event-log.js';
 import sanityClient from './sanity.js';
 import parallelClient from './parallel.js';
 import skyflowClient from './skyflow.js';
 import aiClient from './llm.js';
+import { toStructuredResponse } from './remediation-schema.js';
 import coderClient from './coder.js';
 import lightpandaClient from './lightpanda.js';
 import slackClient from './slack.js';
-import pagerdutyClient from './pagerduty.js';
+import incidentProviders from './incident-providers.js';
+import correlationEngine from './correlation.js';
+import { isShadowIncident } from './shadow-mode.js';
+import policyEngine, { POLICY_ACTIONS } from './policy-engine.js';
+import freezeCalendar, { FREEZE_MODES } from './freeze-calendar.js';
+import remediationBreaker from './circuit-breaker.js';
+import llmUsage, { addUsage, runWithUsageScope, summarizeUsage } from './llm-usage.js';
+import { inferFailureTypes } from '../cognition/ingestion/schema.js';
+import { enhancedAnthropicClient } from '../cognition/services/enhanced-anthropic.js';
+import clericParser from '../parsers/cleric.js';
+
+// Raw LLM responses kept in state to replay as conversation turns
+const MAX_STORED_RESPONSE_LENGTH = 16000;
+
+// How long an execution waits for a free slot before trying again
+const EXECUTION_DEFER_MS = 60000;
 
 /**
  * Orchestrator - The Nervous System
  * Coordinates the OODA loop between all services
- * Implements the Confidence Protocol for autonomous vs human-approval decisions
+ * Applies the remediation policy (policy-engine.js) for autonomous vs human-approval decisions
  */
 
 export class Orchestrator {
   constructor() {
-    this.confidenceThreshold = config.confidence.autoExecuteThreshold;
-    this.contextMatchThreshold = config.confidence.contextMatchThreshold || 70;
+    this.maxAttempts = config.remediation.maxAttempts;
+    this.aiClient = aiClient;
+  }
+
+  /**
+   * Time the policy and freeze calendar are evaluated at
+   */
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Queue job types, one per OODA stage
+   */
+  static JOBS = {
+    PROCESS_HYPOTHESIS: 'process_hypothesis',
+    SYNTHESIZE: 'synthesize_remediation',
+    EXECUTE: 'execute_remediation',
+    VERIFY: 'verify_remediation',
+  };
+
+  /**
+   * Register a queue handler for each pipeline stage
+   * Stage methods throw on failure so the queue can retry them;
+   * the incident is only escalated once the job is dead-lettered.
+   * Each stage runs under the incident's lock so webhooks and other
+   * stages cannot interleave writes with it.
+   *
+   * @param {JobQueue} queue
+   */
+  registerJobHandlers(queue = jobQueue) {
+    const { JOBS } = Orchestrator;
+    const locked = (type, incidentId, fn) =>
+      runWithEventSource(`orchestrator:${type}`, () => stateManager.withIncidentLock(incidentId, fn));
+    const escalateOn = (errorStage) => (job, error) =>
+      locked(job.type, job.payload.incidentId, () =>
+        this.escalateStageFailure(job.payload.incidentId, errorStage, error)
+      );
+
+    queue.register(
+      JOBS.PROCESS_HYPOTHESIS,
+      ({ incidentId, hypothesis, query }) => locked(JOBS.PROCESS_HYPOTHESIS, incidentId, () =>
+        this.processHypothesis(incidentId, hypothesis, query)
+      ),
+      { onDeadLetter: escalateOn('context_retrieval') }
+    );
+
+    queue.register(
+      JOBS.SYNTHESIZE,
+      ({ incidentId, hypothesis, runbookContext }) => locked(JOBS.SYNTHESIZE, incidentId, async () => {
+        const incidentState = await stateManager.getIncidentState(incidentId);
+        return this.synthesizeRemediation(incidentId, hypothesis, runbookContext, incidentState);
+      }),
+      { onDeadLetter: escalateOn('synthesis') }
+    );
+
+    // The remediation script changes real systems, so a failed or
+    // abandoned execution is escalated rather than blindly re-run
+    queue.register(
+      JOBS.EXECUTE,
+      ({ incidentId }) => locked(JOBS.EXECUTE, incidentId, () => this.executeRemediation(incidentId)),
+      { maxAttempts: 1, onDeadLetter: escalateOn('execution') }
+    );
+
+    queue.register(
+      JOBS.VERIFY,
+      ({ incidentId }) => locked(JOBS.VERIFY, incidentId, () => this.verifyRemediation(incidentId)),
+      { onDeadLetter: escalateOn('verification') }
+    );
+
+    correlationEngine.registerJobHandlers(queue);
+
+    return queue;
+  }
+
+  /**
+   * Enqueue a pipeline stage for an incident
+   *
+   * @param {string} job - One of Orchestrator.JOBS
+   * @param {string} incidentId
+   * @param {object} payload - Additional JSON-serializable stage input
+   * @param {object} options - Queue options, e.g. { delayMs }
+   */
+  async enqueueStage(job, incidentId, payload = {}, options = {}) {
+    return jobQueue.enqueue(job, { incidentId, ...payload }, { incidentId, ...options });
+  }
+
+  /**
+   * Escalate an incident whose stage job exhausted its retries
+   */
+  async escalateStageFailure(incidentId, errorStage, error) {
+    const incidentState = await stateManager.getIncidentState(incidentId);
+    if (!incidentState) {
+      return;
+    }
+
+    // Already resolved or escalated (e.g. the failure was an illegal transition)
+    if (!stateManager.stateMachine.canTransition(incidentState.current_stage, RedisStateManager.STAGES.ESCALATED)) {
+      logger.warn('Stage failure not escalated - incident already closed out', {
+        incidentId,
+        stage: incidentState.current_stage,
+        errorStage,
+        error: error.message,
+      });
+      return;
+    }
+
+    await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
+      error: error.message,
+      error_stage: errorStage,
+    });
+
+    // A sandbox kept for verification would otherwise outlive the incident
+    await this.releaseSandbox(incidentId, incidentState);
+  }
+
+  /**
+   * Run an LLM call and record it, with its token usage and estimated cost,
+   * on the incident timeline
+   *
+   * @param {string} incidentId
+   * @param {string} purpose - e.g. generate_remediation, validate_code
+   * @param {function} call - async () => LLM result
+   * @param {object} client - Client making the call (for provider/model)
+   */
+  async recordLlmCall(incidentId, purpose, call, client = this.aiClient) {
+    const startedAt = Date.now();
+    const incidentState = await stateManager.getIncidentState(incidentId);
+    // Collects the tokens of every request the call makes, retries included
+    const scope = { incidentId, serviceName: incidentState?.service_name, purpose, requests: [] };
+
+    try {
+      const result = await runWithUsageScope(scope, call);
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.LLM_CALL, {
+        purpose,
+        // Routed calls report the provider that actually answered
+        provider: result?.provider || client.constructor.name,
+        model: result?.model || client.model,
+        duration_ms: Date.now() - startedAt,
+        success: true,
+        has_code: !!result?.code,
+        risk: result?.risk,
+        confidence: result?.confidence,
+        usage: summarizeUsage(scope.requests),
+      });
+      return result;
+    } catch (error) {
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.LLM_CALL, {
+        purpose,
+        provider: client.constructor.name,
+        model: client.model,
+        duration_ms: Date.now() - startedAt,
+        success: false,
+        error: error.message,
+        usage: summarizeUsage(scope.requests),
+      });
+      throw error;
+    } finally {
+      await this.recordIncidentUsage(incidentId, scope.requests);
+    }
+  }
+
+  /**
+   * Add a call's LLM requests to the incident's running usage (llm_usage)
+   */
+  async recordIncidentUsage(incidentId, requests) {
+    const usage = summarizeUsage(requests);
+    if (!usage) {
+      return;
+    }
+
+    try {
+      const incidentState = await stateManager.getIncidentState(incidentId);
+      if (incidentState) {
+        await stateManager.updateIncidentState(incidentId, { llm_usage: addUsage(incidentState.llm_usage, usage) });
+      }
+    } catch (error) {
+      logger.warn('Failed to record incident LLM usage', { incidentId, error: error.message });
+    }
   }
 
   /**
@@ -54,29 +249,92 @@ export class Orchestrator {
         }
       );
 
-      // Format context for Anthropic
-      let contextText = sanityClient.formatForPrompt(sanityResults.results);
-      if (parallelResearch) {
-        contextText += `\n\nParallel Research:\n${JSON.stringify(parallelResearch)}`;
-      }
-
-      // Get incident state for additional context
-      const incidentState = await stateManager.getIncidentState(incidentId);
-
       // Proceed to synthesis phase
-      await this.synthesizeRemediation(incidentId, parsedHypothesis, contextText, incidentState);
+      await this.enqueueStage(Orchestrator.JOBS.SYNTHESIZE, incidentId, {
+        hypothesis: parsedHypothesis,
+        runbookContext: this.buildRunbookContext(sanityResults.results, parallelResearch),
+      });
     } catch (error) {
       logger.error('Failed to process hypothesis', {
         error: error.message,
         incidentId,
       });
+      throw error;
+    }
+  }
 
-      // Escalate on failure
-      await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
-        error: error.message,
-        error_stage: 'context_retrieval',
-      });
+  /**
+   * Format retrieved runbooks and research for the remediation prompt
+   */
+  buildRunbookContext(sanityResults, parallelResearch) {
+    let contextText = sanityClient.formatForPrompt(sanityResults);
+    if (parallelResearch) {
+      contextText += `\n\nParallel Research:\n${JSON.stringify(parallelResearch)}`;
+    }
+    return contextText;
+  }
+
+  /**
+   * Re-enqueue the job for an incident's current stage from stored state
+   * Used when the job driving a stage was lost (e.g. its process died).
+   * EXECUTING is never resumed: the script may have partly run.
+   *
+   * @returns {Promise<string|null>} The job enqueued, or null if the stage
+   *   cannot be resumed safely
+   */
+  async resumeStage(incidentId, incidentState) {
+    const { STAGES } = RedisStateManager;
+    const hypothesis = this.storedHypothesis(incidentState);
+
+    let job = null;
+    let payload = {};
+
+    switch (incidentState.current_stage) {
+      case STAGES.HYPOTHESIS_RECEIVED:
+        if (hypothesis) {
+          job = Orchestrator.JOBS.PROCESS_HYPOTHESIS;
+          payload = { hypothesis, query: clericParser.generateSensoQuery(hypothesis) };
+        }
+        break;
+      case STAGES.CONTEXT_RETRIEVED:
+      case STAGES.SYNTHESIZING:
+        if (incidentState.current_stage === STAGES.SYNTHESIZING && incidentState.human_approved) {
+          // Approved but the execution job was lost; keep the approval
+          job = Orchestrator.JOBS.EXECUTE;
+        } else if (hypothesis) {
+          job = Orchestrator.JOBS.SYNTHESIZE;
+          payload = {
+            hypothesis,
+            runbookContext: incidentState.synthesis_input?.runbookContext
+              || this.buildRunbookContext(incidentState.sanity_context, incidentState.parallel_research),
+          };
+        }
+        break;
+      case STAGES.VERIFYING:
+        job = Orchestrator.JOBS.VERIFY;
+        break;
+      default:
+        break;
+    }
+
+    if (job) {
+      await this.enqueueStage(job, incidentId, payload);
+      logger.info('Resumed incident stage', { incidentId, stage: incidentState.current_stage, job });
     }
+    return job;
+  }
+
+  /**
+   * The parsed Cleric hypothesis as stored on the incident, or null
+   */
+  storedHypothesis(incidentState) {
+    return incidentState.synthesis_input?.hypothesis || (incidentState.cleric_hypothesis ? {
+      hypothesis: incidentState.cleric_hypothesis,
+      confidence: incidentState.cleric_confidence,
+      rootCause: incidentState.cleric_root_cause,
+      recommendation: incidentState.cleric_recommendation,
+      affectedServices: incidentState.cleric_affected_services,
+    } : null);
   }
 
   /**
@@ -89,11 +347,30 @@ export class Orchestrator {
 
       await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.SYNTHESIZING);
 
+      const budget = await this.checkLlmBudget(incidentId);
+      if (budget) {
+        await this.escalateOverBudget(incidentId, hypothesis, budget);
+        return;
+      }
+
+      // Earlier failed attempts are replayed so the model can revise its script
+      const previousAttempts = (incidentState.remediation_attempts || []).map(a => ({
+        response: a.response,
+        feedback: a.feedback,
+      }));
+      const attempt = previousAttempts.length + 1;
+
+      // Remediation retries and job retries share the incident's LLM deadline
+      const llmDeadlineAt = await this.startLlmDeadline(incidentId, incidentState);
+
       // Call Anthropic to generate remediation
-      const remediation = await aiClient.generateRemediation(
-        hypothesis,
-        runbookContext,
-        incidentState
+      const remediation = await this.recordLlmCall(incidentId, 'generate_remediation', () =>
+        this.aiClient.generateRemediation(
+          hypothesis,
+          runbookContext,
+          { ...incidentState, llm_deadline_at: llmDeadlineAt },
+          previousAttempts
+        )
       );
 
       if (!remediation || !remediation.code) {
@@ -110,105 +387,423 @@ export class Orchestrator {
         remediation_code: remediation.code,
         reproduction_code: remediation.reproductionCode,
         remediation_language: remediation.language || 'python',
+        rollback_code: remediation.rollbackCode,
+        rollback_language: remediation.rollbackLanguage || remediation.language || 'python',
         anthropic_reasoning: remediation.reasoning,
         remediation_risk: remediation.risk,
         remediation_confidence: remediation.confidence,
+        remediation_response: remediation.raw?.substring(0, MAX_STORED_RESPONSE_LENGTH),
+        remediation_attempt: attempt,
+        remediation_provider: remediation.provider,
+        remediation_model: remediation.model,
+        // Providers that failed before this one answered
+        remediation_fallback: remediation.fallback?.length ? remediation.fallback : null,
+        // Kept so a failed attempt can be re-synthesized
+        synthesis_input: { hypothesis, runbookContext },
+        shadow_mode: isShadowIncident(incidentState),
+        // An approval covers one script, not its revisions
+        human_approved: false,
       });
 
-      // Apply Confidence Protocol
-      const shouldAutoExecute = this.evaluateConfidence(
-        hypothesis.confidence,
-        incidentState.context_match_score,
-        remediation.confidence,
-        remediation.risk
-      );
+      // Apply the remediation policy (every revision is judged on its own)
+      const decision = await this.applyPolicy(incidentId, incidentState, hypothesis, remediation);
 
-      if (shouldAutoExecute && !remediation.requiresApproval) {
-        // Proceed to execution
-        logger.info('Auto-executing remediation (high confidence)', { incidentId });
-        await this.executeRemediation(incidentId);
-      } else {
-        // Request human approval
-        logger.info('Requesting human approval', {
-          incidentId,
-          reason: remediation.requiresApproval ? 'AI requested' : 'Low confidence',
-        });
-        await this.requestHumanApproval(incidentId, remediation, hypothesis, incidentState);
-      }
+      await this.dispatchRemediation(incidentId, incidentState, hypothesis, remediation, decision);
     } catch (error) {
       logger.error('Failed to synthesize remediation', {
         error: error.message,
         incidentId,
       });
+      throw error;
+    }
+  }
 
-      await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
-        error: error.message,
-        error_stage: 'synthesis',
+  /**
+   * Act on a policy decision, taking any active change freeze into account
+   * A freeze downgrades auto-execution to approval, or in diagnosis_only
+   * mode escalates with the diagnosis and runs nothing.
+   *
+   * @param {object} codeValidation - Safety review, if the caller already ran one
+   */
+  async dispatchRemediation(incidentId, incidentState, hypothesis, remediation, decision, codeValidation = null) {
+    const freeze = await this.checkFreeze(incidentId, incidentState);
+
+    if (isShadowIncident(incidentState)) {
+      await this.recordShadowRun(incidentId, incidentState, remediation, this.applyFreezeToDecision(decision, freeze), codeValidation);
+      return;
+    }
+
+    if (decision.action === POLICY_ACTIONS.DENY) {
+      await this.denyRemediation(incidentId, decision);
+    } else if (freeze?.mode === FREEZE_MODES.DIAGNOSIS_ONLY) {
+      await this.escalateForFreeze(incidentId, freeze);
+    } else if (decision.action === POLICY_ACTIONS.AUTO_EXECUTE && !freeze) {
+      logger.info('Auto-executing remediation (policy allowed)', { incidentId, rule: decision.rule });
+      await this.startExecution(incidentId);
+    } else {
+      logger.info('Requesting human approval', { incidentId, rule: decision.rule, freezeId: freeze?.id });
+      await this.requestHumanApproval(incidentId, remediation, hypothesis, incidentState, decision, freeze);
+    }
+  }
+
+  /**
+   * Hand an approved or auto-executable remediation to the Act phase
+   */
+  async startExecution(incidentId) {
+    await this.enqueueStage(Orchestrator.JOBS.EXECUTE, incidentId);
+  }
+
+  /**
+   * Look up the change freeze covering an incident's service, if any
+   * The window is stored on the incident so the timeline shows why
+   * auto-execution was held back.
+   *
+   * @returns {Promise<object|null>} Active freeze window
+   */
+  async checkFreeze(incidentId, incidentState) {
+    const freeze = await freezeCalendar.getActiveWindow(incidentState.service_name, this.now());
+
+    if (freeze || incidentState.freeze_window) {
+      await stateManager.updateIncidentState(incidentId, { freeze_window: freeze });
+    }
+    if (freeze) {
+      logger.info('Change freeze active', {
+        incidentId,
+        freezeId: freeze.id,
+        mode: freeze.mode,
+        endsAt: freeze.ends_at,
       });
     }
+    return freeze;
   }
 
   /**
-   * Evaluate confidence using the Confidence Protocol
-   * Returns true if safe to auto-execute
+   * The policy decision as a freeze would change it, for shadow runs
    */
-  evaluateConfidence(hypothesisConfidence, contextMatchScore, remediationConfidence, risk) {
-    // If risk is HIGH, never auto-execute
-    if (risk === 'HIGH') {
-      logger.debug('Confidence Protocol: HIGH risk - requires approval');
-      return false;
+  applyFreezeToDecision(decision, freeze) {
+    if (!freeze || decision.action === POLICY_ACTIONS.DENY) {
+      return decision;
+    }
+    if (freeze.mode === FREEZE_MODES.DIAGNOSIS_ONLY) {
+      return { ...decision, action: POLICY_ACTIONS.DENY, rule: `freeze:${freeze.id}` };
+    }
+    if (decision.action === POLICY_ACTIONS.AUTO_EXECUTE) {
+      return { ...decision, action: POLICY_ACTIONS.REQUIRE_APPROVAL, rule: `freeze:${freeze.id}` };
     }
+    return decision;
+  }
 
-    // Check Hypothesis confidence
-    if ((hypothesisConfidence || 0) < this.confidenceThreshold) {
-      logger.debug('Confidence Protocol: Hypothesis confidence below threshold', {
-        hypothesisConfidence,
-        threshold: this.confidenceThreshold,
-      });
-      return false;
+  /**
+   * Escalate with the diagnosis only; nothing runs during a diagnosis_only freeze
+   */
+  async escalateForFreeze(incidentId, freeze) {
+    logger.warn('Remediation withheld during change freeze', { incidentId, freezeId: freeze.id });
+
+    await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
+      error: `Remediation withheld during change freeze: ${freeze.title}`,
+      escalation_reason: 'change_freeze',
+    });
+
+    const incidentState = await stateManager.getIncidentState(incidentId);
+    await incidentProviders.addNote(
+      incidentId,
+      `Self-Healing Engine is in diagnosis-only mode during change freeze "${freeze.title}" ` +
+      `(until ${freeze.ends_at}). Nothing was executed.\n` +
+      `Hypothesis: ${incidentState?.synthesis_input?.hypothesis?.hypothesis || incidentState?.cleric_hypothesis || 'n/a'}\n` +
+      `Proposed remediation (${incidentState?.remediation_risk || 'unknown'} risk):\n${incidentState?.remediation_code || 'n/a'}`
+    );
+  }
+
+  /**
+   * When the incident's LLM synthesis must be done by (llm_deadline_at)
+   * Set at its first synthesis and kept for every later attempt.
+   */
+  async startLlmDeadline(incidentId, incidentState) {
+    if (incidentState.llm_deadline_at) {
+      return incidentState.llm_deadline_at;
     }
 
-    // Check Context match score
-    if ((contextMatchScore || 0) < this.contextMatchThreshold) {
-      logger.debug('Confidence Protocol: Context match score below threshold', {
-        contextMatchScore,
-        threshold: this.contextMatchThreshold,
-      });
+    const deadlineAt = new Date(Date.now() + config.llm.deadlineMs).toISOString();
+    await stateManager.updateIncidentState(incidentId, { llm_deadline_at: deadlineAt });
+    return deadlineAt;
+  }
+
+  /**
+   * The monthly LLM budget status if it is used up, otherwise null
+   */
+  async checkLlmBudget(incidentId) {
+    const budget = await llmUsage.getBudgetStatus();
+    if (!budget.exceeded) {
+      return null;
+    }
+
+    logger.warn('Monthly LLM budget exceeded', {
+      incidentId,
+      month: budget.month,
+      spentUsd: budget.spent_usd,
+      budgetUsd: budget.budget_usd,
+    });
+    return budget;
+  }
+
+  /**
+   * Escalate with the diagnosis only; no remediation is generated once the
+   * month's LLM budget is spent
+   */
+  async escalateOverBudget(incidentId, hypothesis, budget) {
+    await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
+      error: `Monthly LLM budget exceeded ($${budget.spent_usd} of $${budget.budget_usd})`,
+      escalation_reason: 'llm_budget_exceeded',
+      llm_budget: budget,
+    });
+
+    await incidentProviders.addNote(
+      incidentId,
+      `Self-Healing Engine is in diagnosis-only mode: the ${budget.month} LLM budget ` +
+      `($${budget.budget_usd}) is used up ($${budget.spent_usd} estimated). No remediation was generated.\n` +
+      `Hypothesis: ${hypothesis?.hypothesis || 'n/a'}\n` +
+      `Root cause: ${hypothesis?.rootCause || 'n/a'}\n` +
+      `Recommended action: ${hypothesis?.recommendation || 'n/a'}`
+    );
+  }
+
+  /**
+   * Re-check the freeze calendar right before execution
+   * A freeze may have started while the job was queued or awaiting approval.
+   *
+   * @returns {Promise<boolean>} true if execution may go ahead
+   */
+  async enforceFreeze(incidentId, incidentState) {
+    const freeze = await this.checkFreeze(incidentId, incidentState);
+    if (!freeze) {
+      return true;
+    }
+
+    if (freeze.mode === FREEZE_MODES.DIAGNOSIS_ONLY) {
+      await this.escalateForFreeze(incidentId, freeze);
       return false;
     }
+    if (incidentState.human_approved) {
+      return true;
+    }
 
-    // Check remediation confidence
-    if ((remediationConfidence || 0) < 70) {
-      logger.debug('Confidence Protocol: Remediation confidence too low', {
-        remediationConfidence,
-      });
+    logger.info('Change freeze requires approval before execution', { incidentId, freezeId: freeze.id });
+    await this.requestHumanApproval(
+      incidentId,
+      {
+        code: incidentState.remediation_code,
+        rollbackCode: incidentState.rollback_code,
+        risk: incidentState.remediation_risk,
+        confidence: incidentState.remediation_confidence,
+        reasoning: incidentState.anthropic_reasoning,
+      },
+      incidentState.synthesis_input?.hypothesis || { hypothesis: incidentState.cleric_hypothesis },
+      incidentState,
+      incidentState.policy_decision,
+      freeze
+    );
+    return false;
+  }
+
+  /**
+   * Pass an execution through the circuit breaker
+   * A full concurrency budget defers the run; a paused breaker or an
+   * exhausted per-service budget sends an unattended run to Slack approval.
+   *
+   * @returns {Promise<boolean>} true if a slot was claimed and execution may go ahead
+   */
+  async admitExecution(incidentId, incidentState) {
+    const admission = await remediationBreaker.admit(incidentId, {
+      service: incidentState.service_name,
+      attempt: incidentState.remediation_attempt || 1,
+      unattended: !incidentState.human_approved,
+    });
+    if (admission.allowed) {
+      return true;
+    }
+
+    await stateManager.updateIncidentState(incidentId, {
+      execution_held: { reason: admission.reason, at: new Date().toISOString() },
+    });
+
+    if (admission.reason === 'concurrency_limit') {
+      logger.info('Deferring remediation until an execution slot frees up', { incidentId, delayMs: EXECUTION_DEFER_MS });
+      await this.enqueueStage(Orchestrator.JOBS.EXECUTE, incidentId, {}, { delayMs: EXECUTION_DEFER_MS });
       return false;
     }
 
-    logger.debug('Confidence Protocol: All checks passed - safe to auto-execute');
-    return true;
+    await this.requestHumanApproval(
+      incidentId,
+      {
+        code: incidentState.remediation_code,
+        rollbackCode: incidentState.rollback_code,
+        risk: incidentState.remediation_risk,
+        confidence: incidentState.remediation_confidence,
+        reasoning: incidentState.anthropic_reasoning,
+      },
+      incidentState.synthesis_input?.hypothesis || { hypothesis: incidentState.cleric_hypothesis },
+      incidentState,
+      { ...incidentState.policy_decision, rule: `circuit-breaker:${admission.reason}` }
+    );
+    return false;
+  }
+
+  /**
+   * Evaluate the remediation policy and record the decision for audit
+   *
+   * @param {string} incidentId
+   * @param {object} incidentState
+   * @param {object} hypothesis - Parsed Cleric hypothesis
+   * @param {object} remediation - Parsed LLM remediation
+   * @param {object} facts - Overrides for the evaluated facts
+   * @returns {Promise<{action: string, rule: string|null, policy: string}>}
+   */
+  async applyPolicy(incidentId, incidentState, hypothesis, remediation, facts = {}) {
+    const evaluated = {
+      service: incidentState.service_name,
+      urgency: incidentState.urgency,
+      risk: remediation.risk,
+      edge_cases: remediation.edgeCases || [],
+      failure_types: incidentState.failure_types
+        || inferFailureTypes([hypothesis.hypothesis, hypothesis.rootCause, incidentState.title]),
+      hypothesis_confidence: hypothesis.confidence,
+      context_match_score: incidentState.context_match_score,
+      remediation_confidence: remediation.confidence,
+      ai_requested_approval: !!remediation.requiresApproval,
+      has_rollback: !!remediation.rollbackCode,
+      ...facts,
+    };
+
+    const evaluatedAt = this.now();
+    const decision = policyEngine.evaluate({ ...evaluated, now: evaluatedAt });
+
+    await stateManager.updateIncidentState(incidentId, {
+      policy_decision: { ...decision, facts: evaluated, evaluated_at: evaluatedAt.toISOString() },
+    });
+
+    logger.info('Remediation policy decision', { incidentId, ...decision });
+    return decision;
+  }
+
+  /**
+   * Escalate a remediation the policy refuses to run, even with approval
+   */
+  async denyRemediation(incidentId, decision) {
+    logger.warn('Remediation denied by policy', { incidentId, rule: decision.rule });
+
+    await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
+      error: `Remediation denied by policy rule ${decision.rule || 'default'}`,
+      escalation_reason: 'policy_denied',
+    });
+
+    await incidentProviders.addNote(
+      incidentId,
+      `Self-Healing Engine generated a remediation but policy "${decision.policy}" ` +
+      `(rule: ${decision.rule || 'default'}) does not allow it to run.\n` +
+      `Manual intervention required.`
+    );
+  }
+
+  /**
+   * Record what would have happened to a shadow-mode incident
+   * Runs the code safety review and a simulated execution in place of the
+   * sandbox. The incident is left in SYNTHESIZING for a human to resolve.
+   *
+   * @param {string} incidentId
+   * @param {object} incidentState
+   * @param {object} remediation - Parsed LLM remediation
+   * @param {object} policyDecision - Result of applyPolicy
+   * @param {object} codeValidation - Safety review, if the caller already ran one
+   */
+  async recordShadowRun(incidentId, incidentState, remediation, policyDecision, codeValidation = null) {
+    const validation = codeValidation || await this.recordLlmCall(incidentId, 'validate_code', () =>
+      enhancedAnthropicClient.validateGeneratedCode(
+        remediation.code,
+        { service: incidentState.service_name, title: incidentState.title }
+      ),
+      enhancedAnthropicClient
+    );
+
+    // Unsafe code is never run unattended, whatever the policy says
+    const decision = policyDecision.action === POLICY_ACTIONS.AUTO_EXECUTE && !validation.safe
+      ? POLICY_ACTIONS.REQUIRE_APPROVAL
+      : policyDecision.action;
+
+    const simulatedExecution = this.simulateExecution(incidentId, remediation);
+    await stateManager.recordEvent(incidentId, EVENT_TYPES.SANDBOX_COMMAND, {
+      action: 'simulate',
+      ...simulatedExecution,
+    });
+
+    await stateManager.updateIncidentState(incidentId, {
+      shadow_run: {
+        decision,
+        policy_rule: policyDecision.rule,
+        remediation_code: remediation.code,
+        remediation_language: remediation.language || 'python',
+        rollback_code: remediation.rollbackCode,
+        risk: remediation.risk,
+        confidence: remediation.confidence,
+        code_validation: validation,
+        simulated_execution: simulatedExecution,
+        recorded_at: new Date().toISOString(),
+      },
+    });
+
+    logger.info('Shadow mode - remediation recorded, not executed', {
+      incidentId,
+      decision,
+      risk: remediation.risk,
+    });
+  }
+
+  /**
+   * Stand-in for a sandbox run in shadow mode; nothing is executed
+   */
+  simulateExecution(incidentId, remediation) {
+    return {
+      simulated: true,
+      language: remediation.language || 'python',
+      script_bytes: Buffer.byteLength(remediation.code || ''),
+      has_rollback: !!remediation.rollbackCode,
+      exit_code: null,
+      stdout: `[shadow] remediation for ${incidentId} not executed`,
+    };
   }
 
   /**
    * Request human approval via Slack
    */
-  async requestHumanApproval(incidentId, remediation, hypothesis, incidentState) {
+  async requestHumanApproval(incidentId, remediation, hypothesis, incidentState, policyDecision = null, freezeWindow = null) {
     try {
       // Store pending approval in Redis
       await stateManager.setPendingApproval(incidentId, {
         remediation_code: remediation.code,
+        rollback_code: remediation.rollbackCode,
         hypothesis: hypothesis.hypothesis,
         risk: remediation.risk,
       });
 
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.APPROVAL_REQUESTED, {
+        risk: remediation.risk,
+        confidence: remediation.confidence,
+        reason: freezeWindow
+          ? `freeze:${freezeWindow.id}`
+          : policyDecision?.rule || (remediation.requiresApproval ? 'ai_requested' : 'low_confidence'),
+        has_rollback: !!remediation.rollbackCode,
+      });
+
       // Send Slack message
       const result = await slackClient.requestApproval(incidentId, {
         title: incidentState.title,
         hypothesis: hypothesis.hypothesis,
         risk: remediation.risk,
         code: remediation.code,
+        rollbackCode: remediation.rollbackCode,
         reasoning: remediation.reasoning,
         serviceName: incidentState.service_name,
+        policyRule: policyDecision?.rule,
+        freezeWindow,
       });
 
       // Update state
@@ -237,6 +832,10 @@ export class Orchestrator {
    * This is the "Act" phase
    */
   async executeRemediation(incidentId) {
+    let sandbox = null;
+    // Kept alive on success so verification can roll back in it
+    let keepSandbox = false;
+
     try {
       const incidentState = await stateManager.getIncidentState(incidentId);
 
@@ -244,6 +843,13 @@ export class Orchestrator {
         throw new Error('No remediation code found');
       }
 
+      if (!(await this.enforceFreeze(incidentId, incidentState))) {
+        return;
+      }
+      if (!(await this.admitExecution(incidentId, incidentState))) {
+        return;
+      }
+
       logger.info('Executing remediation', { incidentId });
 
       await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.EXECUTING);
@@ -251,6 +857,17 @@ export class Orchestrator {
       // Pre-flight verification with Lightpanda
       // (Confirm the issue still exists)
       const preFlightCheck = await this.runPreFlightCheck(incidentState);
+      if (preFlightCheck) {
+        await stateManager.recordEvent(incidentId, EVENT_TYPES.VERIFICATION_RESULT, {
+          phase: 'pre_flight',
+          success: preFlightCheck.success,
+          status: preFlightCheck.status,
+          error: preFlightCheck.error,
+        });
+        await stateManager.updateIncidentState(incidentId, {
+          pre_flight_status: preFlightCheck.status,
+        });
+      }
       if (preFlightCheck && preFlightCheck.success) {
         logger.info('Pre-flight check passed - issue may have resolved itself', { incidentId });
         // Issue resolved itself - update and exit
@@ -262,7 +879,7 @@ export class Orchestrator {
       }
 
       // Create sandbox (Coder workspace or Docker container)
-      const sandbox = await coderClient.createSandbox(incidentId, {
+      sandbox = await coderClient.createSandbox(incidentId, {
         serviceName: incidentState.service_name || '',
         incidentTitle: incidentState.title || '',
       });
@@ -271,6 +888,11 @@ export class Orchestrator {
         throw new Error('Failed to create sandbox');
       }
 
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.SANDBOX_COMMAND, {
+        action: 'create',
+        sandbox: sandbox.name,
+      });
+
       await stateManager.updateIncidentState(incidentId, {
         sandbox_id: sandbox.workspaceId,
         sandbox_name: sandbox.name,
@@ -283,12 +905,23 @@ export class Orchestrator {
       }
 
       // Execute the remediation code
+      const execStartedAt = Date.now();
       const execResult = await coderClient.executeInSandbox(
         sandbox.name,
         incidentState.remediation_code,
         incidentState.remediation_language || 'python'
       );
 
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.SANDBOX_COMMAND, {
+        action: 'execute',
+        sandbox: sandbox.name,
+        language: incidentState.remediation_language || 'python',
+        exit_code: execResult?.exitCode,
+        duration_ms: Date.now() - execStartedAt,
+        stdout: execResult?.stdout?.substring(0, 2000),
+        stderr: execResult?.stderr?.substring(0, 2000),
+      });
+
       // Update state with execution results
       await stateManager.updateIncidentState(incidentId, {
         execution_result: execResult,
@@ -299,7 +932,8 @@ export class Orchestrator {
       // Check execution result
       if (execResult && execResult.exitCode === 0) {
         // Proceed to verification
-        await this.verifyRemediation(incidentId);
+        await this.enqueueStage(Orchestrator.JOBS.VERIFY, incidentId);
+        keepSandbox = true;
       } else {
         // Execution failed
         logger.error('Remediation execution failed', {
@@ -308,25 +942,272 @@ export class Orchestrator {
           stderr: execResult?.stderr,
         });
 
+        const failure = {
+          stage: 'execution',
+          exitCode: execResult?.exitCode,
+          stdout: execResult?.stdout,
+          stderr: execResult?.stderr,
+        };
+        if (await this.retryRemediation(incidentId, incidentState, failure)) {
+          return;
+        }
+
         await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
           error: 'Execution failed with exit code ' + execResult?.exitCode,
           stderr: execResult?.stderr,
         });
       }
-
-      // Cleanup workspace
-      await coderClient.deleteWorkspace(workspace.name);
     } catch (error) {
       logger.error('Remediation execution error', {
         error: error.message,
         incidentId,
       });
+      throw error;
+    } finally {
+      // Cleanup sandbox
+      if (sandbox && !keepSandbox) {
+        await this.releaseSandbox(incidentId, { sandbox_name: sandbox.name });
+      }
+      await remediationBreaker.release(incidentId);
+    }
+  }
+
+  /**
+   * Record a failed attempt and, if attempts remain, re-synthesize with the
+   * failure fed back to the model
+   *
+   * @param {string} incidentId
+   * @param {object} incidentState - State the failed attempt ran with
+   * @param {object} failure - { stage, exitCode, stdout, stderr, verification, rollback }
+   * @returns {Promise<boolean>} true if a revised attempt was queued
+   */
+  async retryRemediation(incidentId, incidentState, failure) {
+    const history = incidentState.remediation_attempts || [];
+    const attempt = {
+      attempt: incidentState.remediation_attempt || history.length + 1,
+      failed_stage: failure.stage,
+      code: incidentState.remediation_code,
+      language: incidentState.remediation_language,
+      rollback_code: incidentState.rollback_code,
+      risk: incidentState.remediation_risk,
+      confidence: incidentState.remediation_confidence,
+      exit_code: failure.exitCode,
+      stderr: failure.stderr?.substring(0, 2000),
+      verification: failure.verification,
+      rollback: failure.rollback,
+      // Replayed as the model's own earlier turn, so it must be in the shape
+      // the model is asked to answer in
+      response: incidentState.remediation_response || toStructuredResponse({
+        reasoning: incidentState.anthropic_reasoning,
+        risk: incidentState.remediation_risk,
+        confidence: incidentState.remediation_confidence,
+        language: incidentState.remediation_language,
+        code: incidentState.remediation_code,
+        rollbackLanguage: incidentState.rollback_language,
+        rollbackCode: incidentState.rollback_code,
+        reproductionCode: incidentState.reproduction_code,
+      }),
+      failed_at: new Date().toISOString(),
+    };
+    attempt.feedback = this.buildAttemptFeedback(attempt, failure);
+
+    const attempts = [...history, attempt];
+    await stateManager.updateIncidentState(incidentId, { remediation_attempts: attempts });
+
+    if (attempts.length >= this.maxAttempts || !incidentState.synthesis_input) {
+      logger.warn('Remediation attempts exhausted', {
+        incidentId,
+        attempts: attempts.length,
+        maxAttempts: this.maxAttempts,
+      });
+      return false;
+    }
 
-      await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
+    logger.info('Retrying remediation with failure feedback', {
+      incidentId,
+      failedStage: failure.stage,
+      nextAttempt: attempts.length + 1,
+    });
+
+    await stateManager.recordEvent(incidentId, EVENT_TYPES.REMEDIATION_RETRY, {
+      failed_attempt: attempt.attempt,
+      failed_stage: failure.stage,
+      exit_code: failure.exitCode,
+      next_attempt: attempts.length + 1,
+    });
+
+    await this.enqueueStage(Orchestrator.JOBS.SYNTHESIZE, incidentId, incidentState.synthesis_input);
+    return true;
+  }
+
+  /**
+   * Describe a failed attempt as the next conversation turn for the model
+   */
+  buildAttemptFeedback(attempt, failure) {
+    const lines = [`The remediation script from attempt ${attempt.attempt} failed during ${failure.stage}.`];
+
+    if (failure.exitCode !== undefined) {
+      lines.push(`Exit code: ${failure.exitCode}`);
+    }
+    if (failure.stderr) {
+      lines.push('', 'stderr:', '```', failure.stderr.substring(0, 2000), '```');
+    }
+    if (failure.stdout) {
+      lines.push('', 'stdout (tail):', '```', failure.stdout.slice(-1000), '```');
+    }
+    if (failure.verification) {
+      const { status, error, summary } = failure.verification;
+      lines.push('', `Post-remediation verification failed${status ? ` (HTTP ${status})` : ''}${error ? `: ${error}` : ''}.`);
+      if (summary?.failedChecks?.length) {
+        lines.push(`Failed checks: ${JSON.stringify(summary.failedChecks).substring(0, 1000)}`);
+      }
+    }
+    if (failure.rollback) {
+      lines.push(this.describeRollback(failure.rollback));
+    }
+
+    lines.push(
+      '',
+      'Revise the remediation to address this failure. Do not repeat the same script.',
+      'Submit the revision as a complete remediation in the same format, including a rollback script.',
+      'If the failure suggests the hypothesis is wrong, set requires_approval to true.'
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Delete the incident's sandbox and clear it from state
+   *
+   * @param {string} incidentId
+   * @param {object} incidentState - Needs sandbox_name
+   */
+  async releaseSandbox(incidentId, incidentState) {
+    const name = incidentState?.sandbox_name;
+    if (!name) {
+      return;
+    }
+
+    const deleted = await coderClient.deleteSandbox(name);
+    await stateManager.recordEvent(incidentId, EVENT_TYPES.SANDBOX_COMMAND, {
+      action: 'delete',
+      sandbox: name,
+      success: deleted,
+    });
+    await stateManager.updateIncidentState(incidentId, {
+      sandbox_id: null,
+      sandbox_name: null,
+    });
+  }
+
+  /**
+   * Run the rollback script in the remediation's sandbox, then verify it
+   * Never throws: the outcome is returned so escalation always happens.
+   *
+   * @returns {Promise<object>} rollback_result stored on the incident
+   */
+  async rollbackRemediation(incidentId, incidentState) {
+    if (!incidentState.rollback_code) {
+      return { executed: false, success: false, reason: 'no_rollback_script' };
+    }
+    if (!incidentState.sandbox_name) {
+      return { executed: false, success: false, reason: 'sandbox_unavailable' };
+    }
+
+    logger.warn('Rolling back remediation', { incidentId, sandbox: incidentState.sandbox_name });
+
+    const language = incidentState.rollback_language || incidentState.remediation_language || 'python';
+    const startedAt = Date.now();
+    try {
+      const execResult = await coderClient.executeInSandbox(
+        incidentState.sandbox_name,
+        incidentState.rollback_code,
+        language
+      );
+
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.SANDBOX_COMMAND, {
+        action: 'rollback',
+        sandbox: incidentState.sandbox_name,
+        language,
+        exit_code: execResult?.exitCode,
+        duration_ms: Date.now() - startedAt,
+        stdout: execResult?.stdout?.substring(0, 2000),
+        stderr: execResult?.stderr?.substring(0, 2000),
+      });
+
+      const result = {
+        executed: true,
+        exit_code: execResult?.exitCode,
+        stdout: execResult?.stdout?.substring(0, 2000),
+        stderr: execResult?.stderr?.substring(0, 2000),
+        executed_at: new Date().toISOString(),
+        verification: null,
+      };
+
+      if (execResult?.exitCode !== 0) {
+        return { ...result, success: false, reason: 'rollback_failed' };
+      }
+
+      const verification = await this.verifyRollback(incidentState);
+      if (verification) {
+        await stateManager.recordEvent(incidentId, EVENT_TYPES.VERIFICATION_RESULT, {
+          phase: 'post_rollback',
+          success: verification.restored,
+          status: verification.status,
+          error: verification.error,
+        });
+      }
+
+      const success = !verification || verification.restored;
+      return {
+        ...result,
+        verification,
+        success,
+        reason: success ? null : 'rollback_unverified',
+      };
+    } catch (error) {
+      logger.error('Rollback error', {
         error: error.message,
-        error_stage: 'execution',
+        incidentId,
       });
+      return { executed: true, success: false, reason: 'rollback_error', error: error.message };
+    }
+  }
+
+  /**
+   * Check the service is back to its pre-remediation state
+   * Healthy, or failing the same way it was before the remediation ran.
+   *
+   * @returns {Promise<object|null>} null if there is nothing to check
+   */
+  async verifyRollback(incidentState) {
+    const healthUrl = incidentState.health_check_url;
+    if (!healthUrl) {
+      return null;
+    }
+
+    const check = await lightpandaClient.healthCheck(healthUrl, {
+      expectedStatus: 200,
+      timeout: 30000,
+    });
+
+    return {
+      ...check,
+      restored: check.success || check.status === incidentState.pre_flight_status,
+    };
+  }
+
+  /**
+   * Escalation note line describing a rollback outcome
+   */
+  describeRollback(rollback) {
+    if (!rollback.executed) {
+      return `Rollback: not run (${rollback.reason})`;
+    }
+    if (rollback.success) {
+      return 'Rollback: executed and verified - service returned to its pre-remediation state';
     }
+    return `Rollback: ${rollback.reason}${rollback.exit_code !== undefined ? ` (exit code ${rollback.exit_code})` : ''}`;
   }
 
   /**
@@ -351,12 +1232,14 @@ export class Orchestrator {
    * This is the validation after "Act"
    */
   async verifyRemediation(incidentId) {
+    let incidentState = null;
+
     try {
       logger.info('Verifying remediation', { incidentId });
 
       await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.VERIFYING);
 
-      const incidentState = await stateManager.getIncidentState(incidentId);
+      incidentState = await stateManager.getIncidentState(incidentId);
 
       // Run post-remediation health check
       const healthUrl = incidentState.health_check_url;
@@ -369,12 +1252,21 @@ export class Orchestrator {
         });
       }
 
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.VERIFICATION_RESULT, {
+        phase: 'post_remediation',
+        success: verification.success,
+        status: verification.status,
+        error: verification.error,
+      });
+
       await stateManager.updateIncidentState(incidentId, {
         verification_status: verification.success ? 'passed' : 'failed',
         verification_result: verification,
         verified_at: new Date().toISOString(),
       });
 
+      await remediationBreaker.recordVerification(incidentId, verification.success);
+
       if (verification.success) {
         // Success! Resolve the incident
         logger.info('Remediation verified successfully', { incidentId });
@@ -384,8 +1276,8 @@ export class Orchestrator {
           resolved_at: new Date().toISOString(),
         });
 
-        // Add note to PagerDuty
-        await pagerdutyClient.addNote(
+        // Add note to the incident's provider
+        await incidentProviders.addNote(
           incidentId,
           `Self-Healing Engine successfully remediated this incident.\n\n` +
           `Root Cause: ${incidentState.root_cause || incidentState.hypothesis}\n` +
@@ -393,34 +1285,44 @@ export class Orchestrator {
           `Verification: Passed`
         );
 
-        // Optionally resolve in PagerDuty
-        // await pagerdutyClient.resolveIncident(incidentId);
+        // Optionally resolve in the provider too
+        if (config.incidentProviders.autoResolve) {
+          await incidentProviders.resolve(incidentId);
+        }
       } else {
-        // Verification failed
+        // Verification failed - undo the remediation before handing over
         logger.warn('Remediation verification failed', { incidentId });
 
-        await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
-          error: 'Verification failed after remediation',
-          verification_result: verification,
-        });
-
-        await pagerdutyClient.addNote(
-          incidentId,
-          `Self-Healing Engine attempted remediation but verification failed.\n` +
-          `Manual intervention required.`
-        );
+        const rollback = await this.rollbackRemediation(incidentId, incidentState);
+        await stateManager.updateIncidentState(incidentId, { rollback_result: rollback });
+
+        // Only try a revised script once the failed one has been undone
+        const failure = { stage: 'verification', verification, rollback };
+        if (!rollback.success || !(await this.retryRemediation(incidentId, incidentState, failure))) {
+          await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
+            error: 'Verification failed after remediation',
+            verification_result: verification,
+          });
+
+          await incidentProviders.addNote(
+            incidentId,
+            `Self-Healing Engine attempted remediation but verification failed.\n` +
+            `${this.describeRollback(rollback)}\n` +
+            `Attempts: ${incidentState.remediation_attempt || 1}/${this.maxAttempts}\n` +
+            `Manual intervention required.`
+          );
+        }
       }
     } catch (error) {
       logger.error('Verification error', {
         error: error.message,
         incidentId,
       });
-
-      await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
-        error: error.message,
-        error_stage: 'verification',
-      });
+      throw error;
     }
+
+    // Only once verification concluded; a retried job still needs the sandbox
+    await this.releaseSandbox(incidentId, incidentState);
   }
 
   /**
@@ -463,17 +1365,23 @@ export class Orchestrator {
   }
 
   /**
-   * Get status of all active incidents
+   * Get a page of incident summaries, newest first
+   *
+   * @param {object} filters - { stage, service, since, cursor, limit }
    */
-  async getActiveIncidentsStatus() {
-    const incidents = await stateManager.getActiveIncidents();
-    return incidents.map(i => ({
-      id: i.incident_id,
-      title: i.title,
-      stage: i.current_stage,
-      service: i.service_name,
-      updatedAt: i.updated_at,
-    }));
+  async getIncidentsStatus(filters = {}) {
+    const { incidents, next_cursor } = await stateManager.listIncidents(filters);
+    return {
+      incidents: incidents.map(i => ({
+        id: i.incident_id,
+        title: i.title,
+        stage: i.current_stage,
+        service: i.service_name,
+        createdAt: i.created_at,
+        updatedAt: i.updated_at,
+      })),
+      next_cursor,
+    };
   }
 }
 
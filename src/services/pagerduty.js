@@ -57,6 +57,31 @@ export class PagerDutyClient {
    * Resolve an incident
    */
   async resolveIncident(incidentId, email = 'self-healing-engine@system.local') {
+    return this._updateIncident(incidentId, { status: 'resolved' }, email, 'Incident resolved');
+  }
+
+  /**
+   * Acknowledge an incident
+   */
+  async acknowledgeIncident(incidentId, email = 'self-healing-engine@system.local') {
+    return this._updateIncident(incidentId, { status: 'acknowledged' }, email, 'Incident acknowledged');
+  }
+
+  /**
+   * Reassign an incident to a user or escalation policy
+   *
+   * @param {string} incidentId
+   * @param {object} assignee - { userId } or { escalationPolicyId }
+   */
+  async reassignIncident(incidentId, assignee, email = 'self-healing-engine@system.local') {
+    const update = assignee.escalationPolicyId
+      ? { escalation_policy: { id: assignee.escalationPolicyId, type: 'escalation_policy_reference' } }
+      : { assignments: [{ assignee: { id: assignee.userId, type: 'user_reference' } }] };
+
+    return this._updateIncident(incidentId, update, email, 'Incident reassigned');
+  }
+
+  async _updateIncident(incidentId, fields, email, successMessage) {
     if (!this.apiKey) {
       logger.warn('PagerDuty API key not configured');
       return null;
@@ -66,7 +91,7 @@ export class PagerDutyClient {
       const response = await this.client.put(`/incidents/${incidentId}`, {
         incident: {
           type: 'incident_reference',
-          status: 'resolved',
+          ...fields,
         },
       }, {
         headers: {
@@ -74,10 +99,10 @@ export class PagerDutyClient {
         },
       });
 
-      logger.info('Incident resolved', { incidentId });
+      logger.info(successMessage, { incidentId });
       return response.data;
     } catch (error) {
-      logger.error('Failed to resolve incident', {
+      logger.error('Failed to update incident', {
         error: error.message,
         incidentId,
       });
@@ -85,6 +110,46 @@ export class PagerDutyClient {
     }
   }
 
+  /**
+   * Open an incident on the configured service
+   * incident_key dedupes repeated opens for the same alert.
+   *
+   * @param {object} incident - { title, urgency, incidentKey, details }
+   * @returns {Promise<object|null>} The created incident
+   */
+  async createIncident({ title, urgency, incidentKey, details }, email = 'self-healing-engine@system.local') {
+    if (!this.apiKey) {
+      logger.warn('PagerDuty API key not configured');
+      return null;
+    }
+
+    try {
+      const response = await this.client.post('/incidents', {
+        incident: {
+          type: 'incident',
+          title,
+          service: { id: config.pagerduty.serviceId, type: 'service_reference' },
+          urgency: urgency === 'low' ? 'low' : 'high',
+          incident_key: incidentKey,
+          body: { type: 'incident_body', details: details || title },
+        },
+      }, {
+        headers: {
+          'From': email,
+        },
+      });
+
+      logger.info('Incident created', { incidentId: response.data.incident.id, incidentKey });
+      return response.data.incident;
+    } catch (error) {
+      logger.error('Failed to create incident', {
+        error: error.message,
+        incidentKey,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get incident details
    */
@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { ConfigurationError } from '../utils/errors.js';
+
+/**
+ * Remediation Policy Engine
+ * Decides what happens to a synthesized remediation: run it, ask a human,
+ * or refuse outright. Rules are declared in a YAML or JSON file
+ * (REMEDIATION_POLICY_PATH) and evaluated top to bottom; the first rule whose
+ * conditions all match wins. Without a file, the built-in policy reproduces
+ * the original Confidence Protocol using the CONFIDENCE_* thresholds.
+ *
+ * Conditions (all optional; a list matches if any entry matches):
+ *   service, urgency, risk          - equals one of
+ *   edge_cases, failure_types       - incident has any of
+ *   hypothesis_confidence,
+ *   context_match_score,
+ *   remediation_confidence          - { lt, lte, gt, gte }
+ *   ai_requested_approval,
+ *   has_rollback                    - true | false
+ *   time_of_day                     - { from: "22:00", to: "06:00", days: [sat, sun], timezone: "UTC" }
+ */
+
+export const POLICY_ACTIONS = {
+  AUTO_EXECUTE: 'auto_execute',
+  REQUIRE_APPROVAL: 'require_approval',
+  DENY: 'deny',
+};
+
+const ACTIONS = new Set(Object.values(POLICY_ACTIONS));
+const LIST_CONDITIONS = ['service', 'urgency', 'risk'];
+const ANY_OF_CONDITIONS = ['edge_cases', 'failure_types'];
+const NUMERIC_CONDITIONS = ['hypothesis_confidence', 'context_match_score', 'remediation_confidence'];
+const BOOLEAN_CONDITIONS = ['ai_requested_approval', 'has_rollback'];
+const CONDITIONS = new Set([
+  ...LIST_CONDITIONS,
+  ...ANY_OF_CONDITIONS,
+  ...NUMERIC_CONDITIONS,
+  ...BOOLEAN_CONDITIONS,
+  'time_of_day',
+]);
+
+/**
+ * The Confidence Protocol as a policy
+ */
+export function buildDefaultPolicy(thresholds = config.confidence) {
+  return {
+    name: 'builtin-confidence-protocol',
+    default: POLICY_ACTIONS.REQUIRE_APPROVAL,
+    rules: [
+      { name: 'high-risk', when: { risk: 'HIGH' }, action: POLICY_ACTIONS.REQUIRE_APPROVAL },
+      { name: 'ai-requested-approval', when: { ai_requested_approval: true }, action: POLICY_ACTIONS.REQUIRE_APPROVAL },
+      { name: 'no-rollback', when: { has_rollback: false }, action: POLICY_ACTIONS.REQUIRE_APPROVAL },
+      {
+        name: 'critical-edge-case',
+        when: { edge_cases: ['novel_failure', 'conflicting_evidence', 'data_sensitive', 'high_blast_radius'] },
+        action: POLICY_ACTIONS.REQUIRE_APPROVAL,
+      },
+      {
+        name: 'low-hypothesis-confidence',
+        when: { hypothesis_confidence: { lt: thresholds.autoExecuteThreshold } },
+        action: POLICY_ACTIONS.REQUIRE_APPROVAL,
+      },
+      {
+        name: 'low-context-match',
+        when: { context_match_score: { lt: thresholds.contextMatchThreshold || 70 } },
+        action: POLICY_ACTIONS.REQUIRE_APPROVAL,
+      },
+      {
+        name: 'low-remediation-confidence',
+        when: { remediation_confidence: { lt: 70 } },
+        action: POLICY_ACTIONS.REQUIRE_APPROVAL,
+      },
+      { name: 'confidence-protocol-passed', action: POLICY_ACTIONS.AUTO_EXECUTE },
+    ],
+  };
+}
+
+export class PolicyEngine {
+  constructor(options = {}) {
+    this.path = options.path ?? config.policy.path;
+    this.policy = options.policy ? this.validate(options.policy, 'inline') : null;
+  }
+
+  /**
+   * Load (or reload) the policy file
+   * @throws {ConfigurationError} if the file is unreadable or invalid
+   */
+  load() {
+    if (!this.path) {
+      this.policy = this.validate(buildDefaultPolicy(), 'builtin');
+      return this.policy;
+    }
+
+    let raw;
+    try {
+      raw = fs.readFileSync(this.path, 'utf8');
+    } catch (error) {
+      throw new ConfigurationError(`Cannot read remediation policy ${this.path}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+      parsed = path.extname(this.path) === '.json' ? JSON.parse(raw) : yaml.load(raw);
+    } catch (error) {
+      throw new ConfigurationError(`Cannot parse remediation policy ${this.path}: ${error.message}`);
+    }
+
+    this.policy = this.validate(parsed, this.path);
+    logger.info('Remediation policy loaded', {
+      path: this.path,
+      name: this.policy.name,
+      rules: this.policy.rules.length,
+    });
+    return this.policy;
+  }
+
+  getPolicy() {
+    return this.policy || this.load();
+  }
+
+  /**
+   * Check a policy's shape up front so a typo fails at load, not mid-incident
+   */
+  validate(policy, source) {
+    if (!policy || !Array.isArray(policy.rules)) {
+      throw new ConfigurationError(`Remediation policy ${source} must have a rules list`);
+    }
+
+    const defaultAction = policy.default || POLICY_ACTIONS.REQUIRE_APPROVAL;
+    if (!ACTIONS.has(defaultAction)) {
+      throw new ConfigurationError(`Remediation policy ${source} has unknown default action: ${defaultAction}`);
+    }
+
+    policy.rules.forEach((rule, index) => {
+      const label = rule?.name || `#${index + 1}`;
+      if (!ACTIONS.has(rule?.action)) {
+        throw new ConfigurationError(`Policy rule ${label} has unknown action: ${rule?.action}`);
+      }
+      for (const key of Object.keys(rule.when || {})) {
+        if (!CONDITIONS.has(key)) {
+          throw new ConfigurationError(`Policy rule ${label} has unknown condition: ${key}`);
+        }
+      }
+    });
+
+    return {
+      name: policy.name || path.basename(String(source)),
+      default: defaultAction,
+      rules: policy.rules.map((rule, index) => ({ ...rule, name: rule.name || `rule-${index + 1}` })),
+    };
+  }
+
+  /**
+   * Evaluate the policy for one remediation
+   *
+   * @param {object} facts - { service, urgency, risk, edge_cases, failure_types,
+   *   hypothesis_confidence, context_match_score, remediation_confidence,
+   *   ai_requested_approval, has_rollback, now }
+   * @returns {{action: string, rule: string|null, policy: string}}
+   */
+  evaluate(facts) {
+    const policy = this.getPolicy();
+    const rule = policy.rules.find(r => this.matches(r.when || {}, facts));
+
+    const decision = {
+      action: rule ? rule.action : policy.default,
+      rule: rule ? rule.name : null,
+      policy: policy.name,
+    };
+
+    logger.debug('Remediation policy evaluated', { ...decision, serviceName: facts.service, risk: facts.risk });
+    return decision;
+  }
+
+  matches(when, facts) {
+    return Object.entries(when).every(([key, expected]) => {
+      if (LIST_CONDITIONS.includes(key)) {
+        return toList(expected).map(normalize).includes(normalize(facts[key]));
+      }
+      if (ANY_OF_CONDITIONS.includes(key)) {
+        const present = new Set((facts[key] || []).map(normalize));
+        return toList(expected).some(value => present.has(normalize(value)));
+      }
+      if (NUMERIC_CONDITIONS.includes(key)) {
+        return compare(facts[key] || 0, expected);
+      }
+      if (BOOLEAN_CONDITIONS.includes(key)) {
+        return !!facts[key] === expected;
+      }
+      return matchesTimeOfDay(expected, facts.now || new Date());
+    });
+  }
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalize(value) {
+  return String(value ?? '').toLowerCase();
+}
+
+function compare(actual, bounds) {
+  if (typeof bounds === 'number') {
+    return actual === bounds;
+  }
+  return (bounds.lt === undefined || actual < bounds.lt)
+    && (bounds.lte === undefined || actual <= bounds.lte)
+    && (bounds.gt === undefined || actual > bounds.gt)
+    && (bounds.gte === undefined || actual >= bounds.gte);
+}
+
+/**
+ * Whether `now` falls in a daily window, which may wrap past midnight
+ */
+function matchesTimeOfDay(window, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: window.timezone || 'UTC',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now).map(p => [p.type, p.value])
+  );
+
+  if (window.days && !toList(window.days).map(normalize).includes(normalize(parts.weekday))) {
+    return false;
+  }
+  if (!window.from || !window.to) {
+    return true;
+  }
+
+  const minutes = parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10);
+  const from = toMinutes(window.from);
+  const to = toMinutes(window.to);
+  return from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+}
+
+function toMinutes(hhmm) {
+  const [hours, minutes = 0] = String(hhmm).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+export const policyEngine = new PolicyEngine();
+export default policyEngine;
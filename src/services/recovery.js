@@ -0,0 +1,158 @@
+import logger from '../utils/logger.js';
+import stateManager from '../state/redis.js';
+import jobQueue from '../state/job-queue.js';
+import { STAGES } from '../state/state-machine.js';
+import { EVENT_TYPES, runWithEventSource } from '../state/event-log.js';
+import orchestrator from './orchestrator.js';
+import coderClient from './coder.js';
+import incidentProviders from './incident-providers.js';
+import remediationBreaker from './circuit-breaker.js';
+import { isShadowIncident } from './shadow-mode.js';
+
+/**
+ * Crash Recovery
+ * Runs once at startup, before the pipeline workers, to pick up incidents
+ * orphaned when the previous process died:
+ * - incidents with no queued or running job are reconciled against their
+ *   stage: idempotent stages are re-enqueued, EXECUTING is escalated since
+ *   the script may have partly run
+ * - remediation-* sandboxes no live incident uses are deleted
+ *
+ * Incidents whose job is still in the queue are left to it; a job claimed
+ * by the dead process is reclaimed once its visibility timeout lapses.
+ */
+
+// Sandboxes younger than this may belong to an execution that has not
+// recorded its sandbox name yet
+const ORPHAN_MIN_AGE_MS = 5 * 60 * 1000;
+
+// Stages that wait on Cleric or a human rather than a job
+const WAITING_STAGES = new Set([STAGES.TRIGGERED, STAGES.INVESTIGATING]);
+
+export class CrashRecovery {
+  constructor(options = {}) {
+    this.orchestrator = options.orchestrator || orchestrator;
+    this.queue = options.queue || jobQueue;
+    this.sandboxes = options.sandboxes || coderClient;
+  }
+
+  /**
+   * Reconcile incidents, then clean up sandboxes
+   * @returns {Promise<{resumed: number, escalated: number, orphans_deleted: number}>}
+   */
+  async run() {
+    const busy = await this.queue.getPendingIncidentIds();
+    const incidents = await stateManager.getActiveIncidents();
+    const summary = { resumed: 0, escalated: 0, orphans_deleted: 0 };
+    const sandboxesInUse = new Set();
+
+    for (const incident of incidents) {
+      if (incident.current_stage === STAGES.ESCALATED) {
+        continue;
+      }
+      if (busy.has(incident.incident_id)) {
+        if (incident.sandbox_name) sandboxesInUse.add(incident.sandbox_name);
+        continue;
+      }
+
+      try {
+        const action = await this.reconcile(incident.incident_id);
+        if (action) {
+          summary[action]++;
+        }
+        // A resumed verification rolls back in the sandbox it ran in
+        if (action === 'resumed' && incident.current_stage === STAGES.VERIFYING && incident.sandbox_name) {
+          sandboxesInUse.add(incident.sandbox_name);
+        }
+      } catch (error) {
+        logger.error('Failed to recover incident', { incidentId: incident.incident_id, error: error.message });
+      }
+    }
+
+    summary.orphans_deleted = await this.deleteOrphanSandboxes(sandboxesInUse);
+
+    logger.info('Crash recovery complete', { ...summary, activeIncidents: incidents.length });
+    return summary;
+  }
+
+  /**
+   * Bring one idle incident back in line with its stage
+   * @returns {Promise<string|null>} resumed, escalated or null
+   */
+  async reconcile(incidentId) {
+    return runWithEventSource('recovery', () => stateManager.withIncidentLock(incidentId, async () => {
+      const incident = await stateManager.getIncidentState(incidentId);
+      const stage = incident?.current_stage;
+
+      if (!incident || WAITING_STAGES.has(stage) || incident.parent_incident_id) {
+        return null;
+      }
+      if (stage === STAGES.SYNTHESIZING
+        && (isShadowIncident(incident) || await stateManager.getPendingApproval(incidentId))) {
+        return null;
+      }
+
+      if (stage === STAGES.EXECUTING) {
+        await stateManager.transitionStage(incidentId, STAGES.ESCALATED, {
+          error: 'Process restarted during remediation execution',
+          escalation_reason: 'interrupted_execution',
+        });
+        await stateManager.recordEvent(incidentId, EVENT_TYPES.RECOVERY_ACTION, { action: 'escalated', stage });
+        await this.orchestrator.releaseSandbox(incidentId, incident);
+        await remediationBreaker.release(incidentId);
+        await incidentProviders.addNote(
+          incidentId,
+          `Self-Healing Engine restarted while running a remediation for this incident. ` +
+          `The script may have partly run and was not retried.\n` +
+          `Manual intervention required.`
+        );
+        logger.warn('Escalated incident interrupted during execution', { incidentId });
+        return 'escalated';
+      }
+
+      const job = await this.orchestrator.resumeStage(incidentId, incident);
+      if (!job) {
+        return null;
+      }
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.RECOVERY_ACTION, { action: 'resumed', stage, job });
+      return 'resumed';
+    }));
+  }
+
+  /**
+   * Delete remediation sandboxes not in the given set
+   * @returns {Promise<number>} Sandboxes deleted
+   */
+  async deleteOrphanSandboxes(inUse) {
+    let sandboxes;
+    try {
+      sandboxes = await this.sandboxes.listSandboxes();
+    } catch (error) {
+      logger.warn('Could not list sandboxes for orphan cleanup', { error: error.message });
+      return 0;
+    }
+
+    const cutoff = Date.now() - ORPHAN_MIN_AGE_MS;
+    const orphans = sandboxes.filter(sandbox =>
+      !inUse.has(sandbox.name) && (Date.parse(sandbox.createdAt) || 0) < cutoff
+    );
+
+    let deleted = 0;
+    for (const sandbox of orphans) {
+      if (await this.sandboxes.deleteSandbox(sandbox.name)) {
+        deleted++;
+      }
+    }
+
+    if (orphans.length > 0) {
+      logger.info('Deleted orphan remediation sandboxes', {
+        deleted,
+        sandboxes: orphans.map(sandbox => sandbox.name),
+      });
+    }
+    return deleted;
+  }
+}
+
+export const crashRecovery = new CrashRecovery();
+export default crashRecovery;
@@ -0,0 +1,396 @@
+import logger from '../utils/logger.js';
+import { SchemaValidationError } from '../utils/errors.js';
+
+/**
+ * Remediation Output Schema
+ * The one shape every LLM provider returns a remediation in. Anthropic gets
+ * it as a forced tool call, Gemini as a response schema and OpenAI-compatible
+ * endpoints as a json_schema response format. Whatever comes back is
+ * validated here; an invalid answer gets one repair turn listing the
+ * problems before the provider is given up on.
+ *
+ * Plain-text responses (incidents stored before structured output, text
+ * fixtures, the enhanced pipeline's prompts) still go through the legacy
+ * tag parser.
+ */
+
+export const REMEDIATION_TOOL_NAME = 'submit_remediation';
+
+export const SCRIPT_LANGUAGES = ['bash', 'python'];
+
+export const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+// Repair turns after the first answer
+const MAX_REPAIR_PASSES = 1;
+
+export const REMEDIATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    analysis: {
+      type: 'string',
+      description: 'Steps 1-3: the root cause, how it matches the runbooks, and the risks of remediating',
+    },
+    risk: {
+      type: 'string',
+      enum: RISK_LEVELS,
+      description: 'Overall risk of running the remediation',
+    },
+    confidence: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 100,
+      description: 'Confidence (0-100) that the remediation resolves the incident',
+    },
+    requires_approval: {
+      type: 'boolean',
+      description: 'True if a human must approve before the remediation runs (HIGH risk or uncertain)',
+    },
+    language: {
+      type: 'string',
+      enum: SCRIPT_LANGUAGES,
+      description: 'Language of remediation_code',
+    },
+    remediation_code: {
+      type: 'string',
+      description: 'Idempotent remediation script; empty if there is no safe remediation',
+    },
+    rollback_language: {
+      type: 'string',
+      enum: SCRIPT_LANGUAGES,
+      description: 'Language of rollback_code',
+    },
+    rollback_code: {
+      type: 'string',
+      description: 'Script that undoes every change the remediation makes; empty only if remediation_code is',
+    },
+    reproduction_code: {
+      type: 'string',
+      description: 'Script that fails while the bug is present and exits 0 once fixed; empty if not possible',
+    },
+    verification_steps: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'How to verify the fix worked',
+    },
+  },
+  required: [
+    'analysis',
+    'risk',
+    'confidence',
+    'requires_approval',
+    'language',
+    'remediation_code',
+    'rollback_language',
+    'rollback_code',
+    'reproduction_code',
+    'verification_steps',
+  ],
+  additionalProperties: false,
+};
+
+/**
+ * Validate a structured remediation against REMEDIATION_SCHEMA
+ * A remediation script must come with a rollback script; JSON Schema cannot
+ * express that, so it is checked here.
+ *
+ * @param {object} output - Decoded model output
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateRemediation(output) {
+  const errors = [];
+  validateNode(output, REMEDIATION_SCHEMA, '', errors);
+
+  if (errors.length === 0 && output.remediation_code.trim() && !output.rollback_code.trim()) {
+    errors.push('rollback_code: required when remediation_code is set');
+  }
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Checks the JSON Schema keywords REMEDIATION_SCHEMA uses
+ */
+function validateNode(value, schema, path, errors) {
+  const at = path || 'output';
+
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${at}: expected ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => validateNode(item, schema.items, `${at}[${i}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${field}: missing required field`);
+      }
+    }
+    for (const [field, child] of Object.entries(value)) {
+      const fieldPath = path ? `${path}.${field}` : field;
+      if (schema.properties?.[field]) {
+        validateNode(child, schema.properties[field], fieldPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${fieldPath}: unknown field`);
+      }
+    }
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * REMEDIATION_SCHEMA in Gemini's OpenAPI subset: upper-case types, and no
+ * additionalProperties or bounds (those are still checked on the way back)
+ */
+export function toGeminiSchema(schema = REMEDIATION_SCHEMA) {
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([field, child]) => [field, toGeminiSchema(child)])
+    );
+  }
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
+
+/**
+ * Decode and validate a raw structured response
+ * @returns {{output: object|null, errors: string[]}}
+ */
+export function checkRemediationOutput(raw) {
+  let output;
+  try {
+    // Some endpoints wrap JSON output in a code fence
+    output = JSON.parse(String(raw).trim().replace(/^```(?:json)?\s*\n/, '').replace(/\n?```$/, ''));
+  } catch (error) {
+    return { output: null, errors: [`response is not valid JSON: ${error.message}`] };
+  }
+  const { errors } = validateRemediation(output);
+  return { output, errors };
+}
+
+/**
+ * The follow-up turn asking the model to fix an invalid answer
+ */
+export function buildRepairPrompt(errors) {
+  return [
+    'Your remediation did not match the required schema:',
+    ...errors.map(error => `- ${error}`),
+    '',
+    'Submit the complete remediation again with these problems fixed. Do not change anything else.',
+  ].join('\n');
+}
+
+/**
+ * Ask for a structured remediation, with one repair turn if it is invalid
+ *
+ * @param {string} provider - Provider name for logs and errors
+ * @param {Function} ask - (repairTurns) => raw JSON string; repairTurns are
+ *   {response, feedback} pairs to append after the previous attempts
+ * @returns {Promise<object>} Result in the generateRemediation shape
+ * @throws {SchemaValidationError} When the repaired answer is still invalid
+ */
+export async function requestStructuredRemediation(provider, ask) {
+  let repairTurns = [];
+
+  for (let pass = 0; ; pass++) {
+    const raw = await ask(repairTurns);
+    const { output, errors } = checkRemediationOutput(raw);
+
+    if (errors.length === 0) {
+      return toRemediationResult(output, raw);
+    }
+    if (pass >= MAX_REPAIR_PASSES) {
+      throw new SchemaValidationError(provider, errors);
+    }
+
+    logger.warn('Remediation failed schema validation, asking for a repair', { provider, errors });
+    repairTurns = [{ response: raw, feedback: buildRepairPrompt(errors) }];
+  }
+}
+
+/**
+ * Map a valid structured remediation onto the generateRemediation result
+ */
+export function toRemediationResult(output, raw = JSON.stringify(output)) {
+  const code = output.remediation_code.trim() || null;
+  const rollbackCode = output.rollback_code.trim() || null;
+
+  return {
+    raw,
+    structured: true,
+    code,
+    language: output.language,
+    reasoning: output.analysis,
+    risk: output.risk,
+    confidence: output.confidence,
+    verificationSteps: output.verification_steps,
+    requiresApproval: output.requires_approval || output.risk === 'HIGH',
+    rollbackCode,
+    rollbackLanguage: rollbackCode ? output.rollback_language : null,
+    reproductionCode: output.reproduction_code.trim() || null,
+  };
+}
+
+/**
+ * A remediation in the generateRemediation shape, serialized as the
+ * structured output the model submits
+ * Used to replay a stored remediation to the model as its earlier answer.
+ */
+export function toStructuredResponse(remediation) {
+  const language = SCRIPT_LANGUAGES.includes(remediation.language) ? remediation.language : 'python';
+  return JSON.stringify({
+    analysis: remediation.reasoning || '',
+    risk: RISK_LEVELS.includes(remediation.risk) ? remediation.risk : 'MEDIUM',
+    confidence: Math.round(Number(remediation.confidence ?? 50)) || 0,
+    requires_approval: !!remediation.requiresApproval,
+    language,
+    remediation_code: remediation.code || '',
+    rollback_language: SCRIPT_LANGUAGES.includes(remediation.rollbackLanguage) ? remediation.rollbackLanguage : language,
+    rollback_code: remediation.rollbackCode || '',
+    reproduction_code: remediation.reproductionCode || '',
+    verification_steps: remediation.verificationSteps || [],
+  });
+}
+
+/**
+ * Parse a stored or recorded response: structured JSON if it validates,
+ * otherwise the legacy tagged text
+ */
+export function parseRemediationOutput(content) {
+  if (/^\s*(```(?:json)?\s*)?\{/.test(content)) {
+    const { output, errors } = checkRemediationOutput(content);
+    if (errors.length === 0) {
+      return toRemediationResult(output, content);
+    }
+  }
+  return parseLegacyRemediationText(content);
+}
+
+/**
+ * Tag and keyword parser for free-text responses
+ * Risk comes from a "risk: LEVEL" line and confidence is guessed from the
+ * wording, so it is only used where no structured output exists.
+ */
+export function parseLegacyRemediationText(content) {
+  const result = {
+    raw: content,
+    structured: false,
+    code: null,
+    language: 'python', // Default
+    reasoning: '',
+    risk: 'UNKNOWN',
+    confidence: 50,
+    verificationSteps: [],
+    requiresApproval: false,
+    rollbackCode: null,
+    rollbackLanguage: null,
+  };
+
+  // Extract code block and language attribute
+  const codeMatch = content.match(/<execution_block(?:\s+language=["']?(\w+)["']?)?>([\s\S]*?)<\/execution_block>/);
+  if (codeMatch) {
+    result.language = codeMatch[1] || 'python';
+    // Clean up markdown code fence if present inside the block
+    result.code = stripFence(codeMatch[2]);
+  }
+
+  // Extract the rollback script run if verification fails
+  const rollbackMatch = content.match(/<rollback_block(?:\s+language=["']?(\w+)["']?)?>([\s\S]*?)<\/rollback_block>/);
+  if (rollbackMatch) {
+    result.rollbackCode = stripFence(rollbackMatch[2]);
+    result.rollbackLanguage = rollbackMatch[1] || null;
+  }
+
+  const reproductionMatch = content.match(/<reproduction_block(?:\s+language=["']?\w+["']?)?>([\s\S]*?)<\/reproduction_block>/);
+  if (reproductionMatch) {
+    result.reproductionCode = stripFence(reproductionMatch[1]);
+  }
+
+  // Fallback: Detect language from shebang if not explicitly set
+  if (result.code && (!codeMatch || !codeMatch[1])) {
+    if (isShellScript(result.code)) {
+      result.language = 'bash';
+    } else if (result.code.startsWith('#!/usr/bin/env python') || result.code.startsWith('#!/usr/bin/python')) {
+      result.language = 'python';
+    }
+  }
+
+  if (result.rollbackCode && !result.rollbackLanguage) {
+    result.rollbackLanguage = isShellScript(result.rollbackCode) ? 'bash' : result.language;
+  }
+
+  // Extract risk level
+  const riskMatch = content.match(/(?:overall\s*)?risk[:\s]+(?:is\s+)?(LOW|MEDIUM|HIGH)/i);
+  if (riskMatch) {
+    result.risk = riskMatch[1].toUpperCase();
+  }
+
+  // Check for human approval requirement
+  result.requiresApproval =
+    result.risk === 'HIGH' ||
+    /human\s*(review|approval|intervention)\s*(is\s*)?(required|recommended|needed)/i.test(content) ||
+    /uncertain|unsure|not\s*confident/i.test(content);
+
+  // A remediation that cannot be undone needs a human
+  if (result.code && !result.rollbackCode) {
+    result.requiresApproval = true;
+  }
+
+  // Extract reasoning (everything before the code block)
+  result.reasoning = codeMatch ? content.substring(0, codeMatch.index).trim() : content;
+
+  // Estimate confidence based on language
+  if (/certain|confident|clearly|definitely/i.test(content)) {
+    result.confidence = 85;
+  } else if (/likely|probably|should/i.test(content)) {
+    result.confidence = 70;
+  } else if (/might|could|possibly/i.test(content)) {
+    result.confidence = 50;
+  }
+
+  // Reduce confidence if risk is high
+  if (result.risk === 'HIGH') {
+    result.confidence = Math.min(result.confidence, 40);
+  }
+
+  return result;
+}
+
+function stripFence(code) {
+  return code.trim().replace(/^```\w*\n/, '').replace(/\n```$/, '');
+}
+
+function isShellScript(code) {
+  return code.startsWith('#!/bin/bash') || code.startsWith('#!/bin/sh');
+}
@@ -0,0 +1,384 @@
+import logger from '../utils/logger.js';
+import stateManager, { RedisStateManager } from '../state/redis.js';
+import incidentArchive from '../state/archive.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import aiClient from './llm.js';
+import clericParser from '../parsers/cleric.js';
+import { Orchestrator } from './orchestrator.js';
+
+/**
+ * Incident Replay
+ * Re-runs a stored incident's alert and Cleric note through context
+ * retrieval and synthesis to see whether a prompt, parser, runbook or
+ * policy change would have handled it differently.
+ *
+ * LLM modes:
+ * - recorded: the remediation response stored on the incident, re-parsed
+ *   with the current parser; no LLM call is made
+ * - live: a fresh call to the configured provider
+ *
+ * The policy and freeze calendar are evaluated at the time of the original
+ * decision. The replay runs on a scratch incident (replay-<id>-<ts>) that is
+ * deleted afterwards; nothing is executed, approved or posted. Results are
+ * compared against the remediation the incident ended with.
+ *
+ * CLI: npm run replay -- <incidentId...> [--live] [--json] [--fail-on-change]
+ */
+
+export const REPLAY_LLM_MODES = {
+  RECORDED: 'recorded',
+  LIVE: 'live',
+};
+
+// Fields written at intake, copied from the original alert
+const ALERT_FIELDS = [
+  'source',
+  'title',
+  'urgency',
+  'service_id',
+  'service_name',
+  'labels',
+  'metric_query',
+  'runbook_url',
+  'alert_payload',
+  'triggered_at',
+];
+
+// Longer scripts are diffed as a whole replacement
+const MAX_DIFF_LINES = 1000;
+
+/**
+ * Runs stages in-process and captures the decision instead of acting on it
+ */
+class ReplayOrchestrator extends Orchestrator {
+  constructor({ aiClient: client, at }) {
+    super();
+    this.aiClient = client;
+    this.at = at;
+    this.jobs = [];
+    this.outcome = null;
+  }
+
+  now() {
+    return new Date(this.at);
+  }
+
+  async enqueueStage(job, incidentId, payload = {}) {
+    this.jobs.push({ job, payload });
+  }
+
+  async checkLlmBudget(incidentId) {
+    // A recorded replay makes no LLM calls, so the budget does not apply
+    return this.aiClient instanceof RecordedResponseClient ? null : super.checkLlmBudget(incidentId);
+  }
+
+  async dispatchRemediation(incidentId, incidentState, hypothesis, remediation, decision) {
+    const freeze = await this.checkFreeze(incidentId, incidentState);
+    this.outcome = { remediation, decision: this.applyFreezeToDecision(decision, freeze) };
+  }
+}
+
+/**
+ * Stands in for the LLM client with the response stored on an incident
+ */
+class RecordedResponseClient {
+  constructor(incident, parser = aiClient) {
+    this.incident = incident;
+    this.parser = parser;
+    this.model = 'recorded';
+  }
+
+  async generateRemediation() {
+    const incident = this.incident;
+    const facts = incident.policy_decision?.facts || {};
+
+    const remediation = incident.remediation_response
+      ? this.parser._parseRemediationResponse(incident.remediation_response)
+      : {
+        code: incident.remediation_code || null,
+        language: incident.remediation_language,
+        rollbackCode: incident.rollback_code,
+        rollbackLanguage: incident.rollback_language,
+        reasoning: incident.anthropic_reasoning || '',
+        risk: incident.remediation_risk,
+        confidence: incident.remediation_confidence,
+        requiresApproval: !!facts.ai_requested_approval,
+      };
+
+    // Edge cases come from the enhanced pipeline and are not in the text
+    return { ...remediation, edgeCases: facts.edge_cases || [] };
+  }
+}
+
+export class IncidentReplay {
+  constructor(options = {}) {
+    this.archive = options.archive || incidentArchive;
+    this.liveClient = options.aiClient || aiClient;
+  }
+
+  /**
+   * Replay one incident and diff the outcome against the original
+   *
+   * @param {string} incidentId
+   * @param {object} options - { llm: recorded | live }
+   */
+  async replay(incidentId, { llm = REPLAY_LLM_MODES.RECORDED } = {}) {
+    if (!Object.values(REPLAY_LLM_MODES).includes(llm)) {
+      throw new ValidationError(`llm must be one of: ${Object.values(REPLAY_LLM_MODES).join(', ')}`);
+    }
+
+    const original = await this.loadIncident(incidentId);
+    if (llm === REPLAY_LLM_MODES.RECORDED && !original.remediation_response && !original.remediation_code) {
+      throw new ValidationError(`Incident ${incidentId} has no recorded remediation to replay`);
+    }
+
+    const at = original.policy_decision?.evaluated_at || original.created_at || new Date().toISOString();
+    const orchestrator = new ReplayOrchestrator({
+      aiClient: llm === REPLAY_LLM_MODES.LIVE ? this.liveClient : new RecordedResponseClient(original),
+      at,
+    });
+    const hypothesis = this.parseHypothesis(original, orchestrator);
+    const replayId = `replay-${incidentId}-${Date.now()}`;
+
+    logger.info('Replaying incident', { incidentId, replayId, llm, evaluatedAt: at });
+
+    try {
+      await stateManager.setIncidentState(replayId, {
+        ...Object.fromEntries(ALERT_FIELDS.filter(f => original[f] !== undefined).map(f => [f, original[f]])),
+        incident_id: replayId,
+        current_stage: RedisStateManager.STAGES.HYPOTHESIS_RECEIVED,
+        cleric_hypothesis: hypothesis.hypothesis,
+        cleric_confidence: hypothesis.confidence,
+        cleric_root_cause: hypothesis.rootCause,
+        cleric_recommendation: hypothesis.recommendation,
+        cleric_affected_services: hypothesis.affectedServices,
+        replay_of: incidentId,
+        // Shadow incidents never notify anyone
+        shadow_mode: true,
+      });
+
+      await orchestrator.processHypothesis(replayId, hypothesis, clericParser.generateSensoQuery(hypothesis));
+      const synthesis = orchestrator.jobs.find(j => j.job === Orchestrator.JOBS.SYNTHESIZE);
+      await orchestrator.synthesizeRemediation(
+        replayId,
+        synthesis.payload.hypothesis,
+        synthesis.payload.runbookContext,
+        await stateManager.getIncidentState(replayId)
+      );
+    } finally {
+      await stateManager.deleteIncidentState(replayId);
+    }
+
+    const before = summarizeOriginal(original, orchestrator);
+    const after = summarizeReplay(orchestrator.outcome);
+    const diff = diffOutcomes(before, after);
+
+    const result = {
+      incident_id: incidentId,
+      replay_id: replayId,
+      llm,
+      evaluated_at: at,
+      replayed_at: new Date().toISOString(),
+      changed: Object.values(diff).some(Boolean),
+      original: before,
+      replay: after,
+      diff,
+    };
+
+    logger.info('Incident replayed', {
+      incidentId,
+      llm,
+      changed: result.changed,
+      decision: after.decision,
+      originalDecision: before.decision,
+    });
+    return result;
+  }
+
+  /**
+   * The incident as archived, or its live state if not closed yet
+   */
+  async loadIncident(incidentId) {
+    const record = await this.archive.get(incidentId);
+    const incident = record?.incident || await stateManager.getIncidentState(incidentId);
+    if (!incident) {
+      throw new NotFoundError(`Incident ${incidentId}`);
+    }
+    return incident;
+  }
+
+  /**
+   * Re-parse the raw Cleric note with the current parser
+   * Incidents from before raw notes were stored fall back to the parsed fields.
+   */
+  parseHypothesis(incident, orchestrator) {
+    if (incident.cleric_raw_note) {
+      const parsed = clericParser.parseNote(incident.cleric_raw_note);
+      if (!parsed?.parseSuccess) {
+        throw new ValidationError(`Cleric note for ${incident.incident_id} no longer parses`);
+      }
+      return parsed;
+    }
+
+    const stored = orchestrator.storedHypothesis(incident);
+    if (!stored) {
+      throw new ValidationError(`Incident ${incident.incident_id} has no Cleric note to replay`);
+    }
+    return stored;
+  }
+}
+
+function summarizeOriginal(incident, orchestrator) {
+  const decision = incident.policy_decision
+    ? orchestrator.applyFreezeToDecision(incident.policy_decision, incident.freeze_window)
+    : null;
+
+  return {
+    remediation_code: incident.remediation_code || null,
+    risk: incident.remediation_risk || null,
+    confidence: incident.remediation_confidence ?? null,
+    decision: decision?.action || null,
+    policy_rule: decision?.rule || null,
+  };
+}
+
+function summarizeReplay(outcome) {
+  return {
+    remediation_code: outcome?.remediation.code || null,
+    risk: outcome?.remediation.risk || null,
+    confidence: outcome?.remediation.confidence ?? null,
+    decision: outcome?.decision.action || null,
+    policy_rule: outcome?.decision.rule || null,
+  };
+}
+
+/**
+ * Field-level differences; null where nothing changed
+ */
+function diffOutcomes(before, after) {
+  const change = field => (before[field] === after[field] ? null : { original: before[field], replay: after[field] });
+
+  return {
+    remediation_code: before.remediation_code === after.remediation_code
+      ? null
+      : diffLines(before.remediation_code || '', after.remediation_code || ''),
+    risk: change('risk'),
+    confidence: change('confidence'),
+    decision: change('decision'),
+    policy_rule: change('policy_rule'),
+  };
+}
+
+/**
+ * Line diff of two scripts, each line prefixed with ' ', '-' or '+'
+ */
+function diffLines(a, b) {
+  const left = a ? a.split('\n') : [];
+  const right = b ? b.split('\n') : [];
+
+  if (left.length > MAX_DIFF_LINES || right.length > MAX_DIFF_LINES) {
+    return [...left.map(l => `-${l}`), ...right.map(l => `+${l}`)];
+  }
+
+  // Longest common subsequence, filled from the end
+  const lcs = Array.from({ length: left.length + 1 }, () => new Uint16Array(right.length + 1));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      lines.push(` ${left[i++]}`);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`-${left[i++]}`);
+    } else {
+      lines.push(`+${right[j++]}`);
+    }
+  }
+  while (i < left.length) lines.push(`-${left[i++]}`);
+  while (j < right.length) lines.push(`+${right[j++]}`);
+  return lines;
+}
+
+export const incidentReplay = new IncidentReplay();
+
+/**
+ * CLI entry point
+ */
+export async function runCLI(args) {
+  const ids = args.filter(a => !a.startsWith('--'));
+  if (ids.length === 0) {
+    console.log('Usage: node src/services/replay.js <incidentId...> [--live] [--json] [--fail-on-change]');
+    console.log('  --live            Call the configured LLM instead of using the recorded response');
+    console.log('  --json            Print full results as JSON');
+    console.log('  --fail-on-change  Exit 2 if any incident would be handled differently');
+    process.exit(1);
+  }
+
+  const llm = args.includes('--live') ? REPLAY_LLM_MODES.LIVE : REPLAY_LLM_MODES.RECORDED;
+  await stateManager.connect();
+
+  const results = [];
+  let failed = false;
+  for (const id of ids) {
+    try {
+      results.push(await incidentReplay.replay(id, { llm }));
+    } catch (error) {
+      failed = true;
+      results.push({ incident_id: id, error: error.message });
+    }
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const result of results) {
+      console.log(formatResult(result));
+    }
+  }
+
+  await incidentArchive.close();
+  await stateManager.disconnect();
+
+  if (failed) {
+    process.exit(1);
+  }
+  process.exit(args.includes('--fail-on-change') && results.some(r => r.changed) ? 2 : 0);
+}
+
+function formatResult(result) {
+  if (result.error) {
+    return `${result.incident_id}: error: ${result.error}\n`;
+  }
+  if (!result.changed) {
+    return `${result.incident_id}: unchanged (${result.replay.decision || 'no remediation'})\n`;
+  }
+
+  const lines = [`${result.incident_id}: changed`];
+  for (const field of ['decision', 'policy_rule', 'risk', 'confidence']) {
+    const change = result.diff[field];
+    if (change) {
+      lines.push(`  ${field}: ${change.original ?? '-'} -> ${change.replay ?? '-'}`);
+    }
+  }
+  if (result.diff.remediation_code) {
+    lines.push('  remediation_code:', ...result.diff.remediation_code.map(l => `    ${l}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Run CLI if executed directly
+if (process.argv[1]?.endsWith('replay.js')) {
+  runCLI(process.argv.slice(2)).catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+export default incidentReplay;
@@ -0,0 +1,31 @@
+import config from '../config/index.js';
+
+/**
+ * Shadow Mode
+ * Runs the pipeline against real alerts without touching anything: context
+ * retrieval and synthesis happen as usual, but nothing is executed and no
+ * PagerDuty, Opsgenie or Slack posts are made. What Vigil would have done is
+ * stored on the incident as `shadow_run` for comparison with how the
+ * on-call engineer actually resolved it.
+ *
+ * Enabled globally with SHADOW_MODE=true or per service with SHADOW_SERVICES.
+ */
+
+/**
+ * Whether new incidents on a service run in shadow mode
+ */
+export function isShadowService(serviceName) {
+  return config.shadow.enabled || (!!serviceName && config.shadow.services.includes(serviceName));
+}
+
+/**
+ * Whether an incident runs in shadow mode
+ * Once synthesis has stamped `shadow_mode` on the incident, that wins, so
+ * changing the config never flips an incident halfway through its run.
+ */
+export function isShadowIncident(incidentState) {
+  if (typeof incidentState?.shadow_mode === 'boolean') {
+    return incidentState.shadow_mode;
+  }
+  return isShadowService(incidentState?.service_name);
+}
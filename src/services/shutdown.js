@@ -0,0 +1,115 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import stateManager from '../state/redis.js';
+import jobQueue from '../state/job-queue.js';
+import { STAGES } from '../state/state-machine.js';
+import { EVENT_TYPES, runWithEventSource } from '../state/event-log.js';
+import orchestrator, { Orchestrator } from './orchestrator.js';
+import incidentProviders from './incident-providers.js';
+import remediationBreaker from './circuit-breaker.js';
+import incidentWatchdog from './watchdog.js';
+
+/**
+ * Pipeline Drain
+ * Run on SIGTERM/SIGINT before disconnecting from Redis:
+ * - the watchdog and queue stop taking new work
+ * - in-flight stage jobs get SHUTDOWN_DRAIN_TIMEOUT_MS to finish
+ * - jobs still running at the deadline are abandoned and checkpointed
+ *
+ * An abandoned execution is escalated and its sandbox deleted, which stops
+ * the script; it may have partly run, so it is never retried. Other
+ * abandoned stages are idempotent and are reclaimed by another worker once
+ * their visibility timeout lapses.
+ */
+
+export class PipelineDrain {
+  constructor(options = {}) {
+    this.orchestrator = options.orchestrator || orchestrator;
+    this.queue = options.queue || jobQueue;
+    this.watchdog = options.watchdog || incidentWatchdog;
+    this.deadlineMs = options.deadlineMs ?? config.shutdown.drainTimeoutMs;
+  }
+
+  /**
+   * @returns {Promise<{drained: string[], abandoned: string[]}>} Incident ids
+   */
+  async drain({ deadlineMs = this.deadlineMs } = {}) {
+    const startedAt = Date.now();
+    await this.watchdog.stop();
+    const { drained, abandoned } = await this.queue.stop({ deadlineMs });
+
+    for (const job of abandoned) {
+      try {
+        await this.checkpoint(job);
+      } catch (error) {
+        logger.error('Failed to checkpoint abandoned job', {
+          incidentId: job.incident_id,
+          jobId: job.id,
+          type: job.type,
+          error: error.message,
+        });
+      }
+    }
+
+    const report = {
+      drained: drained.map(job => job.incident_id).filter(Boolean),
+      abandoned: abandoned.map(job => job.incident_id).filter(Boolean),
+    };
+    logger[abandoned.length > 0 ? 'warn' : 'info']('Pipeline drained for shutdown', {
+      drainedIncidents: report.drained,
+      abandonedIncidents: report.abandoned,
+      durationMs: Date.now() - startedAt,
+      deadlineMs,
+    });
+    return report;
+  }
+
+  /**
+   * Record where an abandoned job left its incident
+   * The job's own handler still holds the incident lock, so this writes
+   * without it.
+   */
+  async checkpoint(job) {
+    const incidentId = job.incident_id;
+    const incident = incidentId && await stateManager.getIncidentState(incidentId);
+    if (!incident) {
+      return;
+    }
+
+    const stage = incident.current_stage;
+    await runWithEventSource('shutdown', async () => {
+      await stateManager.updateIncidentState(incidentId, {
+        shutdown_checkpoint: {
+          stage,
+          job: job.type,
+          job_id: job.id,
+          attempt: job.attempts,
+          abandoned_at: new Date().toISOString(),
+        },
+      });
+
+      if (job.type !== Orchestrator.JOBS.EXECUTE || !stateManager.stateMachine.canTransition(stage, STAGES.ESCALATED)) {
+        logger.warn('Abandoned stage job at shutdown; it will be retried', { incidentId, stage, type: job.type });
+        return;
+      }
+
+      await stateManager.transitionStage(incidentId, STAGES.ESCALATED, {
+        error: 'Process shut down during remediation execution',
+        escalation_reason: 'shutdown_interrupted',
+      });
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.RECOVERY_ACTION, { action: 'abandoned_on_shutdown', stage });
+      await this.orchestrator.releaseSandbox(incidentId, incident);
+      await remediationBreaker.release(incidentId);
+      await incidentProviders.addNote(
+        incidentId,
+        `Self-Healing Engine shut down while running a remediation for this incident. ` +
+        `The script was stopped and may have partly run; it was not retried.\n` +
+        `Manual intervention required.`
+      );
+      logger.warn('Escalated execution abandoned at shutdown', { incidentId, sandbox: incident.sandbox_name });
+    });
+  }
+}
+
+export const pipelineDrain = new PipelineDrain();
+export default pipelineDrain;
@@ -43,8 +43,11 @@ export class SlackClient {
       hypothesis,
       risk,
       code,
+      rollbackCode,
       reasoning,
       serviceName,
+      policyRule,
+      freezeWindow,
     } = details;
 
     try {
@@ -60,6 +63,14 @@ export class SlackClient {
               emoji: true,
             },
           },
+          ...(freezeWindow ? [{
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: `:snowflake: *Change freeze active:* ${freezeWindow.title} until ${freezeWindow.ends_at}\n` +
+                'Auto-execution is suspended; this remediation only runs if approved.',
+            },
+          }] : []),
           {
             type: 'section',
             fields: [
@@ -102,6 +113,15 @@ export class SlackClient {
               text: `*Proposed Remediation Code:*\n\`\`\`${code?.substring(0, 1000) || 'No code generated'}\`\`\``,
             },
           },
+          {
+            type: 'section',
+            text: {
+              type: 'mrkdwn',
+              text: rollbackCode
+                ? `*Rollback (runs if verification fails):*\n\`\`\`${rollbackCode.substring(0, 1000)}\`\`\``
+                : '*Rollback:*\n:warning: No rollback script provided - a failed remediation cannot be undone automatically',
+            },
+          },
           {
             type: 'actions',
             elements: [
@@ -134,7 +154,11 @@ export class SlackClient {
             elements: [
               {
                 type: 'mrkdwn',
-                text: 'Self-Healing DevOps Engine | Human approval required due to low confidence or high risk',
+                text: freezeWindow
+                  ? `Self-Healing DevOps Engine | Human approval required by change freeze: ${freezeWindow.title}`
+                  : policyRule
+                  ? `Self-Healing DevOps Engine | Human approval required by policy rule: ${policyRule}`
+                  : 'Self-Healing DevOps Engine | Human approval required due to low confidence or high risk',
               },
             ],
           },
@@ -0,0 +1,266 @@
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import stateManager from '../state/redis.js';
+import jobQueue from '../state/job-queue.js';
+import { STAGES } from '../state/state-machine.js';
+import { EVENT_TYPES, runWithEventSource } from '../state/event-log.js';
+import orchestrator from './orchestrator.js';
+import incidentProviders from './incident-providers.js';
+import slackClient from './slack.js';
+import remediationBreaker from './circuit-breaker.js';
+import { isShadowIncident } from './shadow-mode.js';
+
+/**
+ * Stuck-Stage Watchdog
+ * Periodically scans active incidents for ones nothing is moving forward:
+ * - an incident past its stage SLA (WATCHDOG_STAGE_SLAS) with no queued or
+ *   running job is resumed once from stored state, then escalated if it
+ *   sticks again; EXECUTING is always escalated since the script may have
+ *   partly run
+ * - a Slack approval unanswered after APPROVAL_TIMEOUT_MS is expired and the
+ *   incident escalated
+ *
+ * Escalations are posted to the incident's on-call tool and to Slack.
+ * Shadow incidents waiting in SYNTHESIZING and correlated children are left
+ * alone; both are parked there by design.
+ */
+
+export class IncidentWatchdog {
+  constructor(options = {}) {
+    this.orchestrator = options.orchestrator || orchestrator;
+    this.queue = options.queue || jobQueue;
+    this.intervalMs = options.intervalMs ?? config.watchdog.intervalMs;
+    this.approvalTimeoutMs = options.approvalTimeoutMs ?? config.watchdog.approvalTimeoutMs;
+    this.stageSlaMs = Object.fromEntries(
+      Object.entries(options.stageSlaMinutes || config.watchdog.stageSlaMinutes)
+        .map(([stage, minutes]) => [stage, minutes * 60000])
+    );
+
+    this.timer = null;
+    this.scanning = null;
+  }
+
+  start(intervalMs = this.intervalMs) {
+    if (this.timer) {
+      return this;
+    }
+
+    this.timer = setInterval(() => {
+      // Skip a tick rather than overlap a slow scan
+      if (!this.scanning) {
+        this.scanning = this.scan()
+          .catch(error => logger.error('Watchdog scan failed', { error: error.message }))
+          .finally(() => { this.scanning = null; });
+      }
+    }, intervalMs);
+
+    logger.info('Incident watchdog started', { intervalMs, approvalTimeoutMs: this.approvalTimeoutMs });
+    return this;
+  }
+
+  async stop() {
+    if (!this.timer) {
+      return;
+    }
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.scanning;
+    logger.info('Incident watchdog stopped');
+  }
+
+  /**
+   * Check every active incident once
+   * @returns {Promise<{resumed: number, escalated: number, approvals_expired: number}>}
+   */
+  async scan() {
+    const incidents = await stateManager.getActiveIncidents();
+    const busy = await this.queue.getPendingIncidentIds();
+    const summary = { resumed: 0, escalated: 0, approvals_expired: 0 };
+
+    for (const incident of incidents) {
+      try {
+        const action = await this.checkIncident(incident, busy);
+        if (action) {
+          summary[action]++;
+        }
+      } catch (error) {
+        // Usually lock contention with a live pipeline job; next scan retries
+        logger.warn('Watchdog check failed', { incidentId: incident.incident_id, error: error.message });
+      }
+    }
+
+    if (summary.resumed || summary.escalated || summary.approvals_expired) {
+      logger.info('Watchdog scan acted on stuck incidents', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * @returns {Promise<string|null>} resumed, escalated, approvals_expired or null
+   */
+  async checkIncident(incident, busy = new Set()) {
+    const stage = incident.current_stage;
+    const incidentId = incident.incident_id;
+
+    if (!this.stageSlaMs[stage] || incident.parent_incident_id) {
+      return null;
+    }
+    if (stage === STAGES.SYNTHESIZING && isShadowIncident(incident)) {
+      return null;
+    }
+
+    if (stage === STAGES.SYNTHESIZING) {
+      const approval = await stateManager.getPendingApproval(incidentId);
+      if (approval) {
+        const waitedMs = Date.now() - Date.parse(approval.requested_at);
+        return waitedMs >= this.approvalTimeoutMs ? this.expireApproval(incidentId) : null;
+      }
+    }
+
+    if (busy.has(incidentId) || this.stuckForMs(incident) < this.stageSlaMs[stage]) {
+      return null;
+    }
+    return this.handleStuck(incidentId);
+  }
+
+  /**
+   * How long an incident has been in its current stage
+   */
+  stuckForMs(incident) {
+    return Date.now() - this.stageEnteredAt(incident);
+  }
+
+  stageEnteredAt(incident) {
+    const entry = [...(incident.stage_history || [])]
+      .reverse()
+      .find(h => h.to === incident.current_stage && !h.rejected);
+    return Date.parse(entry?.timestamp || incident.created_at);
+  }
+
+  /**
+   * Resume a stuck incident once per stage visit, otherwise escalate it
+   */
+  async handleStuck(incidentId) {
+    return runWithEventSource('watchdog', () => stateManager.withIncidentLock(incidentId, async () => {
+      const incident = await stateManager.getIncidentState(incidentId);
+      const stage = incident?.current_stage;
+      const sla = this.stageSlaMs[stage];
+      if (!sla || this.stuckForMs(incident) < sla) {
+        return null; // Moved on since the scan read it
+      }
+
+      const enteredAt = new Date(this.stageEnteredAt(incident)).toISOString();
+      const stuckForMs = this.stuckForMs(incident);
+      const resumedBefore = incident.watchdog_resume?.stage === stage
+        && incident.watchdog_resume?.entered_at === enteredAt;
+
+      if (!resumedBefore) {
+        const job = await this.orchestrator.resumeStage(incidentId, incident);
+        if (job) {
+          await stateManager.updateIncidentState(incidentId, {
+            watchdog_resume: { stage, entered_at: enteredAt, job, resumed_at: new Date().toISOString() },
+          });
+          await stateManager.recordEvent(incidentId, EVENT_TYPES.WATCHDOG_ACTION, {
+            action: 'resumed',
+            stage,
+            job,
+            stuck_for_ms: stuckForMs,
+          });
+          logger.warn('Watchdog resumed stuck incident', { incidentId, stage, job, stuckForMs });
+          return 'resumed';
+        }
+      }
+
+      const minutes = Math.round(stuckForMs / 60000);
+      await stateManager.transitionStage(incidentId, STAGES.ESCALATED, {
+        error: `Stuck in ${stage} for ${minutes} minutes`,
+        escalation_reason: 'stage_timeout',
+        stuck_stage: stage,
+      });
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.WATCHDOG_ACTION, {
+        action: 'escalated',
+        stage,
+        stuck_for_ms: stuckForMs,
+        resumed_before: resumedBefore,
+      });
+      logger.warn('Watchdog escalated stuck incident', { incidentId, stage, stuckForMs });
+
+      // A dead execution leaves its sandbox and breaker slot behind
+      await this.orchestrator.releaseSandbox(incidentId, incident);
+      await remediationBreaker.release(incidentId);
+
+      await this.notify(
+        incident,
+        `Self-Healing Engine made no progress on this incident in ${stage} for ${minutes} minutes` +
+        `${resumedBefore ? ', including after an automatic resume' : ''}.\n` +
+        `Manual intervention required.`
+      );
+      return 'escalated';
+    }));
+  }
+
+  /**
+   * Escalate an incident whose Slack approval went unanswered
+   */
+  async expireApproval(incidentId) {
+    return runWithEventSource('watchdog', () => stateManager.withIncidentLock(incidentId, async () => {
+      const approval = await stateManager.getPendingApproval(incidentId);
+      const incident = await stateManager.getIncidentState(incidentId);
+      if (!approval || incident?.current_stage !== STAGES.SYNTHESIZING) {
+        return null; // Answered since the scan read it
+      }
+
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.APPROVAL_EXPIRED, {
+        requested_at: approval.requested_at,
+        timeout_ms: this.approvalTimeoutMs,
+      });
+
+      // Leaving SYNTHESIZING clears the pending approval
+      await stateManager.transitionStage(incidentId, STAGES.ESCALATED, {
+        error: 'Remediation approval expired unanswered',
+        escalation_reason: 'approval_expired',
+        pending_approval: false,
+        approval_expired_at: new Date().toISOString(),
+      });
+      logger.warn('Pending approval expired', { incidentId, requestedAt: approval.requested_at });
+
+      await this.notify(
+        incident,
+        `Self-Healing Engine asked for approval to run a remediation at ${approval.requested_at} ` +
+        `but nobody answered within ${Math.round(this.approvalTimeoutMs / 60000)} minutes. ` +
+        `The remediation was not run.\n` +
+        `Proposed remediation (${approval.risk || 'unknown'} risk):\n${approval.remediation_code || 'n/a'}`
+      );
+      return 'approvals_expired';
+    }));
+  }
+
+  /**
+   * Post to the incident's on-call tool and the Slack approval channel
+   */
+  async notify(incident, message) {
+    const incidentId = incident.incident_id;
+
+    try {
+      await incidentProviders.addNote(incidentId, message);
+    } catch (error) {
+      logger.warn('Failed to add watchdog note', { incidentId, error: error.message });
+    }
+
+    // Shadow incidents never post to Slack
+    if (isShadowIncident(incident)) {
+      return;
+    }
+    try {
+      await slackClient.sendNotification(
+        null,
+        `:alarm_clock: Incident ${incidentId} (${incident.title || 'untitled'}) escalated: ${message.split('\n')[0]}`
+      );
+    } catch (error) {
+      logger.warn('Failed to post watchdog notice', { incidentId, error: error.message });
+    }
+  }
+}
+
+export const incidentWatchdog = new IncidentWatchdog();
+export default incidentWatchdog;
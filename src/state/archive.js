@@ -0,0 +1,343 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { ConfigurationError, ValidationError } from '../utils/errors.js';
+import stateManager from './redis.js';
+import incidentStateMachine, { STAGES } from './state-machine.js';
+import { inferFailureTypes } from '../cognition/ingestion/schema.js';
+
+/**
+ * Incident Archive
+ * Long-term store for closed incidents, which outlive the 7-day Redis TTL
+ *
+ * Incidents are archived when they enter RESOLVED or ESCALATED. Re-archiving
+ * the same incident (escalated then resolved, or re-opened) replaces the
+ * earlier record.
+ *
+ * Sinks implement: init(), write(record), get(incidentId), search(filters), close()
+ */
+
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 500;
+
+/**
+ * Append-only JSON Lines file
+ * Search reads the whole file; the latest line per incident wins
+ */
+export class JsonlArchiveSink {
+  constructor(options = {}) {
+    this.path = options.path || './data/incident-archive.jsonl';
+  }
+
+  async init() {
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+  }
+
+  async write(record) {
+    await fs.promises.appendFile(this.path, `${JSON.stringify(record)}\n`);
+  }
+
+  async get(incidentId) {
+    return (await this._readLatest()).get(incidentId) || null;
+  }
+
+  async search(filters) {
+    const latest = await this._readLatest();
+    return [...latest.values()]
+      .filter(record => matchesFilters(record, filters))
+      .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+      .slice(filters.offset, filters.offset + filters.limit);
+  }
+
+  async close() {}
+
+  async _readLatest() {
+    const latest = new Map();
+
+    if (!fs.existsSync(this.path)) {
+      return latest;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.path),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const record = JSON.parse(line);
+        latest.set(record.incident_id, record);
+      } catch (error) {
+        logger.warn('Skipping corrupt archive line', { path: this.path, error: error.message });
+      }
+    }
+    return latest;
+  }
+}
+
+/**
+ * Single-file SQLite database with indexed search columns
+ */
+export class SqliteArchiveSink {
+  constructor(options = {}) {
+    this.path = options.path || './data/incident-archive.db';
+    this.db = null;
+  }
+
+  async init() {
+    // Native module: only required when this sink is configured
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new ConfigurationError(`ARCHIVE_SINK=sqlite requires the better-sqlite3 package: ${error.message}`);
+    }
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS incidents (
+        incident_id TEXT PRIMARY KEY,
+        service TEXT,
+        failure_types TEXT NOT NULL DEFAULT '[]',
+        resolution TEXT,
+        final_stage TEXT NOT NULL,
+        created_at TEXT,
+        closed_at TEXT NOT NULL,
+        archived_at TEXT NOT NULL,
+        record TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS incidents_service ON incidents (service, created_at);
+      CREATE INDEX IF NOT EXISTS incidents_created_at ON incidents (created_at);
+    `);
+
+    this.upsert = this.db.prepare(`
+      INSERT OR REPLACE INTO incidents
+        (incident_id, service, failure_types, resolution, final_stage, created_at, closed_at, archived_at, record)
+      VALUES
+        (@incident_id, @service, @failure_types, @resolution, @final_stage, @created_at, @closed_at, @archived_at, @record)
+    `);
+  }
+
+  async write(record) {
+    this.upsert.run({
+      incident_id: record.incident_id,
+      service: record.service,
+      failure_types: JSON.stringify(record.failure_types),
+      resolution: record.resolution,
+      final_stage: record.final_stage,
+      created_at: record.created_at,
+      closed_at: record.closed_at,
+      archived_at: record.archived_at,
+      record: JSON.stringify(record),
+    });
+  }
+
+  async get(incidentId) {
+    const row = this.db.prepare('SELECT record FROM incidents WHERE incident_id = ?').get(incidentId);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  async search(filters) {
+    const clauses = [];
+    const params = { limit: filters.limit, offset: filters.offset };
+
+    if (filters.service) {
+      clauses.push('service = @service');
+      params.service = filters.service;
+    }
+    if (filters.failureType) {
+      clauses.push('EXISTS (SELECT 1 FROM json_each(incidents.failure_types) WHERE value = @failureType)');
+      params.failureType = filters.failureType;
+    }
+    if (filters.resolution) {
+      clauses.push('resolution = @resolution');
+      params.resolution = filters.resolution;
+    }
+    if (filters.from) {
+      clauses.push('created_at >= @from');
+      params.from = filters.from;
+    }
+    if (filters.to) {
+      clauses.push('created_at <= @to');
+      params.to = filters.to;
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const rows = this.db
+      .prepare(`SELECT record FROM incidents ${where} ORDER BY created_at DESC LIMIT @limit OFFSET @offset`)
+      .all(params);
+
+    return rows.map(row => JSON.parse(row.record));
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
+
+function matchesFilters(record, filters) {
+  if (filters.service && record.service !== filters.service) return false;
+  if (filters.failureType && !record.failure_types?.includes(filters.failureType)) return false;
+  if (filters.resolution && record.resolution !== filters.resolution) return false;
+  if (filters.from && !(record.created_at >= filters.from)) return false;
+  if (filters.to && !(record.created_at <= filters.to)) return false;
+  return true;
+}
+
+const SINKS = {
+  jsonl: JsonlArchiveSink,
+  sqlite: SqliteArchiveSink,
+};
+
+export class IncidentArchive {
+  /**
+   * @param {object} options - { sink, path } or { instance } for a custom sink
+   */
+  constructor(options = {}) {
+    this.sinkName = options.sink || config.archive.sink;
+    this.sinkPath = options.path || config.archive.path;
+    this.sink = options.instance || null;
+    this.ready = null;
+  }
+
+  get enabled() {
+    return this.sinkName !== 'none' || this.sink !== null;
+  }
+
+  /**
+   * Open the configured sink (lazily, once)
+   */
+  async init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        if (!this.sink) {
+          const Sink = SINKS[this.sinkName];
+          if (!Sink) {
+            throw new ConfigurationError(`Unknown archive sink: ${this.sinkName}`);
+          }
+          this.sink = new Sink({ path: this.sinkPath });
+        }
+        await this.sink.init();
+        logger.info('Incident archive ready', { sink: this.sinkName, path: this.sink.path });
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Archive a closed incident with its full event timeline
+   * Never throws: archiving must not block the stage transition
+   */
+  async archiveIncident(incident) {
+    // Replays are scratch copies of an already archived incident
+    if (!this.enabled || incident.replay_of) {
+      return null;
+    }
+
+    try {
+      await this.init();
+      const timeline = await stateManager.getIncidentTimeline(incident.incident_id);
+      const record = this.buildRecord(incident, timeline);
+      await this.sink.write(record);
+
+      logger.info('Incident archived', {
+        incidentId: incident.incident_id,
+        stage: record.final_stage,
+        resolution: record.resolution,
+      });
+      return record;
+    } catch (error) {
+      logger.error('Failed to archive incident', { incidentId: incident.incident_id, error: error.message });
+      return null;
+    }
+  }
+
+  buildRecord(incident, timeline = []) {
+    const failureTypes = incident.failure_types
+      || inferFailureTypes([incident.cleric_hypothesis, incident.cleric_root_cause, incident.title]);
+
+    return {
+      incident_id: incident.incident_id,
+      title: incident.title,
+      service: incident.service_name || null,
+      failure_types: failureTypes,
+      resolution: incident.resolution
+        || (incident.current_stage === STAGES.ESCALATED ? 'escalated' : 'resolved'),
+      final_stage: incident.current_stage,
+      created_at: incident.created_at,
+      closed_at: incident.resolved_at || incident.escalated_at || incident.updated_at,
+      archived_at: new Date().toISOString(),
+      incident,
+      timeline,
+    };
+  }
+
+  /**
+   * Look up one archived incident
+   * @returns {Promise<object|null>} Archive record
+   */
+  async get(incidentId) {
+    if (!this.enabled) {
+      return null;
+    }
+    await this.init();
+    return this.sink.get(incidentId);
+  }
+
+  /**
+   * Search archived incidents, newest first
+   *
+   * @param {object} filters - { service, failureType, resolution, from, to, limit, offset }
+   */
+  async search(filters = {}) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    const normalized = {
+      service: filters.service,
+      failureType: filters.failureType,
+      resolution: filters.resolution,
+      from: normalizeDate(filters.from, 'from'),
+      to: normalizeDate(filters.to, 'to'),
+      limit: Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT),
+      offset: Math.max(parseInt(filters.offset, 10) || 0, 0),
+    };
+
+    await this.init();
+    return this.sink.search(normalized);
+  }
+
+  async close() {
+    if (this.sink) {
+      await this.sink.close();
+    }
+    this.ready = null;
+  }
+}
+
+function normalizeDate(value, name) {
+  if (!value) {
+    return undefined;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new ValidationError(`Invalid ${name} date: ${value}`);
+  }
+  return new Date(time).toISOString();
+}
+
+export const incidentArchive = new IncidentArchive();
+
+// Archive on every close, whichever component made the transition
+incidentStateMachine.onEnter(STAGES.RESOLVED, incident => incidentArchive.archiveIncident(incident));
+incidentStateMachine.onEnter(STAGES.ESCALATED, incident => incidentArchive.archiveIncident(incident));
+
+export default incidentArchive;
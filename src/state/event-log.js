@@ -0,0 +1,222 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import logger from '../utils/logger.js';
+
+/**
+ * Incident Event Log
+ * Append-only per-incident timeline stored next to the snapshot state
+ * Redis Streams (events:incident:<id>) with the state manager's memory fallback
+ *
+ * State mutations are logged as field-level changes so the snapshot can be
+ * rebuilt by folding the stream; everything else is informational.
+ */
+
+export const EVENT_TYPES = {
+  // State mutations (replayed by rebuildSnapshot)
+  STATE_SET: 'state.set',
+  STATE_UPDATED: 'state.updated',
+  STAGE_TRANSITIONED: 'stage.transitioned',
+  STAGE_TRANSITION_REJECTED: 'stage.transition_rejected',
+  INCIDENT_REOPENED: 'incident.reopened',
+
+  // Pipeline activity
+  WEBHOOK_RECEIVED: 'webhook.received',
+  LLM_CALL: 'llm.call',
+  SANDBOX_COMMAND: 'sandbox.command',
+  VERIFICATION_RESULT: 'verification.result',
+  REMEDIATION_RETRY: 'remediation.retry',
+  SHADOW_SUPPRESSED: 'shadow.suppressed',
+  APPROVAL_REQUESTED: 'approval.requested',
+  APPROVAL_DECISION: 'approval.decision',
+  APPROVAL_EXPIRED: 'approval.expired',
+  WATCHDOG_ACTION: 'watchdog.action',
+  RECOVERY_ACTION: 'recovery.action',
+};
+
+const STATE_EVENT_TYPES = new Set([
+  EVENT_TYPES.STATE_SET,
+  EVENT_TYPES.STATE_UPDATED,
+  EVENT_TYPES.STAGE_TRANSITIONED,
+  EVENT_TYPES.STAGE_TRANSITION_REJECTED,
+  EVENT_TYPES.INCIDENT_REOPENED,
+]);
+
+const STREAM_MAX_LENGTH = 5000;
+const STREAM_TTL_SECONDS = 86400 * 7; // Match incident state TTL
+
+// Tracks which component is acting so events can be attributed without
+// threading a source argument through every state call
+const sourceContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with all events it records attributed to source
+ */
+export function runWithEventSource(source, fn) {
+  return sourceContext.run({ source }, fn);
+}
+
+export class IncidentEventLog {
+  /**
+   * @param {RedisStateManager} store - Provides the Redis client and useMemory flag
+   */
+  constructor(store) {
+    this.store = store;
+    this.memoryStreams = new Map();
+    this.memorySequence = 0;
+  }
+
+  _getStreamKey(incidentId) {
+    return `events:incident:${incidentId}`;
+  }
+
+  /**
+   * Append an event to an incident's timeline
+   * Never throws: losing a timeline entry must not fail the pipeline
+   *
+   * @param {string} incidentId
+   * @param {string} type - One of EVENT_TYPES
+   * @param {object} data - JSON-serializable event data
+   * @param {object} options - { source, version }
+   */
+  async append(incidentId, type, data = {}, options = {}) {
+    const event = {
+      type,
+      source: options.source || sourceContext.getStore()?.source || 'ocp',
+      timestamp: new Date().toISOString(),
+      version: options.version ?? null,
+      data,
+    };
+
+    try {
+      const key = this._getStreamKey(incidentId);
+
+      if (this.store.useMemory) {
+        const stream = this.memoryStreams.get(key) || [];
+        event.id = `${Date.now()}-${this.memorySequence++}`;
+        stream.push(event);
+        if (stream.length > STREAM_MAX_LENGTH) {
+          stream.shift();
+        }
+        this.memoryStreams.set(key, stream);
+      } else {
+        event.id = await this.store.client.xadd(
+          key,
+          'MAXLEN', '~', STREAM_MAX_LENGTH,
+          '*',
+          'type', event.type,
+          'source', event.source,
+          'timestamp', event.timestamp,
+          'version', String(event.version ?? ''),
+          'data', JSON.stringify(data)
+        );
+        await this.store.client.expire(key, STREAM_TTL_SECONDS);
+      }
+
+      return event;
+    } catch (error) {
+      logger.error('Failed to append incident event', { incidentId, type, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Read an incident's timeline in order
+   *
+   * @param {string} incidentId
+   * @param {object} options - { types, limit }
+   */
+  async getTimeline(incidentId, options = {}) {
+    const key = this._getStreamKey(incidentId);
+    let events;
+
+    if (this.store.useMemory) {
+      events = [...(this.memoryStreams.get(key) || [])];
+    } else {
+      const entries = await this.store.client.xrange(key, '-', '+');
+      events = entries.map(([id, fields]) => this._parseEntry(id, fields));
+    }
+
+    if (options.types) {
+      events = events.filter(e => options.types.includes(e.type));
+    }
+    if (options.limit) {
+      events = events.slice(-options.limit);
+    }
+    return events;
+  }
+
+  /**
+   * Rebuild the incident snapshot by folding its state events
+   * Returns null if the stream holds no state events
+   */
+  async rebuildSnapshot(incidentId) {
+    const events = await this.getTimeline(incidentId);
+    let snapshot = null;
+
+    for (const event of events) {
+      if (!STATE_EVENT_TYPES.has(event.type)) {
+        continue;
+      }
+
+      if (event.type === EVENT_TYPES.STATE_SET) {
+        snapshot = { ...event.data.state };
+      } else if (snapshot) {
+        snapshot = { ...snapshot, ...event.data.changes };
+      }
+
+      if (snapshot) {
+        snapshot.updated_at = event.timestamp;
+        if (event.version !== null) {
+          snapshot.version = event.version;
+        }
+      }
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Delete an incident's timeline
+   */
+  async deleteTimeline(incidentId) {
+    const key = this._getStreamKey(incidentId);
+    if (this.store.useMemory) {
+      this.memoryStreams.delete(key);
+    } else {
+      await this.store.client.del(key);
+    }
+  }
+
+  _parseEntry(id, fields) {
+    const raw = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      raw[fields[i]] = fields[i + 1];
+    }
+
+    return {
+      id,
+      type: raw.type,
+      source: raw.source,
+      timestamp: raw.timestamp,
+      version: raw.version ? parseInt(raw.version, 10) : null,
+      data: raw.data ? JSON.parse(raw.data) : {},
+    };
+  }
+}
+
+/**
+ * Shallow field diff between two snapshots, ignoring bookkeeping fields
+ */
+export function diffState(previous, next) {
+  const changes = {};
+  for (const [field, value] of Object.entries(next)) {
+    if (field === 'updated_at' || field === 'version') {
+      continue;
+    }
+    if (JSON.stringify(previous?.[field]) !== JSON.stringify(value)) {
+      changes[field] = value;
+    }
+  }
+  return changes;
+}
+
+export default IncidentEventLog;
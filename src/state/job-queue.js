@@ -0,0 +1,509 @@
+import { v4 as uuidv4 } from 'uuid';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import stateManager from './redis.js';
+
+/**
+ * Durable Job Queue for OODA pipeline stages
+ * Redis-backed with the same in-memory fallback as RedisStateManager
+ *
+ * Keys:
+ * - queue:job:<id>      Job body (JSON)
+ * - queue:ready         List of job ids ready to run
+ * - queue:scheduled     Sorted set of delayed job ids (score = available at)
+ * - queue:processing    Sorted set of claimed job ids (score = visibility deadline)
+ * - queue:dead          List of dead-lettered job ids
+ */
+
+const KEYS = {
+  READY: 'queue:ready',
+  SCHEDULED: 'queue:scheduled',
+  PROCESSING: 'queue:processing',
+  DEAD: 'queue:dead',
+};
+
+const DEAD_LETTER_TTL_SECONDS = 86400 * 7; // Match incident state TTL
+
+// Promotes due/expired jobs and atomically claims the next ready job
+const CLAIM_SCRIPT = `
+local due = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+for _, id in ipairs(due) do
+  redis.call('ZREM', KEYS[2], id)
+  redis.call('LPUSH', KEYS[1], id)
+end
+local expired = redis.call('ZRANGEBYSCORE', KEYS[3], '-inf', ARGV[1])
+for _, id in ipairs(expired) do
+  redis.call('ZREM', KEYS[3], id)
+  redis.call('RPUSH', KEYS[1], id)
+end
+local id = redis.call('RPOP', KEYS[1])
+if not id then
+  return nil
+end
+redis.call('ZADD', KEYS[3], ARGV[2], id)
+return id
+`;
+
+export class JobQueue {
+  constructor(options = {}) {
+    this.state = options.stateManager || stateManager;
+    this.concurrency = options.concurrency || config.queue.concurrency;
+    this.maxAttempts = options.maxAttempts || config.queue.maxAttempts;
+    this.backoffMs = options.backoffMs || config.queue.backoffMs;
+    this.maxBackoffMs = options.maxBackoffMs || config.queue.maxBackoffMs;
+    this.maxContentionRetries = options.maxContentionRetries ?? config.queue.maxContentionRetries;
+    this.visibilityTimeoutMs = options.visibilityTimeoutMs || config.queue.visibilityTimeoutMs;
+    this.pollIntervalMs = options.pollIntervalMs || config.queue.pollIntervalMs;
+
+    this.handlers = new Map();
+    this.running = false;
+    this.workers = [];
+    // Jobs this process is running, by id
+    this.inFlight = new Map();
+
+    // In-memory fallback structures
+    this.memory = {
+      jobs: new Map(),
+      ready: [],
+      scheduled: new Map(),
+      processing: new Map(),
+      dead: [],
+    };
+  }
+
+  _getJobKey(jobId) {
+    return `queue:job:${jobId}`;
+  }
+
+  /**
+   * Register a handler for a job type
+   *
+   * @param {string} type - Job type
+   * @param {function} handler - async (payload, job) => any
+   * @param {object} options - { maxAttempts, onDeadLetter(job, error) }
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, ...options });
+    logger.debug('Job handler registered', { type });
+    return this;
+  }
+
+  /**
+   * Enqueue a job
+   *
+   * @param {string} type - Job type
+   * @param {object} payload - JSON-serializable job payload
+   * @param {object} options - { delayMs, maxAttempts, incidentId }
+   * @returns {Promise<object>} The stored job
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const now = Date.now();
+    const job = {
+      id: uuidv4(),
+      type,
+      payload,
+      incident_id: options.incidentId || payload.incidentId || null,
+      attempts: 0,
+      max_attempts: options.maxAttempts || this.handlers.get(type)?.maxAttempts || this.maxAttempts,
+      status: 'queued',
+      created_at: new Date(now).toISOString(),
+      available_at: new Date(now + (options.delayMs || 0)).toISOString(),
+      last_error: null,
+    };
+
+    await this._saveJob(job);
+    await this._schedule(job.id, now + (options.delayMs || 0));
+
+    logger.info('Job enqueued', { jobId: job.id, type, incidentId: job.incident_id });
+    return job;
+  }
+
+  /**
+   * Start polling workers
+   */
+  start(concurrency = this.concurrency) {
+    if (this.running) {
+      return this;
+    }
+
+    this.running = true;
+    for (let i = 0; i < concurrency; i++) {
+      this.workers.push(this._workLoop(i));
+    }
+
+    logger.info('Job queue workers started', {
+      concurrency,
+      mode: this.state.useMemory ? 'memory' : 'redis',
+      types: [...this.handlers.keys()],
+    });
+    return this;
+  }
+
+  /**
+   * Stop polling and wait for in-flight jobs to finish
+   * Jobs still running at the deadline are abandoned: they stay claimed and
+   * are picked up by another worker once their visibility timeout lapses.
+   *
+   * @param {object} options - { deadlineMs } (default: wait indefinitely)
+   * @returns {Promise<{drained: object[], abandoned: object[]}>}
+   */
+  async stop({ deadlineMs = null } = {}) {
+    if (!this.running) {
+      return { drained: [], abandoned: [] };
+    }
+
+    this.running = false;
+    const running = [...this.inFlight.values()];
+
+    let timer;
+    const workers = Promise.all(this.workers);
+    await (deadlineMs === null
+      ? workers
+      : Promise.race([workers, new Promise(resolve => { timer = setTimeout(resolve, deadlineMs); })]));
+    clearTimeout(timer);
+    this.workers = [];
+
+    const abandoned = [...this.inFlight.values()];
+    const drained = running.filter(job => !this.inFlight.has(job.id));
+    logger.info('Job queue workers stopped', { drained: drained.length, abandoned: abandoned.length });
+    return { drained, abandoned };
+  }
+
+  /**
+   * Get queue depth by state
+   */
+  async getStats() {
+    if (this.state.useMemory) {
+      return {
+        ready: this.memory.ready.length,
+        scheduled: this.memory.scheduled.size,
+        processing: this.memory.processing.size,
+        dead: this.memory.dead.length,
+      };
+    }
+
+    const [ready, scheduled, processing, dead] = await Promise.all([
+      this.state.client.llen(KEYS.READY),
+      this.state.client.zcard(KEYS.SCHEDULED),
+      this.state.client.zcard(KEYS.PROCESSING),
+      this.state.client.llen(KEYS.DEAD),
+    ]);
+    return { ready, scheduled, processing, dead };
+  }
+
+  /**
+   * Incidents with a job that is ready, scheduled or running
+   * Dead-lettered jobs do not count.
+   *
+   * @returns {Promise<Set<string>>}
+   */
+  async getPendingIncidentIds() {
+    let ids;
+    if (this.state.useMemory) {
+      ids = [...this.memory.ready, ...this.memory.scheduled.keys(), ...this.memory.processing.keys()];
+    } else {
+      const [ready, scheduled, processing] = await Promise.all([
+        this.state.client.lrange(KEYS.READY, 0, -1),
+        this.state.client.zrange(KEYS.SCHEDULED, 0, -1),
+        this.state.client.zrange(KEYS.PROCESSING, 0, -1),
+      ]);
+      ids = [...ready, ...scheduled, ...processing];
+    }
+
+    const incidentIds = new Set();
+    for (const id of ids) {
+      const job = await this._getJob(id);
+      if (job?.incident_id) {
+        incidentIds.add(job.incident_id);
+      }
+    }
+    return incidentIds;
+  }
+
+  /**
+   * List dead-lettered jobs (most recent first)
+   */
+  async getDeadLetters(limit = 50) {
+    const ids = this.state.useMemory
+      ? this.memory.dead.slice(0, limit)
+      : await this.state.client.lrange(KEYS.DEAD, 0, limit - 1);
+
+    const jobs = [];
+    for (const id of ids) {
+      const job = await this._getJob(id);
+      if (job) {
+        jobs.push(job);
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Move a dead-lettered job back onto the ready queue with a fresh attempt budget
+   */
+  async retryDeadLetter(jobId) {
+    const job = await this._getJob(jobId);
+    if (!job || job.status !== 'dead') {
+      return null;
+    }
+
+    if (this.state.useMemory) {
+      this.memory.dead = this.memory.dead.filter(id => id !== jobId);
+    } else {
+      await this.state.client.lrem(KEYS.DEAD, 0, jobId);
+    }
+
+    job.attempts = 0;
+    job.status = 'queued';
+    job.available_at = new Date().toISOString();
+    await this._saveJob(job);
+    await this._schedule(job.id, Date.now());
+
+    logger.info('Dead-lettered job requeued', { jobId, type: job.type });
+    return job;
+  }
+
+  async _workLoop(workerIndex) {
+    while (this.running) {
+      let job = null;
+      try {
+        job = await this._claim();
+      } catch (error) {
+        logger.error('Failed to claim job', { error: error.message, worker: workerIndex });
+      }
+
+      if (!job) {
+        await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        continue;
+      }
+
+      await this._process(job);
+    }
+  }
+
+  /**
+   * Run a claimed job, keeping its visibility lease alive while it runs
+   */
+  async _process(job) {
+    const registration = this.handlers.get(job.type);
+
+    if (!registration) {
+      await this._deadLetter(job, new Error(`No handler registered for job type '${job.type}'`));
+      return;
+    }
+
+    // A job reclaimed after its visibility timeout already used an attempt
+    if (job.attempts > job.max_attempts) {
+      await this._deadLetter(job, new Error(job.last_error || 'Visibility timeout exceeded'));
+      return;
+    }
+
+    const heartbeat = setInterval(() => {
+      this._extendVisibility(job.id).catch(err => {
+        logger.warn('Failed to extend job visibility', { jobId: job.id, error: err.message });
+      });
+    }, Math.max(1000, Math.floor(this.visibilityTimeoutMs / 2)));
+
+    this.inFlight.set(job.id, job);
+    try {
+      logger.debug('Processing job', { jobId: job.id, type: job.type, attempt: job.attempts });
+      await registration.handler(job.payload, job);
+      await this._ack(job);
+    } catch (error) {
+      await this._fail(job, error);
+    } finally {
+      clearInterval(heartbeat);
+      this.inFlight.delete(job.id);
+    }
+  }
+
+  async _claim() {
+    const now = Date.now();
+    const deadline = now + this.visibilityTimeoutMs;
+    let jobId;
+
+    if (this.state.useMemory) {
+      for (const [id, availableAt] of this.memory.scheduled.entries()) {
+        if (availableAt <= now) {
+          this.memory.scheduled.delete(id);
+          this.memory.ready.unshift(id);
+        }
+      }
+      for (const [id, expiresAt] of this.memory.processing.entries()) {
+        if (expiresAt <= now) {
+          this.memory.processing.delete(id);
+          this.memory.ready.push(id);
+        }
+      }
+      jobId = this.memory.ready.pop();
+      if (jobId) {
+        this.memory.processing.set(jobId, deadline);
+      }
+    } else {
+      jobId = await this.state.client.eval(
+        CLAIM_SCRIPT,
+        3,
+        KEYS.READY,
+        KEYS.SCHEDULED,
+        KEYS.PROCESSING,
+        now,
+        deadline
+      );
+    }
+
+    if (!jobId) {
+      return null;
+    }
+
+    const job = await this._getJob(jobId);
+    if (!job) {
+      // Job body expired or was removed; drop the orphaned id
+      await this._removeFromProcessing(jobId);
+      return null;
+    }
+
+    job.attempts += 1;
+    job.status = 'processing';
+    job.claimed_at = new Date(now).toISOString();
+    await this._saveJob(job);
+    return job;
+  }
+
+  async _ack(job) {
+    await this._removeFromProcessing(job.id);
+    await this._deleteJob(job.id);
+    logger.debug('Job completed', { jobId: job.id, type: job.type, attempts: job.attempts });
+  }
+
+  async _fail(job, error) {
+    job.last_error = error.message;
+
+    // Transient contention (e.g. lock timeouts) happens before the handler
+    // does any work, so it does not spend an attempt; it has its own cap so
+    // a lock that is never released still ends in the dead-letter queue
+    if (error.retryable === true) {
+      job.attempts -= 1;
+      job.contention_retries = (job.contention_retries || 0) + 1;
+    }
+
+    // Errors flagged non-retryable (e.g. illegal stage transitions) will never succeed
+    if (
+      job.attempts >= job.max_attempts ||
+      error.retryable === false ||
+      job.contention_retries > this.maxContentionRetries
+    ) {
+      await this._deadLetter(job, error);
+      return;
+    }
+
+    const retry = Math.max(job.attempts - 1, 0) + (error.retryable === true ? job.contention_retries - 1 : 0);
+    const delay = Math.min(this.backoffMs * 2 ** retry, this.maxBackoffMs);
+    job.status = 'queued';
+    job.available_at = new Date(Date.now() + delay).toISOString();
+
+    await this._removeFromProcessing(job.id);
+    await this._saveJob(job);
+    await this._schedule(job.id, Date.now() + delay);
+
+    logger.warn('Job failed, retrying with backoff', {
+      jobId: job.id,
+      type: job.type,
+      incidentId: job.incident_id,
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts,
+      delayMs: delay,
+      error: error.message,
+    });
+  }
+
+  async _deadLetter(job, error) {
+    job.status = 'dead';
+    job.last_error = error.message;
+    job.dead_at = new Date().toISOString();
+
+    await this._removeFromProcessing(job.id);
+    await this._saveJob(job, DEAD_LETTER_TTL_SECONDS);
+
+    if (this.state.useMemory) {
+      this.memory.dead.unshift(job.id);
+    } else {
+      await this.state.client.lpush(KEYS.DEAD, job.id);
+    }
+
+    logger.error('Job dead-lettered', {
+      jobId: job.id,
+      type: job.type,
+      incidentId: job.incident_id,
+      attempts: job.attempts,
+      error: error.message,
+    });
+
+    const onDeadLetter = this.handlers.get(job.type)?.onDeadLetter;
+    if (onDeadLetter) {
+      try {
+        await onDeadLetter(job, error);
+      } catch (hookError) {
+        logger.error('Dead-letter hook failed', { jobId: job.id, error: hookError.message });
+      }
+    }
+  }
+
+  async _extendVisibility(jobId) {
+    const deadline = Date.now() + this.visibilityTimeoutMs;
+    if (this.state.useMemory) {
+      if (this.memory.processing.has(jobId)) {
+        this.memory.processing.set(jobId, deadline);
+      }
+    } else {
+      await this.state.client.zadd(KEYS.PROCESSING, 'XX', deadline, jobId);
+    }
+  }
+
+  async _schedule(jobId, availableAt) {
+    if (this.state.useMemory) {
+      this.memory.scheduled.set(jobId, availableAt);
+    } else {
+      await this.state.client.zadd(KEYS.SCHEDULED, availableAt, jobId);
+    }
+  }
+
+  async _removeFromProcessing(jobId) {
+    if (this.state.useMemory) {
+      this.memory.processing.delete(jobId);
+    } else {
+      await this.state.client.zrem(KEYS.PROCESSING, jobId);
+    }
+  }
+
+  async _saveJob(job, ttlSeconds = null) {
+    const key = this._getJobKey(job.id);
+    if (this.state.useMemory) {
+      this.memory.jobs.set(key, JSON.stringify(job));
+    } else if (ttlSeconds) {
+      await this.state.client.set(key, JSON.stringify(job), 'EX', ttlSeconds);
+    } else {
+      await this.state.client.set(key, JSON.stringify(job));
+    }
+  }
+
+  async _getJob(jobId) {
+    const key = this._getJobKey(jobId);
+    const data = this.state.useMemory
+      ? this.memory.jobs.get(key)
+      : await this.state.client.get(key);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async _deleteJob(jobId) {
+    const key = this._getJobKey(jobId);
+    if (this.state.useMemory) {
+      this.memory.jobs.delete(key);
+    } else {
+      await this.state.client.del(key);
+    }
+  }
+}
+
+// Singleton instance
+export const jobQueue = new JobQueue();
+export default jobQueue;
@@ -1,18 +1,105 @@
 import Redis from 'ioredis';
+import { randomUUID } from 'crypto';
 import config from '../config/index.js';
 import logger from '../utils/logger.js';
+import {
+  ConcurrentModificationError,
+  InvalidStateTransitionError,
+  LockTimeoutError,
+  ValidationError,
+} from '../utils/errors.js';
+import incidentStateMachine, { STAGES } from './state-machine.js';
+import IncidentEventLog, { EVENT_TYPES, diffState } from './event-log.js';
 
 /**
  * Redis State Manager for Incident Context
  * Stores: incident_id, current_stage, cleric_hypothesis, senso_context
  */
 
+const INCIDENT_TTL_SECONDS = 86400 * 7; // 7 day TTL
+const MAX_CAS_ATTEMPTS = 5;
+const LOCK_RETRY_INTERVAL_MS = 100;
+const INDEX_PREFIX = 'incidents:index';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const INDEX_SCAN_BATCH = 200;
+const FREEZE_RETENTION_MS = 30 * 86400 * 1000; // Finished freeze windows kept for audit
+const LLM_USAGE_TTL_SECONDS = 400 * 86400; // Monthly LLM usage kept for a year-on-year view
+const LLM_USAGE_METRICS = ['requests', 'input_tokens', 'output_tokens', 'cost_usd', 'latency_ms', 'unpriced_requests'];
+
+// Write only if the stored version still matches the one we read
+const CAS_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local version = 0
+if current then
+  local stored = cjson.decode(current).version
+  if type(stored) == 'number' then
+    version = stored
+  end
+end
+if version ~= tonumber(ARGV[2]) then
+  return 0
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[3])
+return 1
+`;
+
+const LOCK_RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const LOCK_RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Claim a remediation execution slot under the concurrency and
+// per-service limits; re-claiming a slot the incident holds always succeeds.
+// Returns { status, running, serviceCount }: 1 acquired, 0 concurrency
+// limit, -1 service limit
+const EXECUTION_SLOT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local maxConcurrent = tonumber(ARGV[4])
+local maxPerService = tonumber(ARGV[6])
+local window = tonumber(ARGV[7])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - tonumber(ARGV[3]))
+redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', now - window)
+local held = redis.call('ZSCORE', KEYS[1], ARGV[2])
+local counted = redis.call('ZSCORE', KEYS[2], ARGV[5])
+local running = redis.call('ZCARD', KEYS[1])
+local serviceCount = redis.call('ZCARD', KEYS[2])
+if not held and maxConcurrent > 0 and running >= maxConcurrent then
+  return {0, running, serviceCount}
+end
+if maxPerService > 0 and not counted and serviceCount >= maxPerService then
+  return {-1, running, serviceCount}
+end
+if not held then
+  redis.call('ZADD', KEYS[1], now, ARGV[2])
+  running = running + 1
+end
+if maxPerService > 0 and not counted then
+  redis.call('ZADD', KEYS[2], now, ARGV[5])
+  redis.call('PEXPIRE', KEYS[2], window)
+  serviceCount = serviceCount + 1
+end
+return {1, running, serviceCount}
+`;
+
 export class RedisStateManager {
   constructor() {
     this.client = null;
     this.isConnected = false;
     this.useMemory = false;
     this.memoryStore = new Map();
+    this.memoryLocks = new Map();
+    this.stateMachine = incidentStateMachine;
+    this.eventLog = new IncidentEventLog(this);
   }
 
   async connect() {
@@ -51,6 +138,9 @@ export class RedisStateManager {
           setTimeout(() => reject(new Error('Timeout')), 2000);
       });
 
+      await this._backfillIncidentIndexes().catch(err =>
+        logger.warn('Failed to backfill incident indexes', { error: err.message }));
+
       return true;
     } catch (error) {
       logger.warn('Failed to connect to Redis, using in-memory fallback', { error: error.message });
@@ -78,29 +168,129 @@ export class RedisStateManager {
    * - VERIFYING: Lightpanda checking
    * - RESOLVED: Incident fixed
    * - ESCALATED: Human intervention required
+   *
+   * Allowed transitions are declared in ./state-machine.js
    */
-  static STAGES = {
-    TRIGGERED: 'TRIGGERED',
-    INVESTIGATING: 'INVESTIGATING',
-    HYPOTHESIS_RECEIVED: 'HYPOTHESIS_RECEIVED',
-    CONTEXT_RETRIEVED: 'CONTEXT_RETRIEVED',
-    SYNTHESIZING: 'SYNTHESIZING',
-    EXECUTING: 'EXECUTING',
-    VERIFYING: 'VERIFYING',
-    RESOLVED: 'RESOLVED',
-    ESCALATED: 'ESCALATED',
-  };
+  static STAGES = STAGES;
 
   _getIncidentKey(incidentId) {
     return `incident:${incidentId}`;
   }
 
+  _getLockKey(incidentId) {
+    return `lock:incident:${incidentId}`;
+  }
+
+  /**
+   * Secondary index keys (sorted sets scored by created_at)
+   * - incidents:index:created
+   * - incidents:index:stage:<STAGE>
+   * - incidents:index:service:<service_name>
+   */
+  _getIndexKey(dimension, value) {
+    return value === undefined ? `${INDEX_PREFIX}:${dimension}` : `${INDEX_PREFIX}:${dimension}:${value}`;
+  }
+
+  /**
+   * Update the secondary indexes for a saved incident
+   * Memory mode lists straight from the store, so there is nothing to maintain
+   */
+  async _indexIncident(data) {
+    if (this.useMemory) {
+      return;
+    }
+
+    const id = data.incident_id;
+    const score = Date.parse(data.created_at) || Date.now();
+    const pipeline = this.client.pipeline();
+
+    pipeline.zadd(this._getIndexKey('created'), score, id);
+    for (const stage of Object.values(STAGES)) {
+      if (stage !== data.current_stage) {
+        pipeline.zrem(this._getIndexKey('stage', stage), id);
+      }
+    }
+    pipeline.zadd(this._getIndexKey('stage', data.current_stage), score, id);
+    if (data.service_name) {
+      pipeline.zadd(this._getIndexKey('service', data.service_name), score, id);
+    }
+
+    await pipeline.exec();
+  }
+
+  /**
+   * Remove an incident from every index it may appear in
+   */
+  async _unindexIncident(incidentId, serviceName) {
+    if (this.useMemory) {
+      return;
+    }
+
+    const pipeline = this.client.pipeline();
+    pipeline.zrem(this._getIndexKey('created'), incidentId);
+    for (const stage of Object.values(STAGES)) {
+      pipeline.zrem(this._getIndexKey('stage', stage), incidentId);
+    }
+    if (serviceName) {
+      pipeline.zrem(this._getIndexKey('service', serviceName), incidentId);
+    }
+    await pipeline.exec();
+  }
+
+  /**
+   * Index incidents written before the indexes existed
+   * Runs once per Redis instance, using SCAN so it never blocks the server
+   */
+  async _backfillIncidentIndexes() {
+    if (await this.client.exists(this._getIndexKey('created'))) {
+      return;
+    }
+
+    let cursor = '0';
+    let indexed = 0;
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', 'incident:*', 'COUNT', INDEX_SCAN_BATCH);
+      cursor = next;
+      if (keys.length === 0) continue;
+
+      const values = await this.client.mget(keys);
+      for (const value of values) {
+        if (value) {
+          await this._indexIncident(JSON.parse(value));
+          indexed++;
+        }
+      }
+    } while (cursor !== '0');
+
+    if (indexed > 0) {
+      logger.info('Backfilled incident indexes', { indexed });
+    }
+  }
+
   /**
    * Create or update incident state
+   * Every write bumps the incident's version counter and is logged as a
+   * full snapshot event
+   *
+   * @param {string} incidentId
+   * @param {object} state
+   * @param {object} options - { expectedVersion } for compare-and-set
+   * @returns {Promise<object|null>} Saved state, or null if expectedVersion did not match
    */
-  async setIncidentState(incidentId, state) {
+  async setIncidentState(incidentId, state, options = {}) {
+    const saved = await this._writeIncidentState(incidentId, state, options);
+    if (saved) {
+      await this.eventLog.append(incidentId, EVENT_TYPES.STATE_SET, { state: saved }, {
+        version: saved.version,
+      });
+    }
+    return saved;
+  }
+
+  async _writeIncidentState(incidentId, state, options = {}) {
     const key = this._getIncidentKey(incidentId);
     const data = {
+      ...state,
       incident_id: incidentId,
       current_stage: state.current_stage || RedisStateManager.STAGES.TRIGGERED,
       hypothesis: state.hypothesis || null,
@@ -117,15 +307,40 @@ export class RedisStateManager {
       service_id: state.service_id || null,
       title: state.title || null,
       urgency: state.urgency || null,
+      version: (options.expectedVersion ?? state.version ?? 0) + 1,
     };
 
+    const { expectedVersion } = options;
+
     if (this.useMemory) {
+      if (expectedVersion !== undefined) {
+        const existing = this.memoryStore.get(key);
+        const currentVersion = existing ? (JSON.parse(existing).version || 0) : 0;
+        if (currentVersion !== expectedVersion) {
+          return null;
+        }
+      }
       this.memoryStore.set(key, JSON.stringify(data));
-      logger.debug('Incident state saved (memory)', { incidentId, stage: data.current_stage });
+      logger.debug('Incident state saved (memory)', { incidentId, stage: data.current_stage, version: data.version });
+    } else if (expectedVersion !== undefined) {
+      const saved = await this.client.eval(
+        CAS_SET_SCRIPT,
+        1,
+        key,
+        JSON.stringify(data),
+        expectedVersion,
+        INCIDENT_TTL_SECONDS
+      );
+      if (!saved) {
+        return null;
+      }
+      logger.debug('Incident state saved', { incidentId, stage: data.current_stage, version: data.version });
     } else {
-      await this.client.set(key, JSON.stringify(data), 'EX', 86400 * 7); // 7 day TTL
-      logger.debug('Incident state saved', { incidentId, stage: data.current_stage });
+      await this.client.set(key, JSON.stringify(data), 'EX', INCIDENT_TTL_SECONDS);
+      logger.debug('Incident state saved', { incidentId, stage: data.current_stage, version: data.version });
     }
+
+    await this._indexIncident(data);
     return data;
   }
 
@@ -143,72 +358,444 @@ export class RedisStateManager {
     return data ? JSON.parse(data) : null;
   }
 
+  /**
+   * Read-modify-write with optimistic concurrency
+   * Re-reads and re-applies the mutation when another writer got there first,
+   * then logs the changed fields as an event of the given type
+   *
+   * @param {string} incidentId
+   * @param {function} mutate - (current) => next state, or null to leave it unchanged
+   * @param {function} describe - (previous, saved) => { type, data } for the event log
+   * @returns {Promise<{previous: object, saved: object|null}>}
+   * @throws {ConcurrentModificationError}
+   */
+  async _mutateIncidentState(incidentId, mutate, describe) {
+    for (let attempt = 1; attempt <= MAX_CAS_ATTEMPTS; attempt++) {
+      const current = await this.getIncidentState(incidentId);
+      if (!current) {
+        throw new Error(`Incident ${incidentId} not found`);
+      }
+
+      const next = mutate(current);
+      if (next === null) {
+        return { previous: current, saved: null };
+      }
+
+      const saved = await this._writeIncidentState(incidentId, next, {
+        expectedVersion: current.version || 0,
+      });
+      if (saved) {
+        const { type, data } = describe(current, saved);
+        await this.eventLog.append(incidentId, type, {
+          ...data,
+          changes: diffState(current, saved),
+        }, { version: saved.version });
+        return { previous: current, saved };
+      }
+
+      logger.debug('Incident version conflict, retrying', { incidentId, attempt });
+    }
+
+    throw new ConcurrentModificationError(incidentId);
+  }
+
   /**
    * Update specific fields of incident state
    */
   async updateIncidentState(incidentId, updates) {
-    const current = await this.getIncidentState(incidentId);
-    if (!current) {
-      throw new Error(`Incident ${incidentId} not found`);
-    }
-    return this.setIncidentState(incidentId, { ...current, ...updates });
+    const { saved } = await this._mutateIncidentState(
+      incidentId,
+      (current) => ({ ...current, ...updates }),
+      () => ({ type: EVENT_TYPES.STATE_UPDATED, data: { fields: Object.keys(updates) } })
+    );
+    return saved;
+  }
+
+  /**
+   * Update fields computed from the latest state
+   * The mutation is re-run on every version conflict, so fields derived from
+   * `current` (e.g. a merged list) never overwrite a concurrent write.
+   *
+   * @param {string} incidentId
+   * @param {function} mutate - (current) => fields to update, or null to skip the write
+   * @returns {Promise<object|null>} Saved state, or null if the mutation skipped
+   */
+  async mutateIncidentState(incidentId, mutate) {
+    let updates = null;
+    const { saved } = await this._mutateIncidentState(
+      incidentId,
+      (current) => {
+        updates = mutate(current);
+        return updates ? { ...current, ...updates } : null;
+      },
+      () => ({ type: EVENT_TYPES.STATE_UPDATED, data: { fields: Object.keys(updates) } })
+    );
+    return saved;
   }
 
   /**
    * Transition incident to a new stage
+   * Rejects transitions the lifecycle does not allow and records the attempt
+   *
+   * @throws {InvalidStateTransitionError}
    */
   async transitionStage(incidentId, newStage, additionalData = {}) {
-    const current = await this.getIncidentState(incidentId);
-    if (!current) {
-      throw new Error(`Incident ${incidentId} not found`);
+    let rejected = false;
+
+    const { previous, saved } = await this._mutateIncidentState(incidentId, (current) => {
+      rejected = !this.stateMachine.canTransition(current.current_stage, newStage);
+
+      const stageHistory = [...(current.stage_history || [])];
+      stageHistory.push({
+        from: current.current_stage,
+        to: newStage,
+        timestamp: new Date().toISOString(),
+        ...(rejected && { rejected: true }),
+      });
+
+      if (rejected) {
+        return { ...current, stage_history: stageHistory };
+      }
+
+      return {
+        ...current,
+        ...additionalData,
+        current_stage: newStage,
+        stage_history: stageHistory,
+      };
+    }, (previous) => ({
+      type: rejected ? EVENT_TYPES.STAGE_TRANSITION_REJECTED : EVENT_TYPES.STAGE_TRANSITIONED,
+      data: { from: previous.current_stage, to: newStage },
+    }));
+
+    const fromStage = previous.current_stage;
+
+    if (rejected) {
+      logger.warn('Rejected illegal stage transition', { incidentId, from: fromStage, to: newStage });
+      throw new InvalidStateTransitionError(incidentId, fromStage, newStage);
     }
 
-    const stageHistory = current.stage_history || [];
-    stageHistory.push({
-      from: current.current_stage,
-      to: newStage,
-      timestamp: new Date().toISOString(),
-    });
+    await this.stateMachine.runHooks(saved, { from: fromStage, to: newStage });
+    return saved;
+  }
 
-    return this.setIncidentState(incidentId, {
-      ...current,
-      ...additionalData,
-      current_stage: newStage,
-      stage_history: stageHistory,
-    });
+  /**
+   * Re-open a resolved or escalated incident
+   * Bypasses the transition table and restarts the lifecycle
+   */
+  async reopenIncident(incidentId, additionalData = {}) {
+    const toStage = this.stateMachine.definition.reopenTo;
+
+    const { previous, saved } = await this._mutateIncidentState(incidentId, (current) => {
+      if (!this.stateMachine.canReopen(current.current_stage)) {
+        throw new InvalidStateTransitionError(incidentId, current.current_stage, toStage);
+      }
+
+      const stageHistory = [...(current.stage_history || [])];
+      stageHistory.push({
+        from: current.current_stage,
+        to: toStage,
+        timestamp: new Date().toISOString(),
+        reopened: true,
+      });
+
+      return {
+        ...current,
+        ...additionalData,
+        current_stage: toStage,
+        stage_history: stageHistory,
+        reopen_count: (current.reopen_count || 0) + 1,
+        reopened_at: new Date().toISOString(),
+        // A re-opened incident gets a fresh LLM synthesis deadline
+        llm_deadline_at: null,
+      };
+    }, (previous) => ({
+      type: EVENT_TYPES.INCIDENT_REOPENED,
+      data: { from: previous.current_stage, to: toStage },
+    }));
+
+    const fromStage = previous.current_stage;
+    logger.info('Incident re-opened', { incidentId, from: fromStage, to: toStage });
+    await this.stateMachine.runHooks(saved, { from: fromStage, to: toStage });
+    return saved;
   }
 
   /**
-   * Get all active incidents
+   * Acquire a per-incident lock
+   *
+   * @param {string} incidentId
+   * @param {object} options - { ttlMs, waitMs }
+   * @returns {Promise<string|null>} Lock token, or null if not acquired within waitMs
    */
-  async getActiveIncidents() {
-    const incidents = [];
+  async acquireIncidentLock(incidentId, options = {}) {
+    const ttlMs = options.ttlMs || config.redis.lockTtlMs;
+    const waitMs = options.waitMs ?? config.redis.lockWaitMs;
+    const key = this._getLockKey(incidentId);
+    const token = randomUUID();
+    const deadline = Date.now() + waitMs;
 
-    if (this.useMemory) {
-      for (const [key, data] of this.memoryStore.entries()) {
-        if (key.startsWith('incident:')) {
-          const incident = JSON.parse(data);
-          if (incident.current_stage !== RedisStateManager.STAGES.RESOLVED) {
-            incidents.push(incident);
-          }
+    do {
+      let acquired;
+      if (this.useMemory) {
+        const held = this.memoryLocks.get(key);
+        acquired = !held || held.expiresAt <= Date.now();
+        if (acquired) {
+          this.memoryLocks.set(key, { token, expiresAt: Date.now() + ttlMs });
         }
+      } else {
+        acquired = (await this.client.set(key, token, 'PX', ttlMs, 'NX')) === 'OK';
       }
-    } else {
-      const keys = await this.client.keys('incident:*');
-      for (const key of keys) {
-        const data = await this.client.get(key);
-        if (data) {
-          const incident = JSON.parse(data);
-          if (incident.current_stage !== RedisStateManager.STAGES.RESOLVED) {
-            incidents.push(incident);
+
+      if (acquired) {
+        return token;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL_MS));
+    } while (Date.now() < deadline);
+
+    return null;
+  }
+
+  /**
+   * Extend a held lock; returns false if the lock was lost
+   */
+  async renewIncidentLock(incidentId, token, ttlMs = config.redis.lockTtlMs) {
+    const key = this._getLockKey(incidentId);
+    if (this.useMemory) {
+      const held = this.memoryLocks.get(key);
+      if (!held || held.token !== token) {
+        return false;
+      }
+      held.expiresAt = Date.now() + ttlMs;
+      return true;
+    }
+    return (await this.client.eval(LOCK_RENEW_SCRIPT, 1, key, token, ttlMs)) === 1;
+  }
+
+  /**
+   * Release a lock only if we still hold it
+   */
+  async releaseIncidentLock(incidentId, token) {
+    const key = this._getLockKey(incidentId);
+    if (this.useMemory) {
+      if (this.memoryLocks.get(key)?.token === token) {
+        this.memoryLocks.delete(key);
+      }
+      return;
+    }
+    await this.client.eval(LOCK_RELEASE_SCRIPT, 1, key, token);
+  }
+
+  /**
+   * Run fn while holding the incident's lock
+   * The lock is renewed while fn runs so long stages keep it
+   *
+   * @param {string} incidentId
+   * @param {function} fn - async () => any
+   * @param {object} options - { ttlMs, waitMs }
+   * @throws {LockTimeoutError} If the lock cannot be acquired within waitMs
+   */
+  async withIncidentLock(incidentId, fn, options = {}) {
+    const ttlMs = options.ttlMs || config.redis.lockTtlMs;
+    const token = await this.acquireIncidentLock(incidentId, { ...options, ttlMs });
+    if (!token) {
+      throw new LockTimeoutError(incidentId);
+    }
+
+    const renewal = setInterval(() => {
+      this.renewIncidentLock(incidentId, token, ttlMs)
+        .then((held) => {
+          if (!held) {
+            logger.warn('Incident lock lost before release', { incidentId });
           }
+        })
+        .catch(err => logger.warn('Failed to renew incident lock', { incidentId, error: err.message }));
+    }, Math.max(1000, Math.floor(ttlMs / 3)));
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(renewal);
+      await this.releaseIncidentLock(incidentId, token);
+    }
+  }
+
+  /**
+   * Get all active incidents (everything not yet RESOLVED)
+   */
+  async getActiveIncidents() {
+    if (this.useMemory) {
+      return this._getMemoryIncidents()
+        .filter(incident => incident.current_stage !== STAGES.RESOLVED);
+    }
+
+    const activeStages = Object.values(STAGES).filter(stage => stage !== STAGES.RESOLVED);
+    const pipeline = this.client.pipeline();
+    for (const stage of activeStages) {
+      pipeline.zrange(this._getIndexKey('stage', stage), 0, -1);
+    }
+    const results = await pipeline.exec();
+    const ids = results.flatMap(([, members]) => members || []);
+
+    return this._loadIndexedIncidents(ids);
+  }
+
+  /**
+   * List incidents newest first with optional filters and cursor pagination
+   *
+   * @param {object} filters - { stage, service, since, cursor, limit }
+   * @returns {Promise<{incidents: object[], next_cursor: string|null}>}
+   */
+  async listIncidents(filters = {}) {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const minScore = filters.since ? Date.parse(filters.since) : -Infinity;
+    if (Number.isNaN(minScore)) {
+      throw new ValidationError(`Invalid since timestamp: ${filters.since}`);
+    }
+    const after = filters.cursor ? this._decodeCursor(filters.cursor) : null;
+    if (filters.stage && !Object.values(STAGES).includes(filters.stage)) {
+      throw new ValidationError(`Unknown stage: ${filters.stage}`);
+    }
+
+    const page = this.useMemory
+      ? this._listMemoryIncidents(filters, minScore, after, limit + 1)
+      : await this._listIndexedIncidents(filters, minScore, after, limit + 1);
+
+    const hasMore = page.length > limit;
+    const incidents = page.slice(0, limit);
+    const last = incidents[incidents.length - 1];
+
+    return {
+      incidents,
+      next_cursor: hasMore && last
+        ? this._encodeCursor(Date.parse(last.created_at), last.incident_id)
+        : null,
+    };
+  }
+
+  async _listIndexedIncidents(filters, minScore, after, count) {
+    const keys = [this._getIndexKey('created')];
+    if (filters.stage) keys.push(this._getIndexKey('stage', filters.stage));
+    if (filters.service) keys.push(this._getIndexKey('service', filters.service));
+
+    // Intersect filter indexes into a short-lived key when more than one applies
+    let key = keys[keys.length - 1];
+    let tempKey = null;
+    if (keys.length > 2) {
+      tempKey = this._getIndexKey('tmp', randomUUID());
+      await this.client
+        .multi()
+        .zinterstore(tempKey, keys.length - 1, ...keys.slice(1), 'AGGREGATE', 'MAX')
+        .expire(tempKey, 30)
+        .exec();
+      key = tempKey;
+    }
+
+    try {
+      const incidents = [];
+      let maxScore = after ? after.score : '+inf';
+
+      // Keep reading until the page is full, since expired incidents are
+      // dropped from the index as they are found
+      while (incidents.length < count) {
+        // Over-fetch by the number of members tied on the cursor score
+        const ties = after ? await this.client.zcount(key, after.score, after.score) : 0;
+        const batch = await this.client.zrevrangebyscore(
+          key, maxScore, minScore === -Infinity ? '-inf' : minScore,
+          'WITHSCORES', 'LIMIT', 0, count + ties
+        );
+        if (batch.length === 0) break;
+
+        const candidates = [];
+        for (let i = 0; i < batch.length; i += 2) {
+          const id = batch[i];
+          const score = Number(batch[i + 1]);
+          // Equal scores come back in reverse lexical order, so everything at
+          // the cursor score that sorts at or above the cursor id was already served
+          if (after && score === after.score && id >= after.id) {
+            continue;
+          }
+          candidates.push({ id, score });
         }
+
+        // Guard against stale index entries (e.g. a renamed service)
+        const loaded = await this._loadIndexedIncidents(candidates.map(c => c.id));
+        incidents.push(...loaded.filter(incident =>
+          (!filters.stage || incident.current_stage === filters.stage)
+          && (!filters.service || incident.service_name === filters.service)));
+
+        if (batch.length < (count + ties) * 2 || candidates.length === 0) break;
+
+        const tail = candidates[candidates.length - 1];
+        after = { score: tail.score, id: tail.id };
+        maxScore = tail.score;
+      }
+
+      return incidents.slice(0, count);
+    } finally {
+      if (tempKey) {
+        await this.client.del(tempKey);
       }
     }
+  }
 
+  _listMemoryIncidents(filters, minScore, after, count) {
+    return this._getMemoryIncidents()
+      .filter(incident => !filters.stage || incident.current_stage === filters.stage)
+      .filter(incident => !filters.service || incident.service_name === filters.service)
+      .map(incident => ({ incident, score: Date.parse(incident.created_at) }))
+      .filter(({ score }) => score >= minScore)
+      .filter(({ incident, score }) => !after
+        || score < after.score
+        || (score === after.score && incident.incident_id < after.id))
+      .sort((a, b) => b.score - a.score || (a.incident.incident_id < b.incident.incident_id ? 1 : -1))
+      .slice(0, count)
+      .map(({ incident }) => incident);
+  }
+
+  _getMemoryIncidents() {
+    const incidents = [];
+    for (const [key, data] of this.memoryStore.entries()) {
+      if (key.startsWith('incident:')) {
+        incidents.push(JSON.parse(data));
+      }
+    }
     return incidents;
   }
 
+  /**
+   * Fetch incidents by id, pruning index entries whose state has expired
+   */
+  async _loadIndexedIncidents(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const values = await this.client.mget(ids.map(id => this._getIncidentKey(id)));
+    const incidents = [];
+    for (let i = 0; i < ids.length; i++) {
+      if (values[i]) {
+        incidents.push(JSON.parse(values[i]));
+      } else {
+        await this._unindexIncident(ids[i]);
+      }
+    }
+    return incidents;
+  }
+
+  _encodeCursor(score, id) {
+    return Buffer.from(`${score}:${id}`).toString('base64url');
+  }
+
+  _decodeCursor(cursor) {
+    const decoded = Buffer.from(String(cursor), 'base64url').toString();
+    const separator = decoded.indexOf(':');
+    const score = Number(decoded.slice(0, separator));
+    if (separator < 1 || Number.isNaN(score)) {
+      throw new ValidationError('Invalid cursor');
+    }
+    return { score, id: decoded.slice(separator + 1) };
+  }
+
   /**
    * Delete incident state
    */
@@ -217,11 +804,40 @@ export class RedisStateManager {
     if (this.useMemory) {
       this.memoryStore.delete(key);
     } else {
+      const existing = await this.getIncidentState(incidentId);
       await this.client.del(key);
+      await this._unindexIncident(incidentId, existing?.service_name);
     }
+    await this.eventLog.deleteTimeline(incidentId);
     logger.debug('Incident state deleted', { incidentId });
   }
 
+  /**
+   * Record a non-state event on the incident's timeline
+   *
+   * @param {string} incidentId
+   * @param {string} type - One of EVENT_TYPES
+   * @param {object} data
+   */
+  async recordEvent(incidentId, type, data = {}) {
+    return this.eventLog.append(incidentId, type, data);
+  }
+
+  /**
+   * Get the incident's ordered event timeline
+   */
+  async getIncidentTimeline(incidentId, options = {}) {
+    return this.eventLog.getTimeline(incidentId, options);
+  }
+
+  /**
+   * Rebuild incident state from its event timeline
+   * Does not write; compare against getIncidentState or persist explicitly
+   */
+  async rebuildIncidentState(incidentId) {
+    return this.eventLog.rebuildSnapshot(incidentId);
+  }
+
   /**
    * Store pending human approval
    */
@@ -235,7 +851,8 @@ export class RedisStateManager {
     if (this.useMemory) {
       this.memoryStore.set(key, data);
     } else {
-      await this.client.set(key, data, 'EX', 3600); // 1 hour TTL
+      // Outlives the approval timeout so the watchdog, not Redis, expires it
+      await this.client.set(key, data, 'EX', Math.ceil((config.watchdog.approvalTimeoutMs * 2) / 1000));
     }
     return true;
   }
@@ -265,8 +882,382 @@ export class RedisStateManager {
       await this.client.del(key);
     }
   }
+
+  /**
+   * Store a post-resolution learning record
+   * Indexed by service so recurrence checks never scan the keyspace
+   *
+   * @param {object} record - Learning record with incident_id, service, ingest_after
+   * @param {number} ttlSeconds
+   */
+  async saveLearningRecord(record, ttlSeconds) {
+    const key = `learning:${record.incident_id}`;
+    const score = Date.parse(record.ingest_after) || Date.now();
+
+    if (this.useMemory) {
+      this.memoryStore.set(key, JSON.stringify(record));
+    } else {
+      const pipeline = this.client.pipeline()
+        .set(key, JSON.stringify(record), 'EX', ttlSeconds)
+        .zadd('learnings:index', score, record.incident_id);
+      if (record.service) {
+        pipeline.zadd(`learnings:index:service:${record.service}`, score, record.incident_id);
+      }
+      await pipeline.exec();
+    }
+  }
+
+  /**
+   * Get learning records, optionally only those for one service
+   */
+  async getLearningRecords({ service } = {}) {
+    if (this.useMemory) {
+      const records = [];
+      for (const [key, data] of this.memoryStore.entries()) {
+        if (key.startsWith('learning:')) {
+          records.push(JSON.parse(data));
+        }
+      }
+      return records.filter(record => !service || record.service === service);
+    }
+
+    const indexKey = service ? `learnings:index:service:${service}` : 'learnings:index';
+    const ids = await this.client.zrange(indexKey, 0, -1);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const values = await this.client.mget(ids.map(id => `learning:${id}`));
+    const records = [];
+    const expired = [];
+    values.forEach((value, i) => (value ? records.push(JSON.parse(value)) : expired.push(ids[i])));
+
+    if (expired.length > 0) {
+      await this.client.zrem(indexKey, ...expired);
+    }
+    return records;
+  }
+
+  /**
+   * Delete a learning record and its index entries
+   */
+  async deleteLearningRecord(incidentId, service) {
+    const key = `learning:${incidentId}`;
+    if (this.useMemory) {
+      this.memoryStore.delete(key);
+    } else {
+      const pipeline = this.client.pipeline()
+        .del(key)
+        .zrem('learnings:index', incidentId);
+      if (service) {
+        pipeline.zrem(`learnings:index:service:${service}`, incidentId);
+      }
+      await pipeline.exec();
+    }
+  }
+
+  /**
+   * Store a change-freeze window
+   * Windows live in one hash, indexed by end time so listings can skip
+   * (and prune) windows that are long over
+   *
+   * @param {object} window - Freeze window with id and ends_at
+   */
+  async saveFreezeWindow(window) {
+    if (this.useMemory) {
+      this.memoryStore.set(`freeze:${window.id}`, JSON.stringify(window));
+      return window;
+    }
+
+    const prunedBefore = Date.now() - FREEZE_RETENTION_MS;
+    const stale = await this.client.zrangebyscore('freezes:index', '-inf', prunedBefore);
+    const pipeline = this.client.pipeline()
+      .hset('freezes', window.id, JSON.stringify(window))
+      .zadd('freezes:index', Date.parse(window.ends_at), window.id);
+    if (stale.length > 0) {
+      pipeline.hdel('freezes', ...stale).zrem('freezes:index', ...stale);
+    }
+    await pipeline.exec();
+    return window;
+  }
+
+  /**
+   * Get freeze windows, optionally only those still running at a time
+   *
+   * @param {object} options - { endingAfter } Date or timestamp
+   */
+  async getFreezeWindows({ endingAfter } = {}) {
+    const after = endingAfter ? new Date(endingAfter).getTime() : -Infinity;
+
+    if (this.useMemory) {
+      const windows = [];
+      for (const [key, data] of this.memoryStore.entries()) {
+        if (key.startsWith('freeze:')) {
+          windows.push(JSON.parse(data));
+        }
+      }
+      return windows
+        .filter(window => Date.parse(window.ends_at) > after)
+        .sort((a, b) => Date.parse(a.starts_at) - Date.parse(b.starts_at));
+    }
+
+    const ids = await this.client.zrangebyscore('freezes:index', after === -Infinity ? '-inf' : `(${after}`, '+inf');
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const values = await this.client.hmget('freezes', ...ids);
+    return values
+      .filter(Boolean)
+      .map(value => JSON.parse(value))
+      .sort((a, b) => Date.parse(a.starts_at) - Date.parse(b.starts_at));
+  }
+
+  /**
+   * Delete a freeze window
+   * @returns {Promise<boolean>} false if it did not exist
+   */
+  async deleteFreezeWindow(id) {
+    if (this.useMemory) {
+      return this.memoryStore.delete(`freeze:${id}`);
+    }
+
+    const [[, removed]] = await this.client.pipeline()
+      .hdel('freezes', id)
+      .zrem('freezes:index', id)
+      .exec();
+    return removed > 0;
+  }
+
+  /**
+   * Get the auto-remediation pause (kill switch), if set
+   */
+  async getAutoRemediationPause() {
+    const data = this.useMemory
+      ? this.memoryStore.get('autoremediation:pause')
+      : await this.client.get('autoremediation:pause');
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Set or clear (null) the auto-remediation pause
+   */
+  async setAutoRemediationPause(pause) {
+    if (this.useMemory) {
+      if (pause) {
+        this.memoryStore.set('autoremediation:pause', JSON.stringify(pause));
+      } else {
+        this.memoryStore.delete('autoremediation:pause');
+      }
+      return;
+    }
+
+    if (pause) {
+      await this.client.set('autoremediation:pause', JSON.stringify(pause));
+    } else {
+      await this.client.del('autoremediation:pause');
+    }
+  }
+
+  /**
+   * Claim a remediation execution slot
+   * Counts against the concurrency limit until released; when
+   * maxPerService is set, also counts one execution of `member` against the
+   * service's budget for the window.
+   *
+   * @param {string} incidentId
+   * @param {object} options - { service, member, maxConcurrent, maxPerService, windowMs, slotTtlMs }
+   * @returns {Promise<{acquired: boolean, reason: string|null, running: number, serviceCount: number}>}
+   */
+  async acquireExecutionSlot(incidentId, options) {
+    const { service, member, maxConcurrent, maxPerService = 0, windowMs, slotTtlMs } = options;
+    const now = Date.now();
+    const serviceKey = `autoremediation:service:${service || 'unknown'}`;
+
+    let status;
+    let running;
+    let serviceCount;
+
+    if (this.useMemory) {
+      const prune = (key, maxAge) => Object.fromEntries(
+        Object.entries(JSON.parse(this.memoryStore.get(key) || '{}')).filter(([, at]) => at > now - maxAge)
+      );
+      const slots = prune('autoremediation:running', slotTtlMs);
+      const executions = prune(serviceKey, windowMs);
+      const held = incidentId in slots;
+      const counted = member in executions;
+      running = Object.keys(slots).length;
+      serviceCount = Object.keys(executions).length;
+
+      if (!held && maxConcurrent > 0 && running >= maxConcurrent) {
+        status = 0;
+      } else if (maxPerService > 0 && !counted && serviceCount >= maxPerService) {
+        status = -1;
+      } else {
+        status = 1;
+        if (!held) {
+          slots[incidentId] = now;
+          running++;
+        }
+        if (maxPerService > 0 && !counted) {
+          executions[member] = now;
+          serviceCount++;
+        }
+      }
+
+      this.memoryStore.set('autoremediation:running', JSON.stringify(slots));
+      this.memoryStore.set(serviceKey, JSON.stringify(executions));
+    } else {
+      [status, running, serviceCount] = await this.client.eval(
+        EXECUTION_SLOT_SCRIPT,
+        2,
+        'autoremediation:running',
+        serviceKey,
+        now,
+        incidentId,
+        slotTtlMs,
+        maxConcurrent,
+        member,
+        maxPerService,
+        windowMs
+      );
+    }
+
+    return {
+      acquired: status === 1,
+      reason: status === 0 ? 'concurrency_limit' : status === -1 ? 'service_rate_limit' : null,
+      running,
+      serviceCount,
+    };
+  }
+
+  /**
+   * Release an incident's execution slot
+   */
+  async releaseExecutionSlot(incidentId) {
+    if (this.useMemory) {
+      const slots = JSON.parse(this.memoryStore.get('autoremediation:running') || '{}');
+      delete slots[incidentId];
+      this.memoryStore.set('autoremediation:running', JSON.stringify(slots));
+      return;
+    }
+
+    await this.client.zrem('autoremediation:running', incidentId);
+  }
+
+  /**
+   * Incidents currently holding an execution slot
+   */
+  async getExecutionSlots() {
+    if (this.useMemory) {
+      return Object.keys(JSON.parse(this.memoryStore.get('autoremediation:running') || '{}'));
+    }
+    return this.client.zrange('autoremediation:running', 0, -1);
+  }
+
+  /**
+   * Record whether a remediation passed verification
+   * Outcomes older than windowMs are dropped.
+   */
+  async recordRemediationOutcome(incidentId, success, windowMs) {
+    const now = Date.now();
+    const outcome = { incident_id: incidentId, success, at: now };
+
+    if (this.useMemory) {
+      const outcomes = JSON.parse(this.memoryStore.get('autoremediation:outcomes') || '[]')
+        .filter(o => o.at > now - windowMs);
+      outcomes.push(outcome);
+      this.memoryStore.set('autoremediation:outcomes', JSON.stringify(outcomes));
+      return;
+    }
+
+    await this.client.pipeline()
+      .zadd('autoremediation:outcomes', now, JSON.stringify(outcome))
+      .zremrangebyscore('autoremediation:outcomes', '-inf', now - windowMs)
+      .exec();
+  }
+
+  /**
+   * Verification outcomes recorded since a timestamp
+   */
+  async getRemediationOutcomes(since) {
+    if (this.useMemory) {
+      return JSON.parse(this.memoryStore.get('autoremediation:outcomes') || '[]')
+        .filter(o => o.at > since);
+    }
+
+    const values = await this.client.zrangebyscore('autoremediation:outcomes', `(${since}`, '+inf');
+    return values.map(value => JSON.parse(value));
+  }
+
+  /**
+   * Add LLM usage to a month's totals, its service and its model
+   * One hash per month (llm:usage:<YYYY-MM>) with <scope>:<metric> fields
+   *
+   * @param {string} month - YYYY-MM
+   * @param {object} options - { serviceName, model, usage }
+   */
+  async incrementLlmUsage(month, { serviceName, model, usage }) {
+    const key = `llm:usage:${month}`;
+    const scopes = ['total', `service:${serviceName}`, `model:${model}`];
+
+    if (this.useMemory) {
+      const totals = JSON.parse(this.memoryStore.get(key) || '{}');
+      for (const scope of scopes) {
+        for (const metric of LLM_USAGE_METRICS) {
+          const field = `${scope}:${metric}`;
+          totals[field] = (totals[field] || 0) + (usage[metric] || 0);
+        }
+      }
+      this.memoryStore.set(key, JSON.stringify(totals));
+      return;
+    }
+
+    const pipeline = this.client.pipeline();
+    for (const scope of scopes) {
+      for (const metric of LLM_USAGE_METRICS) {
+        if (metric === 'cost_usd') {
+          pipeline.hincrbyfloat(key, `${scope}:${metric}`, usage[metric]);
+        } else {
+          pipeline.hincrby(key, `${scope}:${metric}`, usage[metric] || 0);
+        }
+      }
+    }
+    await pipeline.expire(key, LLM_USAGE_TTL_SECONDS).exec();
+  }
+
+  /**
+   * A month's LLM usage
+   * @returns {Promise<{total: object|null, services: object, models: object}>}
+   */
+  async getLlmUsage(month) {
+    const key = `llm:usage:${month}`;
+    const fields = this.useMemory
+      ? JSON.parse(this.memoryStore.get(key) || '{}')
+      : await this.client.hgetall(key);
+
+    const usage = { total: null, services: {}, models: {} };
+    for (const [field, value] of Object.entries(fields)) {
+      // Service and model names may contain ':'; the metric never does
+      const split = field.lastIndexOf(':');
+      const [kind, ...name] = field.slice(0, split).split(':');
+      const metric = field.slice(split + 1);
+
+      const bucket = kind === 'total'
+        ? (usage.total ||= {})
+        : ((kind === 'service' ? usage.services : usage.models)[name.join(':')] ||= {});
+      bucket[metric] = metric === 'cost_usd' ? Math.round(Number(value) * 1e6) / 1e6 : Number(value);
+    }
+    return usage;
+  }
 }
 
 // Singleton instance
 export const stateManager = new RedisStateManager();
+
+// A pending approval is stale once the incident leaves the approval stage
+incidentStateMachine.onExit(STAGES.SYNTHESIZING, (incident) =>
+  stateManager.clearPendingApproval(incident.incident_id)
+);
+
 export default stateManager;
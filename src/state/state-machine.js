@@ -0,0 +1,182 @@
+import logger from '../utils/logger.js';
+import { InvalidStateTransitionError } from '../utils/errors.js';
+
+/**
+ * Incident Lifecycle State Machine
+ * Declares which stage transitions are legal and runs entry/exit hooks
+ *
+ * Self-transitions are listed explicitly for stages whose queue jobs may be
+ * retried (the retry re-enters the stage it failed in).
+ */
+
+export const STAGES = {
+  TRIGGERED: 'TRIGGERED',
+  INVESTIGATING: 'INVESTIGATING',
+  HYPOTHESIS_RECEIVED: 'HYPOTHESIS_RECEIVED',
+  CONTEXT_RETRIEVED: 'CONTEXT_RETRIEVED',
+  SYNTHESIZING: 'SYNTHESIZING',
+  EXECUTING: 'EXECUTING',
+  VERIFYING: 'VERIFYING',
+  RESOLVED: 'RESOLVED',
+  ESCALATED: 'ESCALATED',
+};
+
+export const INCIDENT_LIFECYCLE = {
+  initial: STAGES.TRIGGERED,
+
+  // No further transitions except an explicit re-open
+  terminal: [STAGES.RESOLVED],
+
+  // Stage a re-opened incident restarts from
+  reopenTo: STAGES.INVESTIGATING,
+
+  transitions: {
+    [STAGES.TRIGGERED]: [
+      STAGES.INVESTIGATING,
+      STAGES.HYPOTHESIS_RECEIVED,
+      STAGES.RESOLVED,
+      STAGES.ESCALATED,
+    ],
+    [STAGES.INVESTIGATING]: [
+      STAGES.HYPOTHESIS_RECEIVED,
+      STAGES.RESOLVED,
+      STAGES.ESCALATED,
+    ],
+    [STAGES.HYPOTHESIS_RECEIVED]: [
+      STAGES.HYPOTHESIS_RECEIVED,
+      STAGES.CONTEXT_RETRIEVED,
+      STAGES.RESOLVED,
+      STAGES.ESCALATED,
+    ],
+    [STAGES.CONTEXT_RETRIEVED]: [
+      STAGES.CONTEXT_RETRIEVED,
+      STAGES.SYNTHESIZING,
+      STAGES.RESOLVED,
+      STAGES.ESCALATED,
+    ],
+    [STAGES.SYNTHESIZING]: [
+      STAGES.SYNTHESIZING,
+      STAGES.EXECUTING,
+      STAGES.RESOLVED,
+      STAGES.ESCALATED,
+    ],
+    [STAGES.EXECUTING]: [
+      STAGES.SYNTHESIZING,
+      STAGES.VERIFYING,
+      STAGES.RESOLVED,
+      STAGES.ESCALATED,
+    ],
+    [STAGES.VERIFYING]: [
+      STAGES.SYNTHESIZING,
+      STAGES.VERIFYING,
+      STAGES.RESOLVED,
+      STAGES.ESCALATED,
+    ],
+    // Escalated incidents are handed to humans, who can only resolve them
+    [STAGES.ESCALATED]: [
+      STAGES.RESOLVED,
+    ],
+    [STAGES.RESOLVED]: [],
+  },
+};
+
+export class IncidentStateMachine {
+  constructor(definition = INCIDENT_LIFECYCLE) {
+    this.definition = definition;
+    this.hooks = {
+      enter: new Map(),
+      exit: new Map(),
+    };
+  }
+
+  /**
+   * Stages reachable from the given stage
+   */
+  getAllowedTransitions(stage) {
+    return this.definition.transitions[stage] || [];
+  }
+
+  isTerminal(stage) {
+    return this.definition.terminal.includes(stage);
+  }
+
+  canTransition(fromStage, toStage) {
+    // Incidents created without a stage may enter the lifecycle anywhere
+    if (!fromStage) {
+      return toStage in this.definition.transitions;
+    }
+    return this.getAllowedTransitions(fromStage).includes(toStage);
+  }
+
+  canReopen(stage) {
+    return this.isTerminal(stage) || stage === STAGES.ESCALATED;
+  }
+
+  /**
+   * Throw if the transition is not allowed
+   */
+  assertTransition(incidentId, fromStage, toStage) {
+    if (!this.canTransition(fromStage, toStage)) {
+      throw new InvalidStateTransitionError(incidentId, fromStage, toStage);
+    }
+  }
+
+  /**
+   * Register a hook run after an incident enters a stage
+   *
+   * @param {string} stage
+   * @param {function} hook - async (incident, { from, to }) => void
+   */
+  onEnter(stage, hook) {
+    this._addHook('enter', stage, hook);
+    return this;
+  }
+
+  /**
+   * Register a hook run after an incident leaves a stage
+   * Not run for self-transitions
+   */
+  onExit(stage, hook) {
+    this._addHook('exit', stage, hook);
+    return this;
+  }
+
+  /**
+   * Run exit hooks for the old stage, then entry hooks for the new one
+   * Hook failures are logged and never undo the persisted transition
+   */
+  async runHooks(incident, transition) {
+    const { from, to } = transition;
+    if (from === to) {
+      return;
+    }
+
+    const hooks = [
+      ...(this.hooks.exit.get(from) || []),
+      ...(this.hooks.enter.get(to) || []),
+    ];
+
+    for (const hook of hooks) {
+      try {
+        await hook(incident, transition);
+      } catch (error) {
+        logger.error('Stage transition hook failed', {
+          incidentId: incident.incident_id,
+          from,
+          to,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  _addHook(type, stage, hook) {
+    const hooks = this.hooks[type].get(stage) || [];
+    hooks.push(hook);
+    this.hooks[type].set(stage, hooks);
+  }
+}
+
+// Singleton instance
+export const incidentStateMachine = new IncidentStateMachine();
+export default incidentStateMachine;
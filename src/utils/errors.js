@@ -37,3 +37,51 @@ export class NotFoundError extends AppError {
     super(`${resource} not found`, 404, 'NOT_FOUND');
   }
 }
+
+export class InvalidStateTransitionError extends AppError {
+  constructor(incidentId, fromStage, toStage) {
+    super(
+      `Illegal stage transition for incident ${incidentId}: ${fromStage} -> ${toStage}`,
+      409,
+      'INVALID_STATE_TRANSITION'
+    );
+    this.incidentId = incidentId;
+    this.fromStage = fromStage;
+    this.toStage = toStage;
+    this.retryable = false;
+  }
+}
+
+export class ConcurrentModificationError extends AppError {
+  constructor(incidentId) {
+    super(`Incident ${incidentId} was modified concurrently`, 409, 'CONCURRENT_MODIFICATION');
+    this.incidentId = incidentId;
+  }
+}
+
+export class LockTimeoutError extends AppError {
+  constructor(incidentId) {
+    super(`Timed out waiting for lock on incident ${incidentId}`, 503, 'LOCK_TIMEOUT');
+    this.incidentId = incidentId;
+    this.retryable = true;
+  }
+}
+
+export class DeadlineExceededError extends AppError {
+  constructor(operation, deadlineMs) {
+    super(`${operation} did not finish within ${deadlineMs}ms`, 504, 'DEADLINE_EXCEEDED');
+    this.deadlineMs = deadlineMs;
+    // Retrying would only start the clock again
+    this.retryable = false;
+  }
+}
+
+export class SchemaValidationError extends AppError {
+  constructor(serviceName, errors) {
+    super(`${serviceName} output failed schema validation: ${errors.join('; ')}`, 502, 'SCHEMA_VALIDATION_FAILED');
+    this.serviceName = serviceName;
+    this.errors = errors;
+    // Already re-asked once; another provider is the better bet
+    this.retryable = false;
+  }
+}
@@ -0,0 +1,150 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { LockTimeoutError } from '../utils/errors.js';
+import { ingestAlert, openIncident, resolveIncident } from './incident-intake.js';
+
+/**
+ * Prometheus Alertmanager Webhook Handler
+ * Receives webhook_config notifications (payload version 4)
+ *
+ * Each alert in a notification becomes its own incident, keyed by the alert
+ * fingerprint. Authenticate with basic_auth in the receiver's http_config.
+ */
+
+const HIGH_URGENCY_SEVERITIES = new Set(['critical', 'page', 'high']);
+
+export class AlertmanagerWebhookHandler {
+  constructor() {
+    this.username = config.alertmanager.username;
+    this.password = config.alertmanager.password;
+  }
+
+  /**
+   * Verify HTTP basic auth credentials
+   */
+  verifyBasicAuth(authorization) {
+    if (!this.username || !this.password) {
+      logger.warn('Alertmanager webhook credentials not configured - skipping verification');
+      return true; // Allow in development
+    }
+
+    if (!authorization?.startsWith('Basic ')) {
+      logger.error('Missing Alertmanager basic auth credentials');
+      return false;
+    }
+
+    const provided = Buffer.from(authorization.slice('Basic '.length), 'base64');
+    const expected = Buffer.from(`${this.username}:${this.password}`);
+    if (provided.length !== expected.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Main webhook handler - Express middleware
+   */
+  getMiddleware() {
+    return async (req, res) => {
+      if (!this.verifyBasicAuth(req.headers.authorization)) {
+        logger.warn('Invalid Alertmanager credentials', { ip: req.ip, path: req.path });
+        res.set('WWW-Authenticate', 'Basic realm="vigil"');
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      const payload = req.body || {};
+      if (!Array.isArray(payload.alerts)) {
+        logger.warn('Invalid Alertmanager payload structure');
+        return res.status(400).json({ error: 'Invalid payload' });
+      }
+
+      logger.info('Alertmanager webhook received', {
+        status: payload.status,
+        receiver: payload.receiver,
+        alerts: payload.alerts.length,
+      });
+
+      try {
+        const incidents = [];
+        for (const rawAlert of payload.alerts) {
+          const alert = this.normalize(rawAlert, payload);
+          const resolved = rawAlert.status === 'resolved';
+
+          incidents.push(await ingestAlert('alertmanager', alert.incidentId, () => (
+            resolved
+              ? resolveIncident(alert.incidentId, 'alertmanager')
+              : openIncident(alert, { reopenResolved: true })
+          ), {
+            event_type: rawAlert.status,
+            event_id: payload.groupKey,
+            occurred_at: resolved ? rawAlert.endsAt : rawAlert.startsAt,
+          }));
+        }
+
+        res.status(202).json({ received: true, incidents });
+      } catch (error) {
+        // Alertmanager retries the whole notification; already-applied
+        // alerts are recognized as tracked and skipped
+        if (error instanceof LockTimeoutError) {
+          logger.warn('Webhook deferred - incident is locked', { incidentId: error.incidentId });
+          res.set('Retry-After', '30');
+          return res.status(503).json({ error: 'Incident busy, retry later' });
+        }
+
+        logger.error('Alertmanager webhook processing error', {
+          error: error.message,
+          stack: error.stack,
+        });
+        res.status(500).json({ error: 'Internal processing error' });
+      }
+    };
+  }
+
+  /**
+   * Normalize one Alertmanager alert into an intake alert
+   */
+  normalize(alert, notification = {}) {
+    const labels = { ...notification.commonLabels, ...alert.labels };
+    const annotations = { ...notification.commonAnnotations, ...alert.annotations };
+    const service = labels.service || labels.app || labels.job || null;
+
+    return {
+      incidentId: `alertmanager-${alert.fingerprint || this.fingerprint(labels)}`,
+      source: 'alertmanager',
+      title: annotations.summary || labels.alertname || 'Alertmanager alert',
+      urgency: HIGH_URGENCY_SEVERITIES.has(String(labels.severity).toLowerCase()) ? 'high' : 'low',
+      serviceId: service,
+      serviceName: service,
+      labels,
+      metricQuery: this.extractQuery(alert.generatorURL),
+      runbookUrl: annotations.runbook_url || annotations.runbook || null,
+      payload: { ...alert, receiver: notification.receiver, groupKey: notification.groupKey },
+    };
+  }
+
+  /**
+   * Pull the PromQL expression out of a Prometheus graph generatorURL
+   */
+  extractQuery(generatorURL) {
+    if (!generatorURL) {
+      return null;
+    }
+    try {
+      return new URL(generatorURL).searchParams.get('g0.expr');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stable id for alerts sent without a fingerprint (pre-0.19 Alertmanager)
+   */
+  fingerprint(labels) {
+    const canonical = Object.keys(labels).sort().map(k => `${k}=${labels[k]}`).join(',');
+    return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 16);
+  }
+}
+
+export const alertmanagerHandler = new AlertmanagerWebhookHandler();
+export default alertmanagerHandler;
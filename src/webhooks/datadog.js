@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import { LockTimeoutError } from '../utils/errors.js';
+import { ingestAlert, openIncident, resolveIncident } from './incident-intake.js';
+
+/**
+ * Datadog Webhook Handler
+ * Receives monitor notifications from the Datadog Webhooks integration
+ *
+ * Datadog payloads are user-templated; configure the webhook with:
+ * {
+ *   "id": "$ID",
+ *   "alert_id": "$ALERT_ID",
+ *   "aggreg_key": "$AGGREG_KEY",
+ *   "title": "$EVENT_TITLE",
+ *   "body": "$EVENT_MSG",
+ *   "alert_transition": "$ALERT_TRANSITION",
+ *   "priority": "$ALERT_PRIORITY",
+ *   "alert_type": "$ALERT_TYPE",
+ *   "query": "$ALERT_QUERY",
+ *   "tags": "$TAGS",
+ *   "link": "$LINK",
+ *   "date": "$DATE"
+ * }
+ * and a custom header X-Webhook-Secret carrying DATADOG_WEBHOOK_SECRET.
+ * Runbooks are read from a runbook_url field or a runbook_url:<url> tag.
+ */
+
+const RECOVERED_TRANSITIONS = new Set(['Recovered']);
+const HIGH_URGENCY_PRIORITIES = new Set(['P1', 'P2']);
+
+export class DatadogWebhookHandler {
+  constructor() {
+    this.webhookSecret = config.datadog.webhookSecret;
+  }
+
+  /**
+   * Verify the shared secret Datadog sends as a custom header
+   */
+  verifySecret(provided) {
+    if (!this.webhookSecret) {
+      logger.warn('Datadog webhook secret not configured - skipping verification');
+      return true; // Allow in development
+    }
+
+    if (!provided) {
+      logger.error('Missing Datadog webhook secret header');
+      return false;
+    }
+
+    const providedBuffer = Buffer.from(String(provided));
+    const expectedBuffer = Buffer.from(this.webhookSecret);
+    if (providedBuffer.length !== expectedBuffer.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+  }
+
+  /**
+   * Main webhook handler - Express middleware
+   */
+  getMiddleware() {
+    return async (req, res) => {
+      if (!this.verifySecret(req.headers['x-webhook-secret'])) {
+        logger.warn('Invalid Datadog webhook secret', { ip: req.ip, path: req.path });
+        return res.status(401).json({ error: 'Invalid secret' });
+      }
+
+      const payload = req.body || {};
+      const alert = this.normalize(payload);
+      if (!alert) {
+        logger.warn('Invalid Datadog payload structure');
+        return res.status(400).json({ error: 'Invalid payload' });
+      }
+
+      logger.info('Datadog webhook received', {
+        transition: payload.alert_transition,
+        incidentId: alert.incidentId,
+      });
+
+      try {
+        const recovered = RECOVERED_TRANSITIONS.has(payload.alert_transition);
+        const result = await ingestAlert('datadog', alert.incidentId, () => (
+          recovered
+            ? resolveIncident(alert.incidentId, 'datadog')
+            : openIncident(alert, { reopenResolved: true })
+        ), {
+          event_type: payload.alert_transition,
+          event_id: payload.id,
+          occurred_at: payload.date,
+        });
+
+        res.status(202).json({ received: true, ...result });
+      } catch (error) {
+        if (error instanceof LockTimeoutError) {
+          logger.warn('Webhook deferred - incident is locked', { incidentId: error.incidentId });
+          res.set('Retry-After', '30');
+          return res.status(503).json({ error: 'Incident busy, retry later' });
+        }
+
+        logger.error('Datadog webhook processing error', {
+          error: error.message,
+          stack: error.stack,
+        });
+        res.status(500).json({ error: 'Internal processing error' });
+      }
+    };
+  }
+
+  /**
+   * Normalize a Datadog notification into an intake alert
+   * @returns {object|null} null if the payload cannot identify an alert
+   */
+  normalize(payload) {
+    const key = payload.aggreg_key || payload.alert_id || payload.id;
+    if (!key) {
+      return null;
+    }
+
+    const labels = this.parseTags(payload.tags);
+
+    return {
+      incidentId: `datadog-${key}`,
+      source: 'datadog',
+      title: payload.title || payload.event_title || `Datadog alert ${key}`,
+      urgency: HIGH_URGENCY_PRIORITIES.has(payload.priority) || payload.alert_type === 'error' ? 'high' : 'low',
+      serviceId: labels.service || null,
+      serviceName: labels.service || payload.service || null,
+      labels,
+      metricQuery: payload.query || payload.alert_query || null,
+      runbookUrl: payload.runbook_url || labels.runbook_url || null,
+      payload,
+    };
+  }
+
+  /**
+   * Parse Datadog "key:value,key2:value2" tags (or an array) into labels
+   * Tags without a value map to an empty string
+   */
+  parseTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const labels = {};
+
+    for (const tag of list.map(t => String(t ?? '').trim()).filter(Boolean)) {
+      const separator = tag.indexOf(':');
+      if (separator === -1) {
+        labels[tag] = '';
+      } else {
+        labels[tag.slice(0, separator)] = tag.slice(separator + 1);
+      }
+    }
+
+    return labels;
+  }
+}
+
+export const datadogHandler = new DatadogWebhookHandler();
+export default datadogHandler;
@@ -0,0 +1,247 @@
+import logger from '../utils/logger.js';
+import stateManager, { RedisStateManager } from '../state/redis.js';
+import { InvalidStateTransitionError } from '../utils/errors.js';
+import { EVENT_TYPES, runWithEventSource } from '../state/event-log.js';
+import clericParser from '../parsers/cleric.js';
+import { orchestrator, Orchestrator } from '../services/orchestrator.js';
+import correlationEngine from '../services/correlation.js';
+
+/**
+ * Incident Intake
+ * Shared by every alert source so incidents look the same to the pipeline
+ * whether they came from PagerDuty, Opsgenie, Datadog or Alertmanager
+ */
+
+/**
+ * Create incident state for a new alert and hand it to investigation
+ * Callers must hold the incident's lock
+ *
+ * @param {object} alert - Normalized alert
+ * @param {string} alert.incidentId
+ * @param {string} alert.source - pagerduty | datadog | alertmanager
+ * @param {string} alert.title
+ * @param {string} alert.urgency - high | low
+ * @param {string} alert.serviceId
+ * @param {string} alert.serviceName
+ * @param {object} alert.labels - Source labels/tags as key-value pairs
+ * @param {string} alert.metricQuery - Query that fired the alert
+ * @param {string} alert.runbookUrl
+ * @param {object} alert.payload - Raw webhook payload
+ * @param {object} options - { reopenResolved } re-open a RESOLVED incident that fires again
+ * @returns {Promise<object|null>} New incident state, or null if already tracked
+ */
+export async function openIncident(alert, options = {}) {
+  const { incidentId } = alert;
+
+  logger.info('Incident triggered', {
+    incidentId,
+    source: alert.source,
+    title: alert.title,
+    urgency: alert.urgency,
+    service: alert.serviceName,
+  });
+
+  // Check if we're already tracking this incident
+  const existing = await stateManager.getIncidentState(incidentId);
+  if (existing) {
+    if (options.reopenResolved && existing.current_stage === RedisStateManager.STAGES.RESOLVED) {
+      return stateManager.reopenIncident(incidentId, { reopen_source: `${alert.source}_alert` });
+    }
+    logger.debug('Incident already being tracked', { incidentId });
+    return null;
+  }
+
+  // Create initial incident state
+  await stateManager.setIncidentState(incidentId, {
+    current_stage: RedisStateManager.STAGES.TRIGGERED,
+    incident_id: incidentId,
+    source: alert.source,
+    title: alert.title,
+    urgency: alert.urgency,
+    service_id: alert.serviceId,
+    service_name: alert.serviceName,
+    labels: alert.labels || {},
+    metric_query: alert.metricQuery || null,
+    runbook_url: alert.runbookUrl || null,
+    alert_payload: alert.payload,
+    triggered_at: new Date().toISOString(),
+  });
+
+  // Transition to INVESTIGATING stage
+  // (Cleric picks the incident up and annotates it with a hypothesis)
+  const saved = await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.INVESTIGATING);
+
+  // Group alert storms under one parent incident
+  const parent = await correlationEngine.correlate(incidentId);
+
+  logger.info('Incident state initialized, awaiting Cleric investigation', {
+    incidentId,
+    parentIncidentId: parent?.incident_id,
+  });
+
+  return saved;
+}
+
+/**
+ * Record a Cleric investigation note and start remediation
+ * Callers must hold the incident's lock
+ *
+ * @param {string} incidentId
+ * @param {string} noteContent - Raw Cleric note
+ * @param {object} options - { title } used when the incident was never seen
+ */
+export async function receiveInvestigationNote(incidentId, noteContent, options = {}) {
+  // Get current incident state
+  const incidentState = await stateManager.getIncidentState(incidentId);
+  if (!incidentState) {
+    // Create state if it doesn't exist (late-join scenario)
+    await stateManager.setIncidentState(incidentId, {
+      current_stage: RedisStateManager.STAGES.INVESTIGATING,
+      incident_id: incidentId,
+      title: options.title,
+      triggered_at: new Date().toISOString(),
+    });
+  }
+
+  // Parse Cleric's note
+  const parsedNote = clericParser.parseNote(noteContent);
+
+  if (!parsedNote || !parsedNote.parseSuccess) {
+    logger.warn('Failed to parse Cleric note', { incidentId });
+    return;
+  }
+
+  // Update incident state with Cleric's findings
+  await stateManager.transitionStage(
+    incidentId,
+    RedisStateManager.STAGES.HYPOTHESIS_RECEIVED,
+    {
+      cleric_hypothesis: parsedNote.hypothesis,
+      cleric_confidence: parsedNote.confidence,
+      cleric_root_cause: parsedNote.rootCause,
+      cleric_recommendation: parsedNote.recommendation,
+      cleric_affected_services: parsedNote.affectedServices,
+      cleric_raw_note: noteContent,
+      cleric_parsed_at: new Date().toISOString(),
+    }
+  );
+
+  logger.info('Cleric hypothesis received', {
+    incidentId,
+    confidence: parsedNote.confidence,
+    hypothesis: parsedNote.hypothesis?.substring(0, 100),
+  });
+
+  // Affected services are known now, so correlate again; children leave
+  // remediation to their parent's pipeline
+  const parent = await correlationEngine.correlate(incidentId);
+  const parentIncidentId = parent?.incident_id
+    || (await stateManager.getIncidentState(incidentId)).parent_incident_id;
+  if (parentIncidentId) {
+    logger.info('Hypothesis recorded on correlated incident, parent runs the pipeline', {
+      incidentId,
+      parentIncidentId,
+    });
+    return;
+  }
+
+  // Generate Senso query
+  const sensoQuery = clericParser.generateSensoQuery(parsedNote);
+
+  // Enqueue the next phase: Context Retrieval
+  // A worker will call Sanity/Parallel to find relevant runbooks
+  await orchestrator.enqueueStage(Orchestrator.JOBS.PROCESS_HYPOTHESIS, incidentId, {
+    hypothesis: parsedNote,
+    query: sensoQuery,
+  });
+}
+
+/**
+ * Record that a responder acknowledged the incident
+ * Callers must hold the incident's lock
+ */
+export async function acknowledgeIncident(incidentId, acknowledgedBy) {
+  logger.debug('Incident acknowledged', { incidentId });
+
+  const incidentState = await stateManager.getIncidentState(incidentId);
+  if (incidentState) {
+    await stateManager.updateIncidentState(incidentId, {
+      acknowledged_at: new Date().toISOString(),
+      acknowledged_by: acknowledgedBy || 'unknown',
+    });
+  }
+}
+
+/**
+ * Mark an incident resolved because its alert source recovered
+ * Callers must hold the incident's lock
+ *
+ * @param {string} incidentId
+ * @param {string} source - Alert source that reported recovery
+ */
+export async function resolveIncident(incidentId, source) {
+  logger.info('Incident resolved', { incidentId, source });
+
+  const incidentState = await stateManager.getIncidentState(incidentId);
+  if (!incidentState) {
+    return;
+  }
+
+  // Mark as resolved (auto-remediated incidents are already RESOLVED)
+  if (incidentState.current_stage !== RedisStateManager.STAGES.RESOLVED) {
+    await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.RESOLVED, {
+      resolved_at: new Date().toISOString(),
+      resolution_source: `${source}_event`,
+    });
+  }
+
+  // Trigger post-incident processing (e.g., ingest into Senso for learning)
+  await orchestrator.handleResolution(incidentId, incidentState);
+}
+
+/**
+ * Apply one alert to its incident under the incident's lock and record the
+ * delivery on the timeline
+ * Out-of-order or duplicate alerts are reported as ignored rather than thrown;
+ * LockTimeoutError propagates so the caller can ask for redelivery.
+ *
+ * @param {string} source - Alert source, used for event attribution
+ * @param {string} incidentId
+ * @param {function} handle - async () => applies the alert
+ * @param {object} event - Extra WEBHOOK_RECEIVED event data
+ * @returns {Promise<{incident_id: string, ignored?: string}>}
+ */
+export async function ingestAlert(source, incidentId, handle, event = {}) {
+  try {
+    await runWithEventSource(`${source}-webhook`, () => stateManager.withIncidentLock(incidentId, async () => {
+      await handle();
+
+      if (await stateManager.getIncidentState(incidentId)) {
+        await stateManager.recordEvent(incidentId, EVENT_TYPES.WEBHOOK_RECEIVED, {
+          provider: source,
+          ...event,
+        });
+      }
+    }));
+    return { incident_id: incidentId };
+  } catch (error) {
+    if (error instanceof InvalidStateTransitionError) {
+      logger.warn('Alert ignored - illegal stage transition', {
+        incidentId,
+        source,
+        from: error.fromStage,
+        to: error.toStage,
+      });
+      return { incident_id: incidentId, ignored: error.code };
+    }
+    throw error;
+  }
+}
+
+export default {
+  openIncident,
+  receiveInvestigationNote,
+  acknowledgeIncident,
+  resolveIncident,
+  ingestAlert,
+};
@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+import clericParser from '../parsers/cleric.js';
+import { LockTimeoutError } from '../utils/errors.js';
+import {
+  acknowledgeIncident,
+  ingestAlert,
+  openIncident,
+  receiveInvestigationNote,
+  resolveIncident,
+} from './incident-intake.js';
+
+/**
+ * Opsgenie Webhook Handler
+ * Handles Create, AddNote, Acknowledge and Close alert actions from an
+ * Opsgenie Webhook integration. Alerts are tracked under their alertId.
+ *
+ * Verification uses a shared secret the integration sends as the
+ * X-Webhook-Secret custom header.
+ */
+
+const HIGH_URGENCY_PRIORITIES = new Set(['P1', 'P2']);
+
+export class OpsgenieWebhookHandler {
+  constructor() {
+    this.webhookSecret = config.opsgenie.webhookSecret;
+  }
+
+  /**
+   * Verify the shared secret sent as a custom header
+   */
+  verifySecret(provided) {
+    if (!this.webhookSecret) {
+      logger.warn('Opsgenie webhook secret not configured - skipping verification');
+      return true; // Allow in development
+    }
+
+    if (!provided) {
+      logger.error('Missing Opsgenie webhook secret header');
+      return false;
+    }
+
+    const providedBuffer = Buffer.from(String(provided));
+    const expectedBuffer = Buffer.from(this.webhookSecret);
+    if (providedBuffer.length !== expectedBuffer.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+  }
+
+  /**
+   * Main webhook handler - Express middleware
+   */
+  getMiddleware() {
+    return async (req, res) => {
+      if (!this.verifySecret(req.headers['x-webhook-secret'])) {
+        logger.warn('Invalid Opsgenie webhook secret', { ip: req.ip, path: req.path });
+        return res.status(401).json({ error: 'Invalid secret' });
+      }
+
+      const payload = req.body || {};
+      const alert = payload.alert;
+      if (!payload.action || !alert?.alertId) {
+        logger.warn('Invalid Opsgenie payload structure');
+        return res.status(400).json({ error: 'Invalid payload' });
+      }
+
+      const action = payload.action;
+      const incidentId = alert.alertId;
+
+      logger.info('Opsgenie webhook received', { action, incidentId });
+
+      try {
+        const result = await ingestAlert('opsgenie', incidentId, async () => {
+          switch (action) {
+            case 'Create':
+              await this.handleAlertCreated(alert, payload);
+              break;
+
+            case 'AddNote':
+              await this.handleNoteAdded(alert, payload);
+              break;
+
+            case 'Acknowledge':
+              await acknowledgeIncident(incidentId, alert.username);
+              break;
+
+            case 'Close':
+              await resolveIncident(incidentId, 'opsgenie');
+              break;
+
+            default:
+              logger.debug('Unhandled Opsgenie action', { action });
+          }
+        }, {
+          event_type: action,
+          occurred_at: alert.updatedAt ? new Date(alert.updatedAt).toISOString() : undefined,
+        });
+
+        res.status(202).json({ received: true, ...result });
+      } catch (error) {
+        // A pipeline stage holds the incident; ask Opsgenie to redeliver later
+        if (error instanceof LockTimeoutError) {
+          logger.warn('Webhook deferred - incident is locked', { incidentId: error.incidentId });
+          res.set('Retry-After', '30');
+          return res.status(503).json({ error: 'Incident busy, retry later' });
+        }
+
+        logger.error('Opsgenie webhook processing error', {
+          error: error.message,
+          stack: error.stack,
+        });
+        res.status(500).json({ error: 'Internal processing error' });
+      }
+    };
+  }
+
+  /**
+   * Handle Create action
+   */
+  async handleAlertCreated(alert, fullPayload) {
+    await openIncident(this.normalize(alert, fullPayload));
+  }
+
+  /**
+   * Normalize an Opsgenie alert into an intake alert
+   */
+  normalize(alert, fullPayload) {
+    const labels = { ...this.parseTags(alert.tags), ...alert.details };
+
+    return {
+      incidentId: alert.alertId,
+      source: 'opsgenie',
+      title: alert.message,
+      urgency: HIGH_URGENCY_PRIORITIES.has(alert.priority) ? 'high' : 'low',
+      serviceId: labels.service || alert.entity || null,
+      serviceName: labels.service || alert.entity || null,
+      labels,
+      metricQuery: labels.query || labels.metric_query || null,
+      runbookUrl: labels.runbook_url || null,
+      payload: fullPayload,
+    };
+  }
+
+  /**
+   * Handle AddNote action
+   * Cleric posts its investigation as an alert note
+   */
+  async handleNoteAdded(alert, fullPayload) {
+    const note = { content: alert.note, user: { summary: alert.username } };
+
+    if (!clericParser.isClericNote(note)) {
+      logger.debug('Note is not from Cleric, ignoring', {
+        incidentId: alert.alertId,
+        noteAuthor: alert.username || 'unknown',
+      });
+      return;
+    }
+
+    logger.info('Cleric note detected', { incidentId: alert.alertId });
+
+    await receiveInvestigationNote(alert.alertId, alert.note, { title: alert.message });
+  }
+
+  /**
+   * Parse Opsgenie tags ("service:checkout", "prod") into labels
+   */
+  parseTags(tags) {
+    const labels = {};
+    for (const tag of (tags || []).map(t => String(t ?? '').trim()).filter(Boolean)) {
+      const separator = tag.indexOf(':');
+      if (separator === -1) {
+        labels[tag] = '';
+      } else {
+        labels[tag.slice(0, separator)] = tag.slice(separator + 1);
+      }
+    }
+    return labels;
+  }
+}
+
+export const opsgenieHandler = new OpsgenieWebhookHandler();
+export default opsgenieHandler;
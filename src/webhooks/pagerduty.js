@@ -3,7 +3,14 @@ import config from '../config/index.js';
 import logger from '../utils/logger.js';
 import stateManager, { RedisStateManager } from '../state/redis.js';
 import clericParser from '../parsers/cleric.js';
-import { orchestrator } from '../services/orchestrator.js';
+import { InvalidStateTransitionError, LockTimeoutError } from '../utils/errors.js';
+import { EVENT_TYPES, runWithEventSource } from '../state/event-log.js';
+import {
+  acknowledgeIncident,
+  openIncident,
+  receiveInvestigationNote,
+  resolveIncident,
+} from './incident-intake.js';
 
 /**
  * PagerDuty Webhook Handler
@@ -87,34 +94,68 @@ export class PagerDutyWebhookHandler {
           incidentId: eventData?.id,
         });
 
-        // Route to appropriate handler
-        switch (eventType) {
-          case 'incident.triggered':
-            await this.handleIncidentTriggered(eventData, payload);
-            break;
-
-          case 'incident.annotated':
-            await this.handleIncidentAnnotated(eventData, payload);
-            break;
-
-          case 'incident.resolved':
-            await this.handleIncidentResolved(eventData, payload);
-            break;
-
-          case 'incident.acknowledged':
-            await this.handleIncidentAcknowledged(eventData, payload);
-            break;
-
-          case 'incident.escalated':
-            await this.handleIncidentEscalated(eventData, payload);
-            break;
+        // Route to appropriate handler while holding the incident's lock
+        await runWithEventSource('pagerduty-webhook', () => stateManager.withIncidentLock(eventData.id, async () => {
+          switch (eventType) {
+            case 'incident.triggered':
+              await this.handleIncidentTriggered(eventData, payload);
+              break;
+
+            case 'incident.annotated':
+              await this.handleIncidentAnnotated(eventData, payload);
+              break;
+
+            case 'incident.resolved':
+              await this.handleIncidentResolved(eventData, payload);
+              break;
+
+            case 'incident.acknowledged':
+              await this.handleIncidentAcknowledged(eventData, payload);
+              break;
+
+            case 'incident.escalated':
+              await this.handleIncidentEscalated(eventData, payload);
+              break;
+
+            case 'incident.reopened':
+              await this.handleIncidentReopened(eventData, payload);
+              break;
+
+            default:
+              logger.debug('Unhandled event type', { eventType });
+          }
+
+          // Recorded after the handler so the incident exists for new triggers
+          if (await stateManager.getIncidentState(eventData.id)) {
+            await stateManager.recordEvent(eventData.id, EVENT_TYPES.WEBHOOK_RECEIVED, {
+              provider: 'pagerduty',
+              event_type: eventType,
+              event_id: payload.event.id,
+              occurred_at: payload.event.occurred_at,
+            });
+          }
+        }));
+
+        // Pipeline stages run on the job queue, so acknowledge immediately
+        res.status(202).json({ received: true });
+      } catch (error) {
+        // Out-of-order or duplicate events; retrying delivery would not help
+        if (error instanceof InvalidStateTransitionError) {
+          logger.warn('Webhook event ignored - illegal stage transition', {
+            incidentId: error.incidentId,
+            from: error.fromStage,
+            to: error.toStage,
+          });
+          return res.status(202).json({ received: true, ignored: error.code });
+        }
 
-          default:
-            logger.debug('Unhandled event type', { eventType });
+        // A pipeline stage holds the incident; ask PagerDuty to redeliver later
+        if (error instanceof LockTimeoutError) {
+          logger.warn('Webhook deferred - incident is locked', { incidentId: error.incidentId });
+          res.set('Retry-After', '30');
+          return res.status(503).json({ error: 'Incident busy, retry later' });
         }
 
-        res.status(200).json({ received: true });
-      } catch (error) {
         logger.error('Webhook processing error', {
           error: error.message,
           stack: error.stack,
@@ -129,44 +170,14 @@ export class PagerDutyWebhookHandler {
    * This is the entry point of the OODA loop
    */
   async handleIncidentTriggered(incident, fullPayload) {
-    const incidentId = incident.id;
-    const title = incident.title || incident.summary;
-    const urgency = incident.urgency;
-    const serviceId = incident.service?.id;
-    const serviceName = incident.service?.summary;
-
-    logger.info('Incident triggered', {
-      incidentId,
-      title,
-      urgency,
-      service: serviceName,
-    });
-
-    // Check if we're already tracking this incident
-    const existing = await stateManager.getIncidentState(incidentId);
-    if (existing) {
-      logger.debug('Incident already being tracked', { incidentId });
-      return;
-    }
-
-    // Create initial incident state
-    await stateManager.setIncidentState(incidentId, {
-      current_stage: RedisStateManager.STAGES.TRIGGERED,
-      incident_id: incidentId,
-      title,
-      urgency,
-      service_id: serviceId,
-      service_name: serviceName,
-      alert_payload: fullPayload,
-      triggered_at: new Date().toISOString(),
-    });
-
-    // Transition to INVESTIGATING stage
-    // (Cleric will pick up the incident from PagerDuty directly)
-    await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.INVESTIGATING);
-
-    logger.info('Incident state initialized, awaiting Cleric investigation', {
-      incidentId,
+    await openIncident({
+      incidentId: incident.id,
+      source: 'pagerduty',
+      title: incident.title || incident.summary,
+      urgency: incident.urgency,
+      serviceId: incident.service?.id,
+      serviceName: incident.service?.summary,
+      payload: fullPayload,
     });
   }
 
@@ -196,109 +207,54 @@ export class PagerDutyWebhookHandler {
 
     logger.info('Cleric note detected', { incidentId });
 
-    // Get current incident state
-    const incidentState = await stateManager.getIncidentState(incidentId);
-    if (!incidentState) {
-      // Create state if it doesn't exist (late-join scenario)
-      await stateManager.setIncidentState(incidentId, {
-        current_stage: RedisStateManager.STAGES.INVESTIGATING,
-        incident_id: incidentId,
-        title: incident.title || incident.summary,
-        triggered_at: new Date().toISOString(),
-      });
-    }
-
-    // Parse Cleric's note
-    const noteContent = latestNote.content;
-    const parsedNote = clericParser.parseNote(noteContent);
-
-    if (!parsedNote || !parsedNote.parseSuccess) {
-      logger.warn('Failed to parse Cleric note', { incidentId });
-      return;
-    }
-
-    // Update incident state with Cleric's findings
-    await stateManager.transitionStage(
-      incidentId,
-      RedisStateManager.STAGES.HYPOTHESIS_RECEIVED,
-      {
-        cleric_hypothesis: parsedNote.hypothesis,
-        cleric_confidence: parsedNote.confidence,
-        cleric_root_cause: parsedNote.rootCause,
-        cleric_recommendation: parsedNote.recommendation,
-        cleric_affected_services: parsedNote.affectedServices,
-        cleric_raw_note: noteContent,
-        cleric_parsed_at: new Date().toISOString(),
-      }
-    );
-
-    logger.info('Cleric hypothesis received', {
-      incidentId,
-      confidence: parsedNote.confidence,
-      hypothesis: parsedNote.hypothesis?.substring(0, 100),
+    await receiveInvestigationNote(incidentId, latestNote.content, {
+      title: incident.title || incident.summary,
     });
-
-    // Generate Senso query
-    const sensoQuery = clericParser.generateSensoQuery(parsedNote);
-
-    // Trigger the next phase: Context Retrieval
-    // This will call Senso API (Stream B) to find relevant runbooks
-    await orchestrator.processHypothesis(incidentId, parsedNote, sensoQuery);
   }
 
   /**
    * Handle incident.resolved event
    */
   async handleIncidentResolved(incident, fullPayload) {
-    const incidentId = incident.id;
-
-    logger.info('Incident resolved', { incidentId });
-
-    const incidentState = await stateManager.getIncidentState(incidentId);
-    if (!incidentState) {
-      return;
-    }
-
-    // Mark as resolved
-    await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.RESOLVED, {
-      resolved_at: new Date().toISOString(),
-      resolution_source: 'pagerduty_event',
-    });
-
-    // Trigger post-incident processing (e.g., ingest into Senso for learning)
-    await orchestrator.handleResolution(incidentId, incidentState);
+    await resolveIncident(incident.id, 'pagerduty');
   }
 
   /**
    * Handle incident.acknowledged event
    */
   async handleIncidentAcknowledged(incident, fullPayload) {
+    await acknowledgeIncident(incident.id, incident.assignees?.[0]?.summary);
+  }
+
+  /**
+   * Handle incident.escalated event
+   */
+  async handleIncidentEscalated(incident, fullPayload) {
     const incidentId = incident.id;
 
-    logger.debug('Incident acknowledged', { incidentId });
+    logger.info('Incident escalated', { incidentId });
 
     const incidentState = await stateManager.getIncidentState(incidentId);
     if (incidentState) {
-      await stateManager.updateIncidentState(incidentId, {
-        acknowledged_at: new Date().toISOString(),
-        acknowledged_by: incident.assignees?.[0]?.summary || 'unknown',
+      await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
+        escalated_at: new Date().toISOString(),
+        escalation_policy: incident.escalation_policy?.summary,
       });
     }
   }
 
   /**
-   * Handle incident.escalated event
+   * Handle incident.reopened event
    */
-  async handleIncidentEscalated(incident, fullPayload) {
+  async handleIncidentReopened(incident, fullPayload) {
     const incidentId = incident.id;
 
-    logger.info('Incident escalated', { incidentId });
+    logger.info('Incident reopened', { incidentId });
 
     const incidentState = await stateManager.getIncidentState(incidentId);
     if (incidentState) {
-      await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
-        escalated_at: new Date().toISOString(),
-        escalation_policy: incident.escalation_policy?.summary,
+      await stateManager.reopenIncident(incidentId, {
+        reopen_source: 'pagerduty_event',
       });
     }
   }
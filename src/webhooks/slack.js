@@ -1,6 +1,7 @@
 import logger from '../utils/logger.js';
 import stateManager, { RedisStateManager } from '../state/redis.js';
-import { orchestrator } from '../services/orchestrator.js';
+import { orchestrator, Orchestrator } from '../services/orchestrator.js';
+import { EVENT_TYPES, runWithEventSource } from '../state/event-log.js';
 
 /**
  * Slack Webhook Handler
@@ -65,34 +66,44 @@ export class SlackWebhookHandler {
 
   /**
    * Handle approval/rejection
+   * Runs under the incident's lock so a double-click or a concurrent
+   * pipeline write cannot act on the same pending approval twice
    */
   async handleApproval(incidentId, approver, approved) {
-    const approval = await stateManager.getPendingApproval(incidentId);
-    if (!approval) {
-      logger.warn('No pending approval found', { incidentId });
-      return;
-    }
+    // Slack drops interactions that are not answered within 3 seconds
+    await runWithEventSource('slack-webhook', () => stateManager.withIncidentLock(incidentId, async () => {
+      const approval = await stateManager.getPendingApproval(incidentId);
+      if (!approval) {
+        logger.warn('No pending approval found', { incidentId });
+        return;
+      }
 
-    await stateManager.clearPendingApproval(incidentId);
+      await stateManager.clearPendingApproval(incidentId);
 
-    if (approved) {
-      // Proceed with execution
-      await stateManager.updateIncidentState(incidentId, {
-        human_approved: true,
-        approved_by: approver,
-        approved_at: new Date().toISOString(),
+      await stateManager.recordEvent(incidentId, EVENT_TYPES.APPROVAL_DECISION, {
+        approved,
+        approver,
       });
 
-      // Trigger execution
-      await orchestrator.executeRemediation(incidentId);
-    } else {
-      // Mark as escalated
-      await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
-        human_rejected: true,
-        rejected_by: approver,
-        rejected_at: new Date().toISOString(),
-      });
-    }
+      if (approved) {
+        // Proceed with execution
+        await stateManager.updateIncidentState(incidentId, {
+          human_approved: true,
+          approved_by: approver,
+          approved_at: new Date().toISOString(),
+        });
+
+        // Queue execution; Slack expects the interaction response within 3s
+        await orchestrator.enqueueStage(Orchestrator.JOBS.EXECUTE, incidentId);
+      } else {
+        // Mark as escalated
+        await stateManager.transitionStage(incidentId, RedisStateManager.STAGES.ESCALATED, {
+          human_rejected: true,
+          rejected_by: approver,
+          rejected_at: new Date().toISOString(),
+        });
+      }
+    }, { waitMs: 2000 }));
   }
 }
 
@@ -0,0 +1,82 @@
+import config from './config/index.js';
+import logger from './utils/logger.js';
+import stateManager from './state/redis.js';
+import jobQueue from './state/job-queue.js';
+import orchestrator from './services/orchestrator.js';
+import incidentArchive from './state/archive.js';
+import policyEngine from './services/policy-engine.js';
+import incidentWatchdog from './services/watchdog.js';
+import pipelineDrain from './services/shutdown.js';
+import crashRecovery from './services/recovery.js';
+
+/**
+ * Standalone pipeline worker
+ *
+ * Consumes OODA stage jobs from the Redis-backed queue so synthesis,
+ * sandbox execution and verification run outside the webhook process.
+ * Run with QUEUE_IN_PROCESS_WORKERS=false on the API process.
+ *
+ * Usage: node src/worker.js
+ */
+
+async function start() {
+  try {
+    logger.info('Starting OCP pipeline worker...');
+
+    await stateManager.connect();
+
+    if (stateManager.useMemory) {
+      // Memory-backed jobs are only visible to the process that enqueued them
+      logger.warn('Worker is using the in-memory store and will not see jobs from other processes');
+    }
+
+    // Fail fast on a bad policy file rather than mid-incident
+    policyEngine.load();
+    orchestrator.registerJobHandlers(jobQueue);
+    if (config.recovery.onStartup) {
+      // Pick up incidents and sandboxes left behind by a previous process
+      await crashRecovery.run().catch(error => {
+        logger.error('Crash recovery failed', { error: error.message });
+      });
+    }
+    jobQueue.start(config.queue.concurrency);
+    if (config.watchdog.enabled) {
+      incidentWatchdog.start();
+    }
+  } catch (error) {
+    logger.error('Failed to start worker', { error: error.message });
+    process.exit(1);
+  }
+}
+
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info(`${signal} received, draining worker...`);
+
+  let exitCode = 0;
+  try {
+    await pipelineDrain.drain();
+    await incidentArchive.close();
+    await stateManager.disconnect();
+  } catch (error) {
+    // A failed drain or disconnect must not leave the process hanging
+    logger.error('Worker shutdown failed', { signal, error: error.message });
+    exitCode = 1;
+  } finally {
+    process.exit(exitCode);
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled rejection', { reason });
+});
+
+start();
@@ -0,0 +1,72 @@
+import { jest } from '@jest/globals';
+import stateManager from '../../src/state/redis.js';
+import { STAGES } from '../../src/state/state-machine.js';
+import { CorrelationEngine } from '../../src/services/correlation.js';
+
+const engine = new CorrelationEngine({ enabled: true, windowMs: 600000 });
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+
+async function createIncident(incidentId, fields = {}) {
+  return stateManager.setIncidentState(incidentId, {
+    title: 'Checkout latency above SLO',
+    service_name: 'checkout-api',
+    current_stage: STAGES.INVESTIGATING,
+    created_at: minutesAgo(1),
+    ...fields,
+  });
+}
+
+beforeEach(() => {
+  stateManager.useMemory = true;
+  stateManager.memoryStore.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CorrelationEngine.correlate', () => {
+  it('keeps every child when two incidents join one parent at once', async () => {
+    await createIncident('parent', { created_at: minutesAgo(5) });
+    await createIncident('child-a');
+    await createIncident('child-b');
+
+    const [a, b] = await Promise.all([engine.correlate('child-a'), engine.correlate('child-b')]);
+
+    expect(a.incident_id).toBe('parent');
+    expect(b.incident_id).toBe('parent');
+    const parent = await stateManager.getIncidentState('parent');
+    expect(parent.child_incident_ids.sort()).toEqual(['child-a', 'child-b']);
+    expect((await stateManager.getIncidentState('child-a')).parent_incident_id).toBe('parent');
+    expect((await stateManager.getIncidentState('child-b')).parent_incident_id).toBe('parent');
+  });
+
+  it('does not join a parent that closed after it was matched', async () => {
+    const stale = await createIncident('parent', { created_at: minutesAgo(5) });
+    await stateManager.updateIncidentState('parent', { current_stage: STAGES.RESOLVED });
+    await createIncident('child');
+    jest.spyOn(engine, 'findParent').mockResolvedValue({ parent: stale, score: 1, reasons: ['same_service'] });
+
+    expect(await engine.correlate('child')).toBeNull();
+
+    expect((await stateManager.getIncidentState('parent')).child_incident_ids).toBeUndefined();
+    expect((await stateManager.getIncidentState('child')).parent_incident_id).toBeUndefined();
+  });
+
+  it('never joins a replay scratch incident', async () => {
+    await createIncident('replay-INC1-1', { created_at: minutesAgo(5), replay_of: 'INC1', shadow_mode: true });
+    await createIncident('child');
+
+    expect(await engine.correlate('child')).toBeNull();
+    expect((await stateManager.getIncidentState('replay-INC1-1')).child_incident_ids).toBeUndefined();
+  });
+
+  it('skips closed and unrelated candidates', async () => {
+    await createIncident('resolved', { created_at: minutesAgo(5), current_stage: STAGES.RESOLVED });
+    await createIncident('other', { created_at: minutesAgo(4), service_name: 'search', title: 'Index lag' });
+    await createIncident('child');
+
+    expect(await engine.correlate('child')).toBeNull();
+  });
+});
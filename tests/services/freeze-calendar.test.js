@@ -0,0 +1,181 @@
+import { FreezeCalendar, parseICal } from '../../src/services/freeze-calendar.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('parseICal', () => {
+  it('converts TZID times to UTC in winter and summer', () => {
+    const [winter, summer] = parseICal(calendar(
+      ['UID:winter', 'DTSTART;TZID=Europe/Berlin:20261224T180000', 'DTEND;TZID=Europe/Berlin:20261227T090000'],
+      ['UID:summer', 'DTSTART;TZID=America/New_York:20260704T090000', 'DTEND;TZID=America/New_York:20260704T170000'],
+    ));
+
+    expect(winter.start.toISOString()).toBe('2026-12-24T17:00:00.000Z');
+    expect(winter.end.toISOString()).toBe('2026-12-27T08:00:00.000Z');
+    expect(winter.allDay).toBe(false);
+    expect(summer.start.toISOString()).toBe('2026-07-04T13:00:00.000Z');
+    expect(summer.end.toISOString()).toBe('2026-07-04T21:00:00.000Z');
+  });
+
+  it('uses the offset in force on each side of a DST change', () => {
+    // Europe/Berlin leaves summer time at 03:00 on 2026-10-25
+    const [freeze] = parseICal(calendar(
+      ['DTSTART;TZID="Europe/Berlin":20261024T120000', 'DTEND;TZID="Europe/Berlin":20261026T120000'],
+    ));
+
+    expect(freeze.start.toISOString()).toBe('2026-10-24T10:00:00.000Z');
+    expect(freeze.end.toISOString()).toBe('2026-10-26T11:00:00.000Z');
+  });
+
+  it('reads Z times and floating times as UTC', () => {
+    const [event] = parseICal(calendar(['DTSTART:20261224T180000Z', 'DTEND:20261224T200000']));
+
+    expect(event.start.toISOString()).toBe('2026-12-24T18:00:00.000Z');
+    expect(event.end.toISOString()).toBe('2026-12-24T20:00:00.000Z');
+  });
+
+  it('ignores the TZID on a Z time', () => {
+    const [event] = parseICal(calendar(['DTSTART;TZID=Asia/Tokyo:20261224T180000Z']));
+    expect(event.start.toISOString()).toBe('2026-12-24T18:00:00.000Z');
+  });
+
+  it('treats an unknown TZID as UTC', () => {
+    const [event] = parseICal(calendar(['DTSTART;TZID=Mars/Olympus_Mons:20261224T180000']));
+    expect(event.start.toISOString()).toBe('2026-12-24T18:00:00.000Z');
+  });
+
+  it('gives an all-day event without DTEND one day', () => {
+    const [event] = parseICal(calendar(['DTSTART;VALUE=DATE:20261231']));
+
+    expect(event.allDay).toBe(true);
+    expect(event.start.toISOString()).toBe('2026-12-31T00:00:00.000Z');
+    expect(event.end.toISOString()).toBe('2027-01-01T00:00:00.000Z');
+  });
+
+  it('reads folded lines and the Vigil properties', () => {
+    const [event] = parseICal(calendar([
+      'UID:q4-freeze@example.com',
+      'SUMMARY:Q4 freeze\\, payments',
+      '  and billing',
+      'DTSTART:20261201T000000Z',
+      'DTEND:20261215T000000Z',
+      'RRULE:FREQ=YEARLY',
+      'X-VIGIL-MODE:Diagnosis-Only',
+      'X-VIGIL-SERVICES:payments-api,billing',
+    ]));
+
+    expect(event).toMatchObject({
+      uid: 'q4-freeze@example.com',
+      summary: 'Q4 freeze, payments and billing',
+      rrule: 'FREQ=YEARLY',
+      mode: 'diagnosis-only',
+      services: ['payments-api', 'billing'],
+    });
+  });
+
+  it('skips properties outside events', () => {
+    expect(parseICal('BEGIN:VCALENDAR\nX-WR-TIMEZONE:Europe/Berlin\nEND:VCALENDAR')).toEqual([]);
+  });
+});
+
+describe('FreezeCalendar.importICal', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  let saved;
+  let calendarStore;
+
+  beforeEach(() => {
+    saved = new Map();
+    calendarStore = new FreezeCalendar({
+      store: { saveFreezeWindow: async (window) => saved.set(window.id, window) },
+      defaultMode: 'approval',
+    });
+  });
+
+  const windows = () => [...saved.values()].sort((a, b) => a.starts_at.localeCompare(b.starts_at));
+
+  it('imports one-off events that have not ended', async () => {
+    const result = await calendarStore.importICal(calendar(
+      ['UID:past', 'DTSTART:20261001T000000Z', 'DTEND:20261002T000000Z'],
+      ['UID:q4', 'DTSTART:20261201T000000Z', 'DTEND:20261215T000000Z', 'X-VIGIL-MODE:diagnosis_only'],
+    ), { now });
+
+    expect(result).toEqual({ imported: 1, skipped: 1 });
+    expect(windows()).toMatchObject([
+      { starts_at: '2026-12-01T00:00:00.000Z', ends_at: '2026-12-15T00:00:00.000Z', mode: 'diagnosis_only', source: 'ical' },
+    ]);
+  });
+
+  it('expands a weekly window in local time across the DST change', async () => {
+    // Sundays 02:00-04:00 Berlin time, from before summer time ended
+    await calendarStore.importICal(calendar([
+      'UID:sunday-maintenance',
+      'SUMMARY:Sunday maintenance',
+      'DTSTART;TZID=Europe/Berlin:20260913T020000',
+      'DTEND;TZID=Europe/Berlin:20260913T040000',
+      'RRULE:FREQ=WEEKLY;BYDAY=SU;COUNT=8',
+    ]), { now });
+
+    expect(windows().map(w => [w.starts_at, w.ends_at])).toEqual([
+      ['2026-10-25T01:00:00.000Z', '2026-10-25T03:00:00.000Z'],
+      ['2026-11-01T01:00:00.000Z', '2026-11-01T03:00:00.000Z'],
+    ]);
+    expect(windows()[0]).toMatchObject({ title: 'Sunday maintenance', mode: 'approval' });
+  });
+
+  it('expands weekdays of a fortnightly rule until UNTIL', async () => {
+    await calendarStore.importICal(calendar([
+      'UID:release-train',
+      'DTSTART:20261019T160000Z',
+      'DTEND:20261019T180000Z',
+      'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261112T235959Z',
+    ]), { now });
+
+    expect(windows().map(w => w.starts_at)).toEqual([
+      '2026-10-19T16:00:00.000Z',
+      '2026-10-22T16:00:00.000Z',
+      '2026-11-02T16:00:00.000Z',
+      '2026-11-05T16:00:00.000Z',
+    ]);
+  });
+
+  it('expands daily rules only up to the horizon', async () => {
+    const result = await calendarStore.importICal(calendar([
+      'UID:nightly',
+      'DTSTART:20260101T230000Z',
+      'DTEND:20260102T010000Z',
+      'RRULE:FREQ=DAILY',
+    ]), { now });
+
+    expect(result.imported).toBe(90);
+    expect(windows()[0].starts_at).toBe('2026-10-19T23:00:00.000Z');
+    expect(windows().at(-1).starts_at).toBe('2027-01-16T23:00:00.000Z');
+  });
+
+  it('updates occurrences in place on re-import', async () => {
+    const feed = calendar(['UID:daily', 'DTSTART:20261020T000000Z', 'DTEND:20261020T010000Z', 'RRULE:FREQ=DAILY;COUNT=3']);
+
+    await calendarStore.importICal(feed, { now });
+    await calendarStore.importICal(feed, { now });
+
+    expect(saved.size).toBe(3);
+  });
+
+  it('rejects the whole feed when a recurrence cannot be expanded', async () => {
+    const feed = calendar(
+      ['UID:q4', 'DTSTART:20261201T000000Z', 'DTEND:20261215T000000Z'],
+      ['UID:patch-tuesday', 'SUMMARY:Patch Tuesday', 'DTSTART:20261110T180000Z', 'DTEND:20261110T220000Z',
+        'RRULE:FREQ=MONTHLY;BYDAY=2TU'],
+    );
+
+    const error = await calendarStore.importICal(feed, { now }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toContain('Patch Tuesday (FREQ=MONTHLY is not supported');
+    expect(saved.size).toBe(0);
+  });
+});
@@ -0,0 +1,135 @@
+import stateManager from '../../src/state/redis.js';
+import { STAGES } from '../../src/state/state-machine.js';
+import { IncidentProvider, IncidentProviderRegistry } from '../../src/services/incident-providers.js';
+
+class RecordingProvider extends IncidentProvider {
+  constructor(name, { configured = true } = {}) {
+    super(name);
+    this.configured = configured;
+    this.calls = [];
+  }
+
+  async addNote(incidentId, content) {
+    this.calls.push(['addNote', incidentId, content]);
+  }
+
+  async resolve(incidentId) {
+    this.calls.push(['resolve', incidentId]);
+  }
+
+  async getIncident(incidentId) {
+    return { id: incidentId, provider: this.name };
+  }
+
+  async openIncident(incidentId) {
+    if (!this.configured) return null;
+    this.calls.push(['openIncident', incidentId]);
+    return `${this.name}-${incidentId}`;
+  }
+}
+
+let providers;
+let registry;
+
+function createRegistry(options = {}) {
+  providers = {
+    pagerduty: new RecordingProvider('pagerduty', options.pagerduty),
+    opsgenie: new RecordingProvider('opsgenie', options.opsgenie),
+    local: new RecordingProvider('local'),
+  };
+  registry = new IncidentProviderRegistry({
+    defaultProvider: 'pagerduty',
+    byService: { checkout: 'opsgenie' },
+  });
+  for (const [name, provider] of Object.entries(providers)) {
+    registry.register(name, provider);
+  }
+}
+
+function createIncident(incidentId, source, fields = {}) {
+  return stateManager.setIncidentState(incidentId, {
+    source,
+    title: 'Checkout latency above SLO',
+    service_name: 'checkout',
+    current_stage: STAGES.INVESTIGATING,
+    ...fields,
+  });
+}
+
+beforeEach(() => {
+  stateManager.useMemory = true;
+  stateManager.memoryStore.clear();
+  createRegistry();
+});
+
+describe('IncidentProviderRegistry', () => {
+  it('sends PagerDuty incidents to PagerDuty even on a service routed elsewhere', async () => {
+    await createIncident('PABC123', 'pagerduty');
+
+    await registry.addNote('PABC123', 'note');
+
+    expect(providers.pagerduty.calls).toEqual([['addNote', 'PABC123', 'note']]);
+    expect(providers.opsgenie.calls).toEqual([]);
+  });
+
+  it('sends Opsgenie incidents to Opsgenie', async () => {
+    await createIncident('alert-1', 'opsgenie', { service_name: 'search' });
+
+    await registry.resolve('alert-1');
+
+    expect(providers.opsgenie.calls).toEqual([['resolve', 'alert-1']]);
+    expect(providers.pagerduty.calls).toEqual([]);
+  });
+
+  it('opens Datadog incidents in the service\'s provider once and writes to that incident', async () => {
+    await createIncident('datadog-42', 'datadog');
+
+    await registry.addNote('datadog-42', 'first');
+    await registry.addNote('datadog-42', 'second');
+
+    expect(providers.opsgenie.calls).toEqual([
+      ['openIncident', 'datadog-42'],
+      ['addNote', 'opsgenie-datadog-42', 'first'],
+      ['addNote', 'opsgenie-datadog-42', 'second'],
+    ]);
+    const { provider_incident: link } = await stateManager.getIncidentState('datadog-42');
+    expect(link).toMatchObject({ provider: 'opsgenie', id: 'opsgenie-datadog-42' });
+    expect(await registry.getIncident('datadog-42')).toEqual({ id: 'opsgenie-datadog-42', provider: 'opsgenie' });
+  });
+
+  it('opens Alertmanager incidents in the default provider', async () => {
+    await createIncident('alertmanager-f00d', 'alertmanager', { service_name: 'search' });
+
+    expect(await registry.getIncident('alertmanager-f00d')).toBeNull();
+    await registry.resolve('alertmanager-f00d');
+
+    expect(providers.pagerduty.calls).toEqual([
+      ['openIncident', 'alertmanager-f00d'],
+      ['resolve', 'pagerduty-alertmanager-f00d'],
+    ]);
+  });
+
+  it('falls back to the local provider when the routed tool is not configured', async () => {
+    createRegistry({ pagerduty: { configured: false } });
+    await createIncident('alertmanager-f00d', 'alertmanager', { service_name: 'search' });
+
+    await registry.addNote('alertmanager-f00d', 'note');
+    await registry.addNote('alertmanager-f00d', 'again');
+
+    expect(providers.pagerduty.calls).toEqual([]);
+    expect(providers.local.calls).toEqual([
+      ['openIncident', 'alertmanager-f00d'],
+      ['addNote', 'local-alertmanager-f00d', 'note'],
+      ['addNote', 'local-alertmanager-f00d', 'again'],
+    ]);
+    expect(registry.resolveName(await stateManager.getIncidentState('alertmanager-f00d'))).toBe('local');
+  });
+
+  it('records writes for shadow incidents instead of sending them', async () => {
+    await createIncident('datadog-7', 'datadog', { shadow_mode: true });
+
+    expect(await registry.addNote('datadog-7', 'note')).toBeNull();
+
+    expect(providers.opsgenie.calls).toEqual([]);
+  });
+});
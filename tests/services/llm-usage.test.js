@@ -0,0 +1,62 @@
+import { jest } from '@jest/globals';
+import logger from '../../src/utils/logger.js';
+import { LlmUsageTracker, addUsage, runWithUsageScope, summarizeUsage } from '../../src/services/llm-usage.js';
+
+const fakeStore = () => ({
+  increments: [],
+  async incrementLlmUsage(month, entry) {
+    this.increments.push(entry);
+  },
+  async getLlmUsage() {
+    return { total: this.increments.reduce((total, entry) => addUsage(total, entry.usage), null), services: {}, models: {} };
+  },
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LlmUsageTracker', () => {
+  it('prices a request by the longest matching model prefix', async () => {
+    const tracker = new LlmUsageTracker({ store: fakeStore(), pricing: {}, monthlyBudgetUsd: 0 });
+
+    const request = await tracker.record({
+      provider: 'AnthropicClient',
+      model: 'claude-3-5-haiku-20241022',
+      inputTokens: 1000000,
+      outputTokens: 500000,
+    });
+
+    expect(request.cost_usd).toBe(2.8);
+    expect(request.unpriced).toBeUndefined();
+  });
+
+  it('marks requests to unpriced models and warns once per model under a budget', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => logger);
+    const store = fakeStore();
+    const tracker = new LlmUsageTracker({ store, pricing: {}, monthlyBudgetUsd: 100 });
+    const scope = { incidentId: 'INC1', serviceName: 'payments-api', requests: [] };
+
+    await runWithUsageScope(scope, async () => {
+      await tracker.record({ provider: 'OpenAICompatibleClient', model: 'meta-llama/Llama-3-70b', inputTokens: 10 });
+      await tracker.record({ provider: 'OpenAICompatibleClient', model: 'meta-llama/Llama-3-70b', inputTokens: 10 });
+    });
+
+    expect(scope.requests.map(request => request.unpriced)).toEqual([true, true]);
+    expect(summarizeUsage(scope.requests)).toMatchObject({ requests: 2, cost_usd: 0, unpriced_requests: 2 });
+    expect(store.increments[0]).toMatchObject({ serviceName: 'payments-api', usage: { unpriced_requests: 1 } });
+    expect(warn.mock.calls.filter(([message]) => /no price/.test(message))).toHaveLength(1);
+  });
+
+  it('uses configured prices for self-hosted models', async () => {
+    const tracker = new LlmUsageTracker({ store: fakeStore(), pricing: { 'llama-3': [0.6, 0.8] }, monthlyBudgetUsd: 0 });
+    expect(tracker.estimateCost('llama-3-70b', 1000000, 1000000)).toBe(1.4);
+  });
+
+  it('reports the budget as exceeded once spend reaches it', async () => {
+    const tracker = new LlmUsageTracker({ store: fakeStore(), pricing: { local: [1, 1] }, monthlyBudgetUsd: 2 });
+    await tracker.record({ provider: 'Test', model: 'local-model', inputTokens: 1000000, outputTokens: 1000000 });
+
+    expect(await tracker.getBudgetStatus()).toMatchObject({ spent_usd: 2, budget_usd: 2, exceeded: true });
+  });
+});
@@ -0,0 +1,29 @@
+import { AIClientFactory } from '../../src/services/llm.js';
+import anthropicClient from '../../src/services/anthropic.js';
+import geminiClient from '../../src/services/gemini.js';
+import openAICompatibleClient from '../../src/services/openai-compatible.js';
+import { ConfigurationError } from '../../src/utils/errors.js';
+
+const router = (options = {}) => new AIClientFactory({
+  provider: 'anthropic',
+  fallbackProviders: [],
+  serviceProviders: { 'payments-api': 'openai' },
+  ...options,
+});
+
+describe('AIClientFactory.getProviderChain', () => {
+  it('keeps a pinned service on its pinned provider only', () => {
+    const chain = router({ fallbackProviders: ['gemini'] }).getProviderChain('payments-api');
+    expect(chain).toEqual([{ name: 'openai', client: openAICompatibleClient }]);
+  });
+
+  it('uses the primary provider, then the fallbacks, for everything else', () => {
+    const chain = router({ fallbackProviders: ['gemini', 'anthropic'] }).getProviderChain('checkout-api');
+    expect(chain.map(entry => entry.client)).toEqual([anthropicClient, geminiClient]);
+  });
+
+  it('refuses an unknown provider instead of substituting a hosted one', () => {
+    const typo = router({ serviceProviders: { 'payments-api': 'opnai' } });
+    expect(() => typo.getProviderChain('payments-api')).toThrow(ConfigurationError);
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  PolicyEngine,
+  POLICY_ACTIONS,
+  buildDefaultPolicy,
+} from '../../src/services/policy-engine.js';
+import { ConfigurationError } from '../../src/utils/errors.js';
+
+const { AUTO_EXECUTE, REQUIRE_APPROVAL, DENY } = POLICY_ACTIONS;
+
+const example = new PolicyEngine({ path: 'policies/remediation-policy.example.yaml' });
+const builtin = new PolicyEngine({
+  policy: buildDefaultPolicy({ autoExecuteThreshold: 90, contextMatchThreshold: 85 }),
+});
+
+const midday = new Date('2026-10-19T12:00:00Z');
+const lateNight = new Date('2026-10-19T23:00:00Z');
+
+// Passes the Confidence Protocol exactly at its thresholds
+const facts = (overrides = {}) => ({
+  service: 'checkout-api',
+  urgency: 'high',
+  risk: 'MEDIUM',
+  edge_cases: [],
+  failure_types: ['connection_pool_exhausted'],
+  hypothesis_confidence: 90,
+  context_match_score: 85,
+  remediation_confidence: 70,
+  ai_requested_approval: false,
+  has_rollback: true,
+  now: midday,
+  ...overrides,
+});
+
+describe('example policy against the Confidence Protocol', () => {
+  it.each([
+    ['at the thresholds', {}, AUTO_EXECUTE],
+    ['hypothesis confidence below 90', { hypothesis_confidence: 89 }, REQUIRE_APPROVAL],
+    ['context match below 85', { context_match_score: 84 }, REQUIRE_APPROVAL],
+    ['remediation confidence below 70', { remediation_confidence: 69 }, REQUIRE_APPROVAL],
+    ['HIGH risk', { risk: 'HIGH', hypothesis_confidence: 99 }, REQUIRE_APPROVAL],
+    ['no rollback script', { has_rollback: false }, REQUIRE_APPROVAL],
+    ['the AI asked for approval', { ai_requested_approval: true }, REQUIRE_APPROVAL],
+    ['a novel failure', { edge_cases: ['novel_failure'] }, REQUIRE_APPROVAL],
+    ['data-sensitive outside payments', { edge_cases: ['data_sensitive'] }, REQUIRE_APPROVAL],
+    ['a high blast radius', { edge_cases: ['high_blast_radius'] }, REQUIRE_APPROVAL],
+  ])('agrees with the builtin policy for %s', (_case, overrides, expected) => {
+    expect(builtin.evaluate(facts(overrides)).action).toBe(expected);
+    expect(example.evaluate(facts(overrides)).action).toBe(expected);
+  });
+
+  it('denies data-sensitive payments remediations the builtin policy only escalates', () => {
+    const payments = facts({ service: 'payments-api', edge_cases: ['data_sensitive'] });
+
+    expect(builtin.evaluate(payments).action).toBe(REQUIRE_APPROVAL);
+    expect(example.evaluate(payments)).toEqual({
+      action: DENY,
+      rule: 'payments-deny-data-sensitive',
+      policy: 'production-v1',
+    });
+  });
+
+  it('sends confident database remediations to a human', () => {
+    const deadlock = facts({ failure_types: ['database_deadlock'], hypothesis_confidence: 95 });
+
+    expect(builtin.evaluate(deadlock).action).toBe(AUTO_EXECUTE);
+    expect(example.evaluate(deadlock)).toMatchObject({ action: REQUIRE_APPROVAL, rule: 'database-failures' });
+  });
+
+  it('runs low-risk urgent fixes overnight below the daytime thresholds', () => {
+    const overnight = facts({ risk: 'LOW', hypothesis_confidence: 80, context_match_score: 60, now: lateNight });
+
+    expect(builtin.evaluate(overnight).action).toBe(REQUIRE_APPROVAL);
+    expect(example.evaluate(overnight)).toMatchObject({ action: AUTO_EXECUTE, rule: 'off-hours-low-risk' });
+    expect(example.evaluate({ ...overnight, now: midday }).action).toBe(REQUIRE_APPROVAL);
+  });
+});
+
+describe('PolicyEngine', () => {
+  it('falls back to the default action when no rule matches', () => {
+    const engine = new PolicyEngine({
+      policy: { name: 'only-payments', default: DENY, rules: [{ when: { service: 'payments-api' }, action: AUTO_EXECUTE }] },
+    });
+
+    expect(engine.evaluate(facts())).toEqual({ action: DENY, rule: null, policy: 'only-payments' });
+    expect(engine.evaluate(facts({ service: 'payments-api' })).rule).toBe('rule-1');
+  });
+
+  it('matches time windows on the given days only', () => {
+    const engine = new PolicyEngine({
+      policy: {
+        rules: [{ when: { time_of_day: { from: '22:00', to: '06:00', days: ['sat', 'sun'] } }, action: AUTO_EXECUTE }],
+      },
+    });
+
+    // 2026-10-17 is a Saturday
+    expect(engine.evaluate(facts({ now: new Date('2026-10-17T23:30:00Z') })).action).toBe(AUTO_EXECUTE);
+    expect(engine.evaluate(facts({ now: new Date('2026-10-19T23:30:00Z') })).action).toBe(REQUIRE_APPROVAL);
+    expect(engine.evaluate(facts({ now: new Date('2026-10-17T12:00:00Z') })).action).toBe(REQUIRE_APPROVAL);
+  });
+
+  it.each([
+    ['without a rules list', { default: DENY }],
+    ['with an unknown action', { rules: [{ action: 'ignore' }] }],
+    ['with an unknown condition', { rules: [{ when: { team: 'sre' }, action: DENY }] }],
+  ])('rejects a policy %s', (_case, policy) => {
+    expect(() => new PolicyEngine({ policy })).toThrow(ConfigurationError);
+  });
+
+  it('rejects an unreadable policy file', () => {
+    expect(() => new PolicyEngine({ path: 'policies/missing.yaml' }).load()).toThrow(ConfigurationError);
+  });
+});
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import {
+  parseRemediationOutput,
+  requestStructuredRemediation,
+  toGeminiSchema,
+  toStructuredResponse,
+  validateRemediation,
+} from '../../src/services/remediation-schema.js';
+import { SchemaValidationError } from '../../src/utils/errors.js';
+
+const valid = {
+  analysis: 'Connection pool exhausted after the 14:00 deploy',
+  risk: 'LOW',
+  confidence: 82,
+  requires_approval: false,
+  language: 'bash',
+  remediation_code: 'systemctl restart checkout',
+  rollback_language: 'bash',
+  rollback_code: 'systemctl start checkout',
+  reproduction_code: '',
+  verification_steps: ['curl -f http://checkout/health'],
+};
+
+describe('validateRemediation', () => {
+  it('accepts a complete remediation', () => {
+    expect(validateRemediation(valid)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('accepts an empty remediation without a rollback', () => {
+    const result = validateRemediation({ ...valid, remediation_code: '', rollback_code: '' });
+    expect(result.valid).toBe(true);
+  });
+
+  it('requires a rollback script when there is a remediation script', () => {
+    const result = validateRemediation({ ...valid, rollback_code: '  ' });
+    expect(result).toEqual({
+      valid: false,
+      errors: ['rollback_code: required when remediation_code is set'],
+    });
+  });
+
+  it('reports missing, mistyped, out-of-range and unknown fields', () => {
+    const { rollback_code: _omitted, ...output } = valid;
+    const result = validateRemediation({
+      ...output,
+      risk: 'low',
+      confidence: 150,
+      verification_steps: ['ok', 3],
+      notes: 'extra',
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'rollback_code: missing required field',
+      'risk: must be one of LOW, MEDIUM, HIGH',
+      'confidence: must be <= 100',
+      'verification_steps[1]: expected string',
+      'notes: unknown field',
+    ]));
+  });
+
+  it('rejects non-integer confidence', () => {
+    expect(validateRemediation({ ...valid, confidence: 82.5 }).errors).toEqual(['confidence: expected integer']);
+  });
+
+  it('rejects a non-object output', () => {
+    expect(validateRemediation(null).errors).toEqual(['output: expected object']);
+  });
+});
+
+describe('requestStructuredRemediation', () => {
+  it('returns the first answer when it is valid', async () => {
+    const ask = jest.fn().mockResolvedValue(JSON.stringify(valid));
+
+    const result = await requestStructuredRemediation('Test', ask);
+
+    expect(ask).toHaveBeenCalledTimes(1);
+    expect(ask).toHaveBeenCalledWith([]);
+    expect(result).toMatchObject({
+      structured: true,
+      code: 'systemctl restart checkout',
+      rollbackCode: 'systemctl start checkout',
+      risk: 'LOW',
+      confidence: 82,
+      requiresApproval: false,
+      reproductionCode: null,
+    });
+  });
+
+  it('takes one repair turn listing the validation errors', async () => {
+    const invalid = JSON.stringify({ ...valid, rollback_code: '' });
+    const ask = jest.fn()
+      .mockResolvedValueOnce(invalid)
+      .mockResolvedValueOnce(JSON.stringify(valid));
+
+    const result = await requestStructuredRemediation('Test', ask);
+
+    expect(ask).toHaveBeenCalledTimes(2);
+    const [repairTurn] = ask.mock.calls[1][0];
+    expect(repairTurn.response).toBe(invalid);
+    expect(repairTurn.feedback).toContain('- rollback_code: required when remediation_code is set');
+    expect(result.rollbackCode).toBe('systemctl start checkout');
+  });
+
+  it('throws SchemaValidationError when the repaired answer is still invalid', async () => {
+    const ask = jest.fn().mockResolvedValue('Risk: LOW. Restart the service.');
+
+    const error = await requestStructuredRemediation('Test', ask).catch(e => e);
+
+    expect(ask).toHaveBeenCalledTimes(2);
+    expect(error).toBeInstanceOf(SchemaValidationError);
+    expect(error.retryable).toBe(false);
+    expect(error.errors[0]).toMatch(/^response is not valid JSON/);
+  });
+
+  it('flags HIGH risk for approval whatever the model said', async () => {
+    const ask = jest.fn().mockResolvedValue(JSON.stringify({ ...valid, risk: 'HIGH' }));
+    const result = await requestStructuredRemediation('Test', ask);
+    expect(result.requiresApproval).toBe(true);
+  });
+});
+
+describe('parseRemediationOutput', () => {
+  it('reads stored structured output', () => {
+    expect(parseRemediationOutput(JSON.stringify(valid))).toMatchObject({ structured: true, confidence: 82 });
+  });
+
+  it('falls back to the tag parser for text responses', () => {
+    const result = parseRemediationOutput(
+      'Overall risk: MEDIUM\n<execution_block language="bash">echo fix</execution_block>\n' +
+      '<rollback_block>echo undo</rollback_block>'
+    );
+    expect(result).toMatchObject({
+      structured: false,
+      code: 'echo fix',
+      rollbackCode: 'echo undo',
+      risk: 'MEDIUM',
+    });
+  });
+});
+
+describe('toStructuredResponse', () => {
+  it('serializes a stored remediation as schema-valid output', () => {
+    const stored = parseRemediationOutput(JSON.stringify(valid));
+    const response = toStructuredResponse(stored);
+
+    expect(validateRemediation(JSON.parse(response))).toEqual({ valid: true, errors: [] });
+    expect(JSON.parse(response)).toEqual(valid);
+  });
+
+  it('fills fields a legacy incident never stored', () => {
+    const output = JSON.parse(toStructuredResponse({
+      code: 'echo fix',
+      language: 'sh',
+      rollbackCode: 'echo undo',
+      risk: 'UNKNOWN',
+    }));
+
+    expect(validateRemediation(output).valid).toBe(true);
+    expect(output).toMatchObject({ language: 'python', remediation_code: 'echo fix', rollback_code: 'echo undo' });
+  });
+});
+
+describe('toGeminiSchema', () => {
+  it('upper-cases types and drops keywords Gemini does not accept', () => {
+    const schema = toGeminiSchema();
+    expect(schema.type).toBe('OBJECT');
+    expect(schema.additionalProperties).toBeUndefined();
+    expect(schema.properties.confidence).toEqual({ type: 'INTEGER', description: expect.any(String) });
+    expect(schema.properties.verification_steps.items).toEqual({ type: 'STRING' });
+  });
+});
@@ -0,0 +1,71 @@
+import { AlertmanagerWebhookHandler } from '../../src/webhooks/alertmanager.js';
+
+const handler = new AlertmanagerWebhookHandler();
+
+const basic = (credentials) => `Basic ${Buffer.from(credentials).toString('base64')}`;
+
+const notification = {
+  version: '4',
+  status: 'firing',
+  receiver: 'vigil',
+  groupKey: '{}:{alertname="HighLatency"}',
+  commonLabels: { alertname: 'HighLatency', job: 'checkout', severity: 'warning' },
+  commonAnnotations: { summary: 'Checkout latency above SLO' },
+};
+
+const alert = {
+  status: 'firing',
+  fingerprint: 'f00d',
+  labels: { severity: 'Critical', instance: 'checkout-1' },
+  annotations: { runbook_url: 'https://runbooks/checkout' },
+  startsAt: '2026-10-19T10:00:00Z',
+  generatorURL: 'http://prometheus:9090/graph?g0.expr=histogram_quantile%280.99%2C+rate%28http_duration_bucket%5B5m%5D%29%29+%3E+2&g0.tab=1',
+};
+
+describe('AlertmanagerWebhookHandler.verifyBasicAuth', () => {
+  beforeEach(() => {
+    handler.username = 'alertmanager';
+    handler.password = 's3cret';
+  });
+
+  it('accepts the configured credentials', () => {
+    expect(handler.verifyBasicAuth(basic('alertmanager:s3cret'))).toBe(true);
+  });
+
+  it('rejects missing, malformed or wrong credentials', () => {
+    expect(handler.verifyBasicAuth(undefined)).toBe(false);
+    expect(handler.verifyBasicAuth('Bearer token')).toBe(false);
+    expect(handler.verifyBasicAuth(basic('alertmanager:s3creT'))).toBe(false);
+    expect(handler.verifyBasicAuth(basic('alertmanager:wrong-length'))).toBe(false);
+  });
+});
+
+describe('AlertmanagerWebhookHandler.normalize', () => {
+  it('merges common labels and maps one alert onto an intake alert', () => {
+    expect(handler.normalize(alert, notification)).toEqual({
+      incidentId: 'alertmanager-f00d',
+      source: 'alertmanager',
+      title: 'Checkout latency above SLO',
+      urgency: 'high',
+      serviceId: 'checkout',
+      serviceName: 'checkout',
+      labels: { alertname: 'HighLatency', job: 'checkout', severity: 'Critical', instance: 'checkout-1' },
+      metricQuery: 'histogram_quantile(0.99, rate(http_duration_bucket[5m])) > 2',
+      runbookUrl: 'https://runbooks/checkout',
+      payload: { ...alert, receiver: 'vigil', groupKey: notification.groupKey },
+    });
+  });
+
+  it('derives a stable id for alerts without a fingerprint', () => {
+    const first = handler.normalize({ labels: { alertname: 'Down', job: 'search' } });
+    const reordered = handler.normalize({ labels: { job: 'search', alertname: 'Down' } });
+
+    expect(first.incidentId).toMatch(/^alertmanager-[0-9a-f]{16}$/);
+    expect(reordered.incidentId).toBe(first.incidentId);
+    expect(first).toMatchObject({ title: 'Down', urgency: 'low', serviceName: 'search', metricQuery: null });
+  });
+
+  it('ignores a generatorURL that is not a URL', () => {
+    expect(handler.extractQuery('not a url')).toBeNull();
+  });
+});
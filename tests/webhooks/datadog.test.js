@@ -0,0 +1,69 @@
+import { DatadogWebhookHandler } from '../../src/webhooks/datadog.js';
+
+const handler = new DatadogWebhookHandler();
+
+const notification = {
+  id: '7391',
+  alert_id: '1234',
+  aggreg_key: 'a1b2c3',
+  title: '[Triggered] Checkout p99 latency',
+  alert_transition: 'Triggered',
+  priority: 'P2',
+  alert_type: 'warning',
+  query: 'avg(last_5m):p99:trace.http.request{service:checkout} > 2',
+  tags: 'env:prod,service:checkout,runbook_url:https://runbooks/checkout,team',
+  date: '1760868000000',
+};
+
+describe('DatadogWebhookHandler.verifySecret', () => {
+  beforeEach(() => {
+    handler.webhookSecret = 'datadog-secret';
+  });
+
+  it('accepts the configured secret', () => {
+    expect(handler.verifySecret('datadog-secret')).toBe(true);
+  });
+
+  it('rejects a missing or wrong secret', () => {
+    expect(handler.verifySecret(undefined)).toBe(false);
+    expect(handler.verifySecret('datadog-secreT')).toBe(false);
+    expect(handler.verifySecret('short')).toBe(false);
+  });
+});
+
+describe('DatadogWebhookHandler.normalize', () => {
+  it('maps a monitor notification onto an intake alert', () => {
+    expect(handler.normalize(notification)).toEqual({
+      incidentId: 'datadog-a1b2c3',
+      source: 'datadog',
+      title: '[Triggered] Checkout p99 latency',
+      urgency: 'high',
+      serviceId: 'checkout',
+      serviceName: 'checkout',
+      labels: { env: 'prod', service: 'checkout', runbook_url: 'https://runbooks/checkout', team: '' },
+      metricQuery: notification.query,
+      runbookUrl: 'https://runbooks/checkout',
+      payload: notification,
+    });
+  });
+
+  it('falls back to the alert id and low urgency', () => {
+    const alert = handler.normalize({ alert_id: '1234', priority: 'P4', alert_type: 'warning' });
+    expect(alert).toMatchObject({
+      incidentId: 'datadog-1234',
+      title: 'Datadog alert 1234',
+      urgency: 'low',
+      serviceName: null,
+      runbookUrl: null,
+    });
+  });
+
+  it('rejects a payload that identifies no alert', () => {
+    expect(handler.normalize({ title: 'No ids' })).toBeNull();
+  });
+
+  it('reads tags sent as an array, including non-string entries', () => {
+    const alert = handler.normalize({ id: '1', tags: ['service:checkout', 42, null, ' env:prod '] });
+    expect(alert.labels).toEqual({ service: 'checkout', 42: '', env: 'prod' });
+  });
+});
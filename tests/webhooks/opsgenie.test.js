@@ -0,0 +1,69 @@
+import { OpsgenieWebhookHandler } from '../../src/webhooks/opsgenie.js';
+
+const handler = new OpsgenieWebhookHandler();
+
+const payload = {
+  action: 'Create',
+  alert: {
+    alertId: '70413a06-38d6-4c85-92b8-5ebc900d42e2',
+    message: 'Checkout latency above SLO',
+    priority: 'P1',
+    entity: 'checkout-lb',
+    tags: ['service:checkout', 'prod'],
+    details: { runbook_url: 'https://runbooks/checkout', query: 'p99:checkout > 2' },
+    username: 'System',
+  },
+};
+
+describe('OpsgenieWebhookHandler.verifySecret', () => {
+  beforeEach(() => {
+    handler.webhookSecret = 'opsgenie-secret';
+  });
+
+  it('accepts the configured secret', () => {
+    expect(handler.verifySecret('opsgenie-secret')).toBe(true);
+  });
+
+  it('rejects a missing or wrong secret', () => {
+    expect(handler.verifySecret('')).toBe(false);
+    expect(handler.verifySecret('opsgenie-secreT')).toBe(false);
+    expect(handler.verifySecret('short')).toBe(false);
+  });
+});
+
+describe('OpsgenieWebhookHandler.normalize', () => {
+  it('maps a created alert onto an intake alert', () => {
+    expect(handler.normalize(payload.alert, payload)).toEqual({
+      incidentId: '70413a06-38d6-4c85-92b8-5ebc900d42e2',
+      source: 'opsgenie',
+      title: 'Checkout latency above SLO',
+      urgency: 'high',
+      serviceId: 'checkout',
+      serviceName: 'checkout',
+      labels: {
+        service: 'checkout',
+        prod: '',
+        runbook_url: 'https://runbooks/checkout',
+        query: 'p99:checkout > 2',
+      },
+      metricQuery: 'p99:checkout > 2',
+      runbookUrl: 'https://runbooks/checkout',
+      payload,
+    });
+  });
+
+  it('falls back to the entity and low urgency', () => {
+    const alert = handler.normalize({ alertId: 'a1', message: 'Disk filling', priority: 'P3', entity: 'db-1' }, {});
+    expect(alert).toMatchObject({
+      urgency: 'low',
+      serviceName: 'db-1',
+      labels: {},
+      metricQuery: null,
+      runbookUrl: null,
+    });
+  });
+
+  it('coerces non-string tags', () => {
+    expect(handler.parseTags(['team:sre', 7, null, ''])).toEqual({ team: 'sre', 7: '' });
+  });
+});